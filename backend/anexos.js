@@ -0,0 +1,329 @@
+import crypto from "crypto";
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { armazenamento } from "./armazenamento.js";
+import { auditar } from "./auditoria.js";
+import {
+  VINCULO_DE_TRABALHO,
+  VINCULO_PUBLICADO,
+  marcaDeInclusao,
+  marcarEdicao,
+  removerVinculo,
+} from "./publicacao.js";
+
+// ===============================================
+// === ANEXOS DE NORMAS E MODALIDADES ============
+// ===============================================
+// Arquivos PDF e DOCX (migração 013): a cópia da norma, para quando o link
+// oficial sair do ar, e os modelos dos documentos exigidos pela modalidade.
+// O conteúdo vai para o armazenamento (armazenamento.js) e o SHA-256 é
+// conferido a cada download. Como as relações e os links, os anexos fazem
+// parte da versão da norma ou modalidade: entram no histórico dela e, depois
+// que ela é publicada, só aparecem (ou somem) no guia com a aprovação (ver
+// VINCULOS em publicacao.js). O arquivo de um anexo removido só sai do
+// armazenamento quando a remoção vale.
+
+const DONOS = {
+  normas: { coluna: "norma_id", naoEncontrado: "Norma não encontrada" },
+  modalidades: {
+    coluna: "modalidade_id",
+    naoEncontrado: "Modalidade não encontrada",
+  },
+};
+
+// Tipos aceitos, com a extensão exigida no nome e a assinatura do conteúdo
+const TIPOS_ACEITOS = {
+  "application/pdf": { extensao: ".pdf", assinatura: "%PDF-" },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extensao: ".docx",
+    assinatura: "PK\x03\x04",
+  },
+};
+
+const TAMANHO_MAXIMO_MB = Number(process.env.ANEXO_TAMANHO_MAXIMO_MB) || 10;
+
+const COLUNAS_PUBLICAS =
+  "id, norma_id, modalidade_id, nome_arquivo, tipo_mime, tamanho, sha256, enviado_em";
+
+const sha256 = (conteudo) =>
+  crypto.createHash("sha256").update(conteudo).digest("hex");
+
+// Remove caminhos, aspas e caracteres de controle do nome enviado
+const limparNome = (nome) =>
+  String(nome ?? "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f\x7f"]/g, "")
+    .trim()
+    .slice(0, 200);
+
+// Anexa a cada registro a lista `anexos`: [{ id, nome_arquivo, tipo_mime, tamanho, sha256, enviado_em }].
+// Nas rotas públicas, só os anexos publicados; na pré-visualização (previa =
+// true), os da versão de trabalho.
+export const anexarAnexos = async (
+  registros,
+  entidade,
+  { previa = false } = {}
+) => {
+  if (registros.length === 0) return registros;
+
+  const { coluna } = DONOS[entidade];
+  const ids = registros.map((r) => Number(r.id));
+  const { rows } = await db.execute({
+    sql: `SELECT ${COLUNAS_PUBLICAS} FROM anexos
+          WHERE ${coluna} IN (${ids.map(() => "?").join(", ")})
+            AND ${previa ? VINCULO_DE_TRABALHO : VINCULO_PUBLICADO}
+          ORDER BY id`,
+    args: ids,
+  });
+
+  return registros.map((registro) => ({
+    ...registro,
+    anexos: rows
+      .filter((a) => a[coluna] == registro.id)
+      .map(({ norma_id, modalidade_id, ...anexo }) => anexo),
+  }));
+};
+
+// Chaves no armazenamento dos anexos de um registro, para apagar os arquivos
+// quando ele for excluído definitivamente (as linhas saem por ON DELETE CASCADE).
+export const chavesDosAnexos = async (entidade, id, client = db) => {
+  const { rows } = await client.execute({
+    sql: `SELECT chave FROM anexos WHERE ${DONOS[entidade].coluna} = ?`,
+    args: [id],
+  });
+  return rows.map((r) => r.chave);
+};
+
+// Chaves dos anexos que a aprovação (aprovado = true) ou o descarte das
+// alterações pendentes vai apagar, para remover os arquivos depois
+export const chavesQueSaem = async (tx, entidade, id, { aprovado }) => {
+  const { rows } = await tx.execute({
+    sql: `SELECT chave FROM anexos WHERE ${DONOS[entidade].coluna} = ? AND pendente = ?`,
+    args: [id, aprovado ? "remocao" : "inclusao"],
+  });
+  return rows.map((r) => r.chave);
+};
+
+// Remove os arquivos do armazenamento. Uma falha aqui só deixa um arquivo
+// órfão, então não desfaz a operação que já foi gravada no banco.
+export const removerArquivos = async (chaves) => {
+  for (const chave of chaves) {
+    try {
+      await armazenamento.remover(chave);
+    } catch (error) {
+      console.error(`Falha ao remover o anexo ${chave}:`, error.message);
+    }
+  }
+};
+
+// Envia o conteúdo do anexo, se ele ainda conferir com o SHA-256 gravado.
+// O ETag é o próprio SHA-256, então um download repetido pode receber 304.
+const enviarAnexo = async (res, anexo) => {
+  const conteudo = await armazenamento.ler(anexo.chave);
+  if (sha256(conteudo) !== anexo.sha256) {
+    return res.status(500).json({
+      error: "O arquivo armazenado não confere com o checksum registrado.",
+    });
+  }
+
+  res.setHeader("Content-Type", anexo.tipo_mime);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${anexo.nome_arquivo.replace(
+      /[^\x20-\x7e]/g,
+      "_"
+    )}"; filename*=UTF-8''${encodeURIComponent(anexo.nome_arquivo)}`
+  );
+  res.setHeader("ETag", `"${anexo.sha256}"`);
+  res.send(conteudo);
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const anexosRouter = express.Router();
+
+// Rotas para enviar um anexo: o arquivo vai no corpo, com o Content-Type dele,
+// e o nome em ?nome= (ex: POST /api/v2/normas/3/anexos?nome=decreto.pdf)
+for (const [entidade, { coluna, naoEncontrado }] of Object.entries(DONOS)) {
+  anexosRouter.post(
+    `/${entidade}/:id/anexos`,
+    requireEditor,
+    express.raw({
+      type: Object.keys(TIPOS_ACEITOS),
+      limit: `${TAMANHO_MAXIMO_MB}mb`,
+    }),
+    async (req, res) => {
+      const tipoMime = req.headers["content-type"]?.split(";")[0].trim();
+      const tipo = TIPOS_ACEITOS[tipoMime];
+      const nome = limparNome(req.query.nome);
+      const errors = [];
+
+      if (!tipo) {
+        errors.push({
+          field: "arquivo",
+          message: "Envie um arquivo PDF ou DOCX.",
+        });
+      } else if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        errors.push({ field: "arquivo", message: "O arquivo está vazio." });
+      } else if (
+        !req.body
+          .subarray(0, tipo.assinatura.length)
+          .equals(Buffer.from(tipo.assinatura, "latin1"))
+      ) {
+        errors.push({
+          field: "arquivo",
+          message: "O conteúdo não corresponde ao tipo do arquivo.",
+        });
+      }
+      if (!nome) {
+        errors.push({ field: "nome", message: "Campo obrigatório." });
+      } else if (tipo && !nome.toLowerCase().endsWith(tipo.extensao)) {
+        errors.push({
+          field: "nome",
+          message: `O nome deve terminar em ${tipo.extensao}.`,
+        });
+      }
+      if (errors.length > 0) return res.status(400).json({ errors });
+
+      const chave = `${crypto.randomUUID()}${tipo.extensao}`;
+      const checksum = sha256(req.body);
+
+      try {
+        await armazenamento.salvar(chave, req.body);
+        let anexoId = null;
+        try {
+          await auditar(
+            {
+              entidade,
+              acao: "atualizar",
+              id: req.params.id,
+              usuario: req.usuario,
+            },
+            async (tx, atual) => {
+              if (atual.excluido_em) return null;
+              const resultado = await tx.execute({
+                sql: `INSERT INTO anexos (${coluna}, nome_arquivo, tipo_mime, tamanho, sha256, chave, enviado_por, pendente)
+                      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                args: [
+                  req.params.id,
+                  nome,
+                  tipoMime,
+                  req.body.length,
+                  checksum,
+                  chave,
+                  req.usuario.email,
+                  marcaDeInclusao(atual),
+                ],
+              });
+              anexoId = Number(resultado.lastInsertRowid);
+              return marcarEdicao(tx, entidade, req.params.id, atual);
+            }
+          );
+        } finally {
+          if (anexoId === null) await removerArquivos([chave]);
+        }
+
+        if (anexoId === null) {
+          return res.status(404).json({ error: naoEncontrado });
+        }
+        res.status(201).json({
+          message: "Anexo enviado com sucesso",
+          id: anexoId,
+          sha256: checksum,
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    }
+  );
+}
+
+// Rota pública de download: só para os anexos publicados de normas e
+// modalidades publicadas
+anexosRouter.get("/anexos/:anexoId", async (req, res) => {
+  try {
+    const { rows } = await db.execute({
+      sql: `SELECT a.* FROM anexos a
+            LEFT JOIN normas n ON n.id = a.norma_id
+            LEFT JOIN modalidades m ON m.id = a.modalidade_id
+            LEFT JOIN tipos_compensacao t ON t.id = m.tipo_id
+            WHERE a.id = ? AND a.${VINCULO_PUBLICADO}
+              AND ((n.publicado_em IS NOT NULL AND n.excluido_em IS NULL)
+                OR (m.publicado_em IS NOT NULL AND m.excluido_em IS NULL
+                  AND t.excluido_em IS NULL))`,
+      args: [req.params.anexoId],
+    });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Anexo não encontrado" });
+    }
+    await enviarAnexo(res, rows[0]);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Download na pré-visualização, inclusive de rascunhos e de anexos com
+// inclusão ou remoção pendente (ver revisao.js)
+anexosRouter.get("/previa/anexos/:anexoId", requireEditor, async (req, res) => {
+  try {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM anexos WHERE id = ?",
+      args: [req.params.anexoId],
+    });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Anexo não encontrado" });
+    }
+    await enviarAnexo(res, rows[0]);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para remover um anexo. Em uma norma ou modalidade publicada, o anexo
+// publicado fica marcado para remoção até a aprovação; nos demais casos, sai
+// na hora, junto com o arquivo.
+anexosRouter.delete("/anexos/:anexoId", requireEditor, async (req, res) => {
+  try {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM anexos WHERE id = ? AND ${VINCULO_DE_TRABALHO}`,
+      args: [req.params.anexoId],
+    });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Anexo não encontrado" });
+    }
+    const [anexo] = rows;
+    const entidade = anexo.norma_id ? "normas" : "modalidades";
+    const donoId = anexo[DONOS[entidade].coluna];
+
+    const revisao = await auditar(
+      { entidade, acao: "atualizar", id: donoId, usuario: req.usuario },
+      (tx, atual) =>
+        atual.excluido_em
+          ? null
+          : removerVinculo(tx, "anexos", entidade, donoId, anexo.id, atual)
+    );
+    if (!revisao || revisao.antes.excluido_em) {
+      return res.status(404).json({ error: DONOS[entidade].naoEncontrado });
+    }
+
+    const { rows: restantes } = await db.execute({
+      sql: "SELECT 1 FROM anexos WHERE id = ?",
+      args: [anexo.id],
+    });
+    if (restantes.length === 0) await removerArquivos([anexo.chave]);
+    res.status(200).json({ message: "Anexo removido com sucesso" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Arquivo acima do limite: o express.raw recusa antes de chegar à rota
+anexosRouter.use((err, req, res, next) => {
+  if (err.type !== "entity.too.large") return next(err);
+  res.status(413).json({
+    error: `O arquivo excede o limite de ${TAMANHO_MAXIMO_MB} MB.`,
+  });
+});
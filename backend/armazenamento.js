@@ -0,0 +1,45 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Armazenamento do conteúdo dos anexos (anexos.js). Toda implementação expõe:
+//   salvar(chave, conteudo: Buffer), ler(chave) -> Buffer, remover(chave)
+// A chave é gerada por quem chama; ler e remover de uma chave inexistente
+// lançam erro e não fazem nada, respectivamente.
+// A implementação é escolhida por ARMAZENAMENTO (padrão "local"); para guardar
+// os arquivos em outro lugar (ex: um bucket), basta registrar outra em IMPLEMENTACOES.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Arquivos em um diretório do servidor (ANEXOS_DIR, padrão backend/uploads)
+export const criarArmazenamentoLocal = (diretorio) => {
+  // As chaves são geradas pelo backend, mas nunca saem do diretório
+  const caminho = (chave) => path.join(diretorio, path.basename(chave));
+
+  return {
+    salvar: async (chave, conteudo) => {
+      await fs.mkdir(diretorio, { recursive: true });
+      await fs.writeFile(caminho(chave), conteudo, { flag: "wx" });
+    },
+    ler: (chave) => fs.readFile(caminho(chave)),
+    remover: (chave) => fs.rm(caminho(chave), { force: true }),
+  };
+};
+
+const IMPLEMENTACOES = {
+  local: () =>
+    criarArmazenamentoLocal(
+      process.env.ANEXOS_DIR || path.join(__dirname, "uploads")
+    ),
+};
+
+const escolhida = process.env.ARMAZENAMENTO || "local";
+if (!IMPLEMENTACOES[escolhida]) {
+  throw new Error(
+    `ARMAZENAMENTO inválido: ${escolhida}. Use: ${Object.keys(
+      IMPLEMENTACOES
+    ).join(", ")}.`
+  );
+}
+
+export const armazenamento = IMPLEMENTACOES[escolhida]();
@@ -0,0 +1,252 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { validarCorpo } from "./validacao.js";
+import { MODALIDADE_VISIVEL_AO_PUBLICO, versaoPublica } from "./publicacao.js";
+
+// ===============================================
+// === ASSISTENTE DE DECISÃO =====================
+// ===============================================
+// Perguntas de sim/não sobre o empreendimento (migração 012). Cada pergunta
+// indica tipos de compensação quando a resposta é "sim"; a recomendação reúne
+// esses tipos com as suas modalidades e normas publicadas.
+// As perguntas são configuração do guia: não passam pelo fluxo de publicação
+// nem pelo histórico, e a exclusão é definitiva.
+
+const marcadores = (lista) => lista.map(() => "?").join(", ");
+
+// Lê uma lista de ids (ex: tipo_ids, sim) e devolve { ids, error }.
+const lerIds = (valor, campo) => {
+  if (!Array.isArray(valor)) {
+    return { ids: null, error: `${campo} deve ser uma lista de ids.` };
+  }
+  const ids = [...new Set(valor.map(Number))];
+  if (!ids.every(Number.isInteger)) {
+    return { ids: null, error: `${campo} deve conter apenas ids numéricos.` };
+  }
+  return { ids, error: null };
+};
+
+// Valida tipo_ids do corpo: todos precisam existir fora da lixeira.
+const validarTipos = async (req, res, next) => {
+  const { ids, error } = lerIds(req.body.tipo_ids ?? [], "tipo_ids");
+  if (error) {
+    return res
+      .status(400)
+      .json({ errors: [{ field: "tipo_ids", message: error }] });
+  }
+
+  try {
+    if (ids.length > 0) {
+      const { rows } = await db.execute({
+        sql: `SELECT id FROM tipos_compensacao
+              WHERE id IN (${marcadores(ids)}) AND excluido_em IS NULL`,
+        args: ids,
+      });
+      const inexistentes = ids.filter((id) => !rows.some((r) => r.id == id));
+      if (inexistentes.length > 0) {
+        return res.status(400).json({
+          errors: [
+            {
+              field: "tipo_ids",
+              message: `Tipos não encontrados: ${inexistentes.join(", ")}.`,
+            },
+          ],
+        });
+      }
+    }
+    req.body.tipo_ids = ids;
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Grava a pergunta e substitui os seus tipos numa única transação.
+// Devolve o id da pergunta, ou null se ela não existir (atualização).
+const salvarPergunta = async (id, { texto, ajuda, ordem, tipo_ids }) => {
+  const tx = await db.transaction("write");
+
+  try {
+    if (id) {
+      const resultado = await tx.execute({
+        sql: "UPDATE assistente_perguntas SET texto = ?, ajuda = ?, ordem = ? WHERE id = ?",
+        args: [texto, ajuda, ordem, id],
+      });
+      if (resultado.rowsAffected === 0) return null;
+      await tx.execute({
+        sql: "DELETE FROM assistente_perguntas_tipos WHERE pergunta_id = ?",
+        args: [id],
+      });
+    } else {
+      const resultado = await tx.execute({
+        sql: "INSERT INTO assistente_perguntas (texto, ajuda, ordem) VALUES (?, ?, ?)",
+        args: [texto, ajuda, ordem],
+      });
+      id = Number(resultado.lastInsertRowid);
+    }
+
+    for (const tipoId of tipo_ids) {
+      await tx.execute({
+        sql: "INSERT INTO assistente_perguntas_tipos (pergunta_id, tipo_id) VALUES (?, ?)",
+        args: [id, tipoId],
+      });
+    }
+
+    await tx.commit();
+    return id;
+  } finally {
+    tx.close();
+  }
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const assistenteRouter = express.Router();
+
+// Rota pública para listar as perguntas, na ordem de exibição.
+// Cada pergunta vem com `tipo_ids`: os tipos indicados pela resposta "sim"
+// (tipos na lixeira ficam de fora, mas o vínculo volta com a restauração).
+assistenteRouter.get("/perguntas", async (req, res) => {
+  try {
+    const { rows } = await db.execute(
+      `SELECT p.*, GROUP_CONCAT(t.id) AS tipo_ids
+       FROM assistente_perguntas p
+       LEFT JOIN assistente_perguntas_tipos apt ON apt.pergunta_id = p.id
+       LEFT JOIN tipos_compensacao t ON t.id = apt.tipo_id AND t.excluido_em IS NULL
+       GROUP BY p.id
+       ORDER BY p.ordem, p.id`
+    );
+    const data = rows.map((pergunta) => ({
+      ...pergunta,
+      tipo_ids: pergunta.tipo_ids
+        ? String(pergunta.tipo_ids).split(",").map(Number)
+        : [],
+    }));
+    res.status(200).json({ data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para criar uma pergunta (body: { texto, ajuda, ordem, tipo_ids })
+assistenteRouter.post(
+  "/perguntas",
+  requireEditor,
+  validarCorpo("perguntas"),
+  validarTipos,
+  async (req, res) => {
+    try {
+      const id = await salvarPergunta(null, req.body);
+      res.status(201).json({ message: "Pergunta criada com sucesso", id });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para atualizar uma pergunta (os tipo_ids enviados substituem os atuais)
+assistenteRouter.put(
+  "/perguntas/:id",
+  requireEditor,
+  validarCorpo("perguntas"),
+  validarTipos,
+  async (req, res) => {
+    try {
+      const id = await salvarPergunta(req.params.id, req.body);
+      if (!id) {
+        return res.status(404).json({ error: "Pergunta não encontrada" });
+      }
+      res.status(200).json({ message: "Pergunta atualizada com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para excluir uma pergunta (os vínculos saem junto, ON DELETE CASCADE)
+assistenteRouter.delete("/perguntas/:id", requireEditor, async (req, res) => {
+  try {
+    const resultado = await db.execute({
+      sql: "DELETE FROM assistente_perguntas WHERE id = ?",
+      args: [req.params.id],
+    });
+    if (resultado.rowsAffected === 0) {
+      return res.status(404).json({ error: "Pergunta não encontrada" });
+    }
+    res.status(200).json({ message: "Pergunta excluída com sucesso" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota da recomendação (body: { sim: [ids das perguntas respondidas com "sim"] }).
+// Devolve os tipos indicados, cada um com `motivos` (as perguntas que o
+// indicaram), `modalidades` e `normas` publicadas.
+assistenteRouter.post("/assistente/recomendacao", async (req, res) => {
+  const { ids, error } = lerIds(req.body?.sim, "sim");
+  if (error) {
+    return res.status(400).json({ errors: [{ field: "sim", message: error }] });
+  }
+  if (ids.length === 0) return res.status(200).json({ data: [] });
+
+  try {
+    const { rows: indicacoes } = await db.execute({
+      sql: `SELECT t.id, t.nome, p.texto AS motivo
+            FROM assistente_perguntas_tipos apt
+            JOIN assistente_perguntas p ON p.id = apt.pergunta_id
+            JOIN tipos_compensacao t ON t.id = apt.tipo_id
+            WHERE t.excluido_em IS NULL
+              AND apt.pergunta_id IN (${marcadores(ids)})
+            ORDER BY p.ordem, p.id`,
+      args: ids,
+    });
+
+    const tipos = [];
+    for (const { id, nome, motivo } of indicacoes) {
+      let tipo = tipos.find((t) => t.id == id);
+      if (!tipo) {
+        tipo = { id, nome, motivos: [], modalidades: [], normas: [] };
+        tipos.push(tipo);
+      }
+      tipo.motivos.push(motivo);
+    }
+    if (tipos.length === 0) return res.status(200).json({ data: [] });
+
+    const tipoIds = tipos.map((t) => Number(t.id));
+    const [modalidades, normas] = await Promise.all([
+      db.execute({
+        sql: `SELECT * FROM modalidades
+              WHERE tipo_id IN (${marcadores(
+                tipoIds
+              )}) AND ${MODALIDADE_VISIVEL_AO_PUBLICO}
+              ORDER BY nome`,
+        args: tipoIds,
+      }),
+      db.execute({
+        sql: `SELECT n.*, ntc.tipo_id AS vinculo_tipo_id FROM normas n
+              JOIN normas_tipos_compensacao ntc ON ntc.norma_id = n.id
+              WHERE ntc.tipo_id IN (${marcadores(tipoIds)})
+                AND n.publicado_em IS NOT NULL AND n.excluido_em IS NULL
+              ORDER BY n.nome`,
+        args: tipoIds,
+      }),
+    ]);
+
+    for (const tipo of tipos) {
+      tipo.modalidades = modalidades.rows
+        .filter((m) => m.tipo_id == tipo.id)
+        .map(versaoPublica)
+        .map(({ id, nome, proporcao }) => ({ id, nome, proporcao }));
+      tipo.normas = normas.rows
+        .filter((n) => n.vinculo_tipo_id == tipo.id)
+        .map(versaoPublica)
+        .map(({ id, nome, link, situacao }) => ({ id, nome, link, situacao }));
+    }
+
+    res.status(200).json({ data: tipos });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
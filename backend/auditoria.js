@@ -0,0 +1,369 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { REGRAS, TABELAS, validarDados } from "./validacao.js";
+import {
+  ENTIDADES_COM_REVISAO,
+  VINCULOS,
+  gravarVersao,
+  limparVinculos,
+  versaoDeTrabalho,
+} from "./publicacao.js";
+import { atribuirSlug } from "./slugs.js";
+
+// ===============================================
+// === HISTÓRICO DE ALTERAÇÕES DO CATÁLOGO =======
+// ===============================================
+// Toda criação, alteração, exclusão e restauração de normas, tipos e modalidades
+// gera uma revisão na tabela "auditoria" (migração 006), com o registro antes e
+// depois em JSON. A revisão é gravada na mesma transação da alteração.
+
+// Campos do histórico com a versão publicada das relações e dos links, quando
+// ela difere da versão de trabalho (ver VINCULOS em publicacao.js)
+export const VINCULOS_PUBLICADOS = {
+  relacoes: "relacoes_publicadas",
+  links: "links_publicados",
+  anexos: "anexos_publicados",
+};
+
+// Grava em `registro[campo]` as linhas da versão de trabalho. Se alguma tiver
+// inclusão ou remoção pendente, as da versão publicada vão ao lado, no campo
+// de VINCULOS_PUBLICADOS: são elas que o guia mostra até a aprovação.
+const gravarVinculos = (registro, campo, rows, formatar) => {
+  registro[campo] = rows.filter((r) => r.pendente !== "remocao").map(formatar);
+  if (rows.some((r) => r.pendente !== null)) {
+    registro[VINCULOS_PUBLICADOS[campo]] = rows
+      .filter((r) => r.pendente !== "inclusao")
+      .map(formatar);
+  }
+};
+
+// Estado de um registro como é guardado no histórico. Nos tipos, inclui as
+// normas vinculadas; nas normas, as relações de que ela é a origem (relacoes.js);
+// nas modalidades, os links (links.js); nas duas, os anexos (anexos.js).
+export const lerRevisao = async (entidade, id, client = db) => {
+  const { rows } = await client.execute({
+    sql: `SELECT * FROM ${TABELAS[entidade]} WHERE id = ?`,
+    args: [id],
+  });
+  if (rows.length === 0) return null;
+
+  const registro = { ...rows[0] };
+
+  // As alterações pendentes (ver publicacao.js) ficam legíveis no histórico
+  if (typeof registro.alteracoes_pendentes === "string") {
+    registro.alteracoes_pendentes = JSON.parse(registro.alteracoes_pendentes);
+  }
+
+  if (entidade === "tipos") {
+    const links = await client.execute({
+      sql: "SELECT norma_id FROM normas_tipos_compensacao WHERE tipo_id = ? ORDER BY norma_id",
+      args: [id],
+    });
+    registro.norma_ids = links.rows.map((r) => Number(r.norma_id));
+  }
+
+  if (entidade === "normas") {
+    const relacoes = await client.execute({
+      sql: `SELECT tipo, norma_relacionada_id, pendente FROM normas_relacoes
+            WHERE norma_id = ? ORDER BY tipo, norma_relacionada_id`,
+      args: [id],
+    });
+    gravarVinculos(registro, "relacoes", relacoes.rows, (r) => ({
+      tipo: r.tipo,
+      norma_relacionada_id: Number(r.norma_relacionada_id),
+    }));
+  }
+
+  if (entidade === "modalidades") {
+    const links = await client.execute({
+      sql: `SELECT rotulo, url, tipo, pendente FROM modalidades_links
+            WHERE modalidade_id = ? ORDER BY id`,
+      args: [id],
+    });
+    gravarVinculos(registro, "links", links.rows, ({ rotulo, url, tipo }) => ({
+      rotulo,
+      url,
+      tipo,
+    }));
+  }
+
+  if (ENTIDADES_COM_REVISAO.includes(entidade)) {
+    const anexos = await client.execute({
+      sql: `SELECT nome_arquivo, tipo_mime, tamanho, sha256, pendente FROM anexos
+            WHERE ${VINCULOS[entidade].coluna} = ? ORDER BY id`,
+      args: [id],
+    });
+    gravarVinculos(registro, "anexos", anexos.rows, (a) => ({
+      nome_arquivo: a.nome_arquivo,
+      tipo_mime: a.tipo_mime,
+      tamanho: Number(a.tamanho),
+      sha256: a.sha256,
+    }));
+  }
+
+  return registro;
+};
+
+export const registrarRevisao = (
+  client,
+  { entidade, entidadeId, acao, antes, depois, usuario }
+) =>
+  client.execute({
+    sql: `INSERT INTO auditoria (entidade, entidade_id, acao, antes, depois, usuario_id, usuario_email)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      entidade,
+      entidadeId,
+      acao,
+      antes ? JSON.stringify(antes) : null,
+      depois ? JSON.stringify(depois) : null,
+      usuario?.id ?? null,
+      usuario?.email ?? null,
+    ],
+  });
+
+// Executa `alterar(tx, antes)` em uma transação e registra a revisão junto.
+// - id: registro afetado (ausente na criação, que usa o lastInsertRowid do resultado)
+// - tx: transação já aberta, para agrupar várias alterações (quem abriu faz o commit)
+// Devolve { id, antes, depois }, ou null, sem alterar nada, quando o registro
+// não existe (exceto na criação e na restauração, que podem recriá-lo).
+export const auditar = async (
+  { entidade, acao, id = null, usuario, tx: txExterna },
+  alterar
+) => {
+  const tx = txExterna || (await db.transaction("write"));
+
+  try {
+    const antes =
+      id === null ? null : await lerRevisao(entidade, Number(id), tx);
+    if (!antes && acao !== "criar" && acao !== "restaurar") return null;
+
+    const resultado = await alterar(tx, antes);
+    const entidadeId =
+      id === null ? Number(resultado.lastInsertRowid) : Number(id);
+    const depois = await lerRevisao(entidade, entidadeId, tx);
+
+    // Uma alteração que não mudou nada não polui o histórico
+    if (JSON.stringify(antes) !== JSON.stringify(depois)) {
+      await registrarRevisao(tx, {
+        entidade,
+        entidadeId,
+        acao,
+        antes,
+        depois,
+        usuario,
+      });
+    }
+
+    if (!txExterna) await tx.commit();
+    return { id: entidadeId, antes, depois };
+  } finally {
+    if (!txExterna) tx.close();
+  }
+};
+
+// Lista os campos que mudaram entre dois estados: [{ campo, antes, depois }]
+export const compararRevisoes = (antes, depois) => {
+  const campos = new Set([
+    ...Object.keys(antes || {}),
+    ...Object.keys(depois || {}),
+  ]);
+  campos.delete("id");
+
+  return [...campos]
+    .filter(
+      (campo) =>
+        JSON.stringify(antes?.[campo] ?? null) !==
+        JSON.stringify(depois?.[campo] ?? null)
+    )
+    .map((campo) => ({
+      campo,
+      antes: antes?.[campo] ?? null,
+      depois: depois?.[campo] ?? null,
+    }));
+};
+
+const formatarRevisao = (row) => {
+  const antes = row.antes ? JSON.parse(row.antes) : null;
+  const depois = row.depois ? JSON.parse(row.depois) : null;
+
+  return {
+    id: row.id,
+    entidade: row.entidade,
+    entidade_id: row.entidade_id,
+    acao: row.acao,
+    usuario: row.usuario_email,
+    criado_em: row.criado_em,
+    antes,
+    depois,
+    alteracoes: compararRevisoes(antes, depois),
+  };
+};
+
+// ===============================================
+// === ROTAS (/api/v2/historico) =================
+// ===============================================
+export const historicoRouter = express.Router();
+
+historicoRouter.use(requireEditor);
+
+historicoRouter.param("entidade", (req, res, next, entidade) => {
+  if (!TABELAS[entidade]) {
+    return res.status(404).json({
+      error: `Entidade desconhecida. Use: ${Object.keys(TABELAS).join(", ")}.`,
+    });
+  }
+  next();
+});
+
+// Rota para listar as revisões de um registro, da mais recente para a mais antiga
+historicoRouter.get("/:entidade/:id", async (req, res) => {
+  try {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM auditoria WHERE entidade = ? AND entidade_id = ? ORDER BY id DESC",
+      args: [req.params.entidade, req.params.id],
+    });
+    res.json({ data: rows.map(formatarRevisao) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rota para restaurar o registro ao estado gravado em uma revisão. Se a revisão
+// for uma exclusão, o registro volta a existir como estava antes dela (inclusive
+// saindo da lixeira).
+historicoRouter.post(
+  "/:entidade/:id/revisoes/:revisaoId/restaurar",
+  async (req, res) => {
+    const { entidade, id, revisaoId } = req.params;
+
+    try {
+      const { rows } = await db.execute({
+        sql: "SELECT * FROM auditoria WHERE id = ? AND entidade = ? AND entidade_id = ?",
+        args: [revisaoId, entidade, id],
+      });
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Revisão não encontrada" });
+      }
+
+      // Normas e modalidades voltam à versão em que se trabalhava naquele momento
+      const estado = versaoDeTrabalho(
+        JSON.parse(rows[0].acao === "excluir" ? rows[0].antes : rows[0].depois)
+      );
+
+      // O estado antigo pode apontar para registros que não existem mais
+      const errors = await validarDados(entidade, estado);
+      if (errors.length > 0) {
+        return res.status(409).json({
+          error:
+            "A revisão não pode ser restaurada no estado atual do catálogo.",
+          errors,
+        });
+      }
+
+      const campos = [...Object.keys(REGRAS[entidade]), "excluido_em"];
+      const tabela = TABELAS[entidade];
+
+      const revisao = await auditar(
+        { entidade, acao: "restaurar", id, usuario: req.usuario },
+        async (tx, antes) => {
+          // Um registro excluído é recriado com o mesmo id (como rascunho, se
+          // tiver fluxo de publicação). Normas e modalidades existentes recebem
+          // a versão restaurada como uma nova edição, sujeita a revisão.
+          let resultado;
+          if (antes && ENTIDADES_COM_REVISAO.includes(entidade)) {
+            await gravarVersao(tx, entidade, id, estado, antes);
+            resultado = await tx.execute({
+              sql: `UPDATE ${tabela} SET excluido_em = ? WHERE id = ?`,
+              args: [estado.excluido_em ?? null, id],
+            });
+          } else if (antes) {
+            resultado = await tx.execute({
+              sql: `UPDATE ${tabela} SET ${campos
+                .map((c) => `${c} = ?`)
+                .join(", ")} WHERE id = ?`,
+              args: [...campos.map((c) => estado[c] ?? null), id],
+            });
+          } else {
+            resultado = await tx.execute({
+              sql: `INSERT INTO ${tabela} (id, ${campos.join(
+                ", "
+              )}) VALUES (?, ${campos.map(() => "?").join(", ")})`,
+              args: [id, ...campos.map((c) => estado[c] ?? null)],
+            });
+            // De volta com o mesmo slug, se ninguém o tiver ocupado (ver slugs.js)
+            if (entidade !== "normas") {
+              await atribuirSlug(tx, entidade, id, estado.slug);
+            }
+          }
+
+          if (entidade === "tipos") {
+            await tx.execute({
+              sql: "DELETE FROM normas_tipos_compensacao WHERE tipo_id = ? AND norma_id NOT IN (SELECT id FROM normas WHERE excluido_em IS NOT NULL)",
+              args: [id],
+            });
+            // Como no PUT /tipos/:id/normas, os vínculos com normas na lixeira
+            // ficam como estão, para voltarem junto com a norma; normas
+            // apagadas desde a revisão são ignoradas
+            for (const normaId of estado.norma_ids || []) {
+              await tx.execute({
+                sql: "INSERT INTO normas_tipos_compensacao (tipo_id, norma_id) SELECT ?, id FROM normas WHERE id = ? AND excluido_em IS NULL",
+                args: [id, normaId],
+              });
+            }
+          }
+
+          // Revisões anteriores à migração 009 não têm relações: as atuais são
+          // mantidas. Numa norma publicada, as restauradas ficam pendentes de
+          // revisão, como os campos
+          if (entidade === "normas" && estado.relacoes) {
+            const marca = await limparVinculos(
+              tx,
+              "normas_relacoes",
+              "normas",
+              id,
+              antes
+            );
+            for (const relacao of estado.relacoes) {
+              await tx.execute({
+                sql: `INSERT INTO normas_relacoes (norma_id, tipo, norma_relacionada_id, pendente)
+                      SELECT ?, ?, id, ? FROM normas WHERE id = ?
+                      ON CONFLICT (norma_id, tipo, norma_relacionada_id) DO UPDATE SET pendente = NULL`,
+                args: [id, relacao.tipo, marca, relacao.norma_relacionada_id],
+              });
+            }
+          }
+
+          // Idem para os links das modalidades (migração 011). Os anexos
+          // ficam como estão: o arquivo de um anexo removido já saiu do
+          // armazenamento (ver anexos.js)
+          if (entidade === "modalidades" && estado.links) {
+            const marca = await limparVinculos(
+              tx,
+              "modalidades_links",
+              "modalidades",
+              id,
+              antes
+            );
+            for (const link of estado.links) {
+              await tx.execute({
+                sql: "INSERT INTO modalidades_links (modalidade_id, rotulo, url, tipo, pendente) VALUES (?, ?, ?, ?, ?)",
+                args: [id, link.rotulo, link.url, link.tipo, marca],
+              });
+            }
+          }
+
+          return resultado;
+        }
+      );
+
+      res.json({
+        message: "Revisão restaurada com sucesso",
+        data: revisao.depois,
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
@@ -0,0 +1,276 @@
+import express from "express";
+import crypto from "crypto";
+import { promisify } from "util";
+import { db } from "./db.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Papéis aceitos: "editor" altera o conteúdo do guia, "admin" também gerencia usuários.
+export const PAPEIS = ["editor", "admin"];
+
+// Tempo de vida de uma sessão (em horas), configurável via .env.
+const SESSAO_TTL_HORAS = Number(process.env.SESSAO_TTL_HORAS) || 8;
+
+// --- Senhas ---
+// As senhas são guardadas como "scrypt$<salt>$<hash>", ambos em hexadecimal.
+export const hashSenha = async (senha) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(senha, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+export const verificarSenha = async (senha, armazenado) => {
+  const [algoritmo, salt, hashHex] = (armazenado || "").split("$");
+  if (algoritmo !== "scrypt" || !salt || !hashHex) return false;
+
+  const esperado = Buffer.from(hashHex, "hex");
+  const calculado = await scrypt(senha, salt, esperado.length);
+  return crypto.timingSafeEqual(esperado, calculado);
+};
+
+// O token entregue ao cliente nunca é salvo em claro: guardamos apenas o SHA-256 dele.
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// --- Administrador inicial ---
+// As tabelas de usuários e sessões são criadas pela migração 002_usuarios.
+// Se ainda não houver nenhum usuário, cadastra o administrador definido no .env.
+export const garantirAdminInicial = async () => {
+  const { rows } = await db.execute("SELECT COUNT(*) AS total FROM usuarios");
+  const { ADMIN_EMAIL, ADMIN_SENHA } = process.env;
+
+  if (Number(rows[0].total) === 0 && ADMIN_EMAIL && ADMIN_SENHA) {
+    await db.execute({
+      sql: "INSERT INTO usuarios (email, nome, senha_hash, papel) VALUES (?, ?, ?, 'admin')",
+      args: [ADMIN_EMAIL, "Administrador", await hashSenha(ADMIN_SENHA)],
+    });
+    console.log(`Administrador inicial criado: ${ADMIN_EMAIL}`);
+  }
+};
+
+// --- Middlewares ---
+// Exige um token "Authorization: Bearer <token>" válido e disponibiliza o usuário em req.usuario.
+export const requireAuth = async (req, res, next) => {
+  const [esquema, token] = (req.headers.authorization || "").split(" ");
+
+  if (esquema !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Autenticação necessária." });
+  }
+
+  try {
+    const result = await db.execute({
+      sql: `SELECT u.id, u.email, u.nome, u.papel FROM sessoes s
+            JOIN usuarios u ON u.id = s.usuario_id
+            WHERE s.token_hash = ? AND s.expira_em > datetime('now')`,
+      args: [hashToken(token)],
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: "Sessão inválida ou expirada." });
+    }
+
+    req.usuario = result.rows[0];
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Deve ser usado depois de requireAuth. Libera a rota apenas para os papéis informados.
+export const requireRole =
+  (...papeis) =>
+  (req, res, next) => {
+    if (!req.usuario || !papeis.includes(req.usuario.papel)) {
+      return res
+        .status(403)
+        .json({ error: "Permissão insuficiente para esta operação." });
+    }
+    next();
+  };
+
+// Atalhos usados nas rotas de escrita do server.js.
+export const requireEditor = [requireAuth, requireRole("editor", "admin")];
+export const requireAdmin = [requireAuth, requireRole("admin")];
+// Revisores aprovam ou rejeitam o conteúdo enviado para revisão, exceto o que
+// eles mesmos enviaram (ver revisao.js).
+export const requireRevisor = requireAdmin;
+
+// ===============================================
+// === ROTAS DE AUTENTICAÇÃO (/api/v2/auth) ======
+// ===============================================
+export const authRouter = express.Router();
+
+// Rota de login: troca e-mail e senha por um token de sessão
+authRouter.post("/login", async (req, res) => {
+  const { email, senha } = req.body || {};
+
+  if (!email || !senha) {
+    return res.status(400).json({ error: "Informe e-mail e senha." });
+  }
+
+  try {
+    const result = await db.execute({
+      sql: "SELECT * FROM usuarios WHERE email = ?",
+      args: [email],
+    });
+    const usuario = result.rows[0];
+
+    if (!usuario || !(await verificarSenha(senha, usuario.senha_hash))) {
+      return res.status(401).json({ error: "E-mail ou senha inválidos." });
+    }
+
+    // Cada login também apaga as sessões já expiradas, de qualquer usuário,
+    // para a tabela não crescer com tokens que ninguém mais pode usar.
+    const token = crypto.randomBytes(32).toString("hex");
+    await db.batch(
+      [
+        "DELETE FROM sessoes WHERE expira_em <= datetime('now')",
+        {
+          sql: "INSERT INTO sessoes (token_hash, usuario_id, expira_em) VALUES (?, ?, datetime('now', ?))",
+          args: [hashToken(token), usuario.id, `+${SESSAO_TTL_HORAS} hours`],
+        },
+      ],
+      "write"
+    );
+
+    res.status(200).json({
+      token,
+      usuario: {
+        id: usuario.id,
+        email: usuario.email,
+        nome: usuario.nome,
+        papel: usuario.papel,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota de logout: invalida o token atual
+authRouter.post("/logout", requireAuth, async (req, res) => {
+  const token = req.headers.authorization.split(" ")[1];
+
+  try {
+    await db.execute({
+      sql: "DELETE FROM sessoes WHERE token_hash = ?",
+      args: [hashToken(token)],
+    });
+    res.status(200).json({ message: "Sessão encerrada" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para obter o usuário da sessão atual
+authRouter.get("/me", requireAuth, (req, res) => {
+  res.status(200).json({ data: req.usuario });
+});
+
+// ===============================================
+// === GERENCIAMENTO DE USUÁRIOS (somente admin) =
+// ===============================================
+export const usuariosRouter = express.Router();
+
+usuariosRouter.use(requireAdmin);
+
+// Rota para listar os usuários (sem o hash da senha)
+usuariosRouter.get("/", async (req, res) => {
+  try {
+    const result = await db.execute(
+      "SELECT id, email, nome, papel, criado_em FROM usuarios ORDER BY email"
+    );
+    res.status(200).json({ data: result.rows });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para criar um novo usuário
+usuariosRouter.post("/", async (req, res) => {
+  const { email, nome, senha, papel = "editor" } = req.body;
+
+  if (!email || !senha) {
+    return res.status(400).json({ error: "E-mail e senha são obrigatórios." });
+  }
+  if (!PAPEIS.includes(papel)) {
+    return res.status(400).json({ error: `Papel inválido: ${papel}` });
+  }
+
+  try {
+    const result = await db.execute({
+      sql: "INSERT INTO usuarios (email, nome, senha_hash, papel) VALUES (?, ?, ?, ?)",
+      args: [email, nome || null, await hashSenha(senha), papel],
+    });
+    res.status(201).json({
+      message: "Usuário criado com sucesso",
+      id: Number(result.lastInsertRowid),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para atualizar um usuário. A senha só é trocada quando enviada.
+usuariosRouter.put("/:id", async (req, res) => {
+  const { email, nome, senha, papel } = req.body;
+
+  if (papel && !PAPEIS.includes(papel)) {
+    return res.status(400).json({ error: `Papel inválido: ${papel}` });
+  }
+
+  try {
+    await db.execute({
+      sql: `UPDATE usuarios SET
+              email = COALESCE(?, email),
+              nome = COALESCE(?, nome),
+              papel = COALESCE(?, papel),
+              senha_hash = COALESCE(?, senha_hash)
+            WHERE id = ?`,
+      args: [
+        email || null,
+        nome || null,
+        papel || null,
+        senha ? await hashSenha(senha) : null,
+        req.params.id,
+      ],
+    });
+
+    // Trocar a senha ou o papel derruba as sessões abertas do usuário.
+    if (senha || papel) {
+      await db.execute({
+        sql: "DELETE FROM sessoes WHERE usuario_id = ?",
+        args: [req.params.id],
+      });
+    }
+
+    res.status(200).json({ message: "Usuário atualizado com sucesso" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para deletar um usuário. Um admin não pode remover a própria conta.
+usuariosRouter.delete("/:id", async (req, res) => {
+  if (Number(req.params.id) === Number(req.usuario.id)) {
+    return res
+      .status(400)
+      .json({ error: "Você não pode remover o próprio usuário." });
+  }
+
+  try {
+    await db.batch(
+      [
+        {
+          sql: "DELETE FROM sessoes WHERE usuario_id = ?",
+          args: [req.params.id],
+        },
+        { sql: "DELETE FROM usuarios WHERE id = ?", args: [req.params.id] },
+      ],
+      "write"
+    );
+    res.status(200).json({ message: "Usuário deletado com sucesso" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
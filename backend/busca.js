@@ -0,0 +1,49 @@
+import { db } from "./db.js";
+
+// Transforma o texto digitado pelo usuário em uma consulta FTS5 segura:
+// cada palavra vira um termo entre aspas com busca por prefixo ("compens"*),
+// e todos os termos precisam aparecer (AND implícito).
+// Retorna null quando não sobra nenhuma palavra pesquisável.
+export const montarConsultaFts = (termo = "") => {
+  const palavras = String(termo).match(/[\p{L}\p{N}]+/gu) || [];
+  if (palavras.length === 0) return null;
+  return palavras.map((palavra) => `"${palavra}"*`).join(" ");
+};
+
+// Busca ranqueada (bm25) sobre o índice busca_fts (ver migrations/004_busca.js).
+// O nome pesa mais que o texto; o trecho (snippet) vem com <mark> nos termos encontrados.
+export const buscar = async (termo, { entidade, limite = 20 } = {}) => {
+  const consulta = montarConsultaFts(termo);
+  if (!consulta) return [];
+
+  const args = [consulta];
+  let filtroEntidade = "";
+
+  if (entidade) {
+    filtroEntidade = " AND f.entidade = ?";
+    args.push(entidade);
+  }
+  args.push(limite);
+
+  const result = await db.execute({
+    sql: `SELECT f.entidade, f.entidade_id AS id, f.nome,
+            highlight(busca_fts, 2, '<mark>', '</mark>') AS nome_destacado,
+            snippet(busca_fts, 3, '<mark>', '</mark>', '…', 24) AS trecho,
+            m.tipo_id, n.link,
+            bm25(busca_fts, 0, 0, 10.0, 1.0) AS rank
+          FROM busca_fts f
+          LEFT JOIN modalidades m ON f.entidade = 'modalidade' AND m.id = f.entidade_id
+          LEFT JOIN normas n ON f.entidade = 'norma' AND n.id = f.entidade_id
+          LEFT JOIN tipos_compensacao t ON t.id = m.tipo_id
+          WHERE busca_fts MATCH ?${filtroEntidade}
+            AND m.excluido_em IS NULL AND n.excluido_em IS NULL AND t.excluido_em IS NULL
+            AND COALESCE(m.publicado_em, n.publicado_em) IS NOT NULL
+          ORDER BY rank
+          LIMIT ?`,
+    args,
+  });
+
+  // O texto indexado das modalidades junta vários campos separados por espaço;
+  // remove as sobras dessas junções nas pontas do trecho.
+  return result.rows.map((row) => ({ ...row, trecho: row.trecho.trim() }));
+};
@@ -0,0 +1,41 @@
+import { db } from "./db.js";
+
+// ===============================================
+// === CACHE HTTP DO CATÁLOGO ====================
+// ===============================================
+// Cabeçalhos que permitem ao guia (e ao service worker de frontend/sw.js)
+// revalidar os dados em vez de baixá-los de novo. O ETag e o Last-Modified
+// vêm da versão do catálogo, que os triggers da migração 017 incrementam a
+// cada escrita. Se o cliente já tem a versão atual (If-None-Match ou
+// If-Modified-Since), a resposta é 304 sem nem consultar os dados.
+
+// "2026-03-01 12:00:00" (UTC, do SQLite) -> Date
+const dataDoBanco = (data) => new Date(`${data.replace(" ", "T")}Z`);
+
+export const lerVersaoCatalogo = async () => {
+  const { rows } = await db.execute(
+    "SELECT versao, alterado_em FROM catalogo_versao WHERE id = 1"
+  );
+  return {
+    versao: Number(rows[0].versao),
+    alteradoEm: dataDoBanco(rows[0].alterado_em),
+  };
+};
+
+// Para as rotas públicas do catálogo: o navegador pode guardar a resposta, mas
+// precisa revalidá-la a cada uso
+export const cacheDoCatalogo = async (req, res, next) => {
+  try {
+    const { versao, alteradoEm } = await lerVersaoCatalogo();
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("ETag", `"catalogo-${versao}"`);
+    res.setHeader("Last-Modified", alteradoEm.toUTCString());
+  } catch (error) {
+    // Sem a versão, a rota responde normalmente, sem os cabeçalhos
+    console.error("Falha ao ler a versão do catálogo:", error);
+    return next();
+  }
+
+  if (req.fresh) return res.status(304).end();
+  next();
+};
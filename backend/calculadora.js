@@ -0,0 +1,139 @@
+// Proporção estruturada das modalidades e cálculo da compensação exigida.
+//
+// A regra fica em modalidades.proporcao_regra (JSON, migração 010), ao lado do
+// texto livre de "proporcao", que continua sendo o exibido no guia:
+//   {
+//     "base": "area" | "valor",
+//     "razao": 2,
+//     "unidade": "ha",
+//     "condicoes": [{ "chave": "mesma_bacia", "descricao": "...", "fator": 2 }]
+//   }
+// - base "area": razao é a área a compensar por unidade de área impactada
+//   (2 = 2:1). A área é informada em hectares; unidade "ha" ou "m2" é a do resultado.
+// - base "valor": razao é a fração do valor do empreendimento (0.005 = 0,5%),
+//   com unidade "R$".
+// - condicoes: situações que o usuário marca na calculadora; cada uma marcada
+//   multiplica a razão pelo seu fator (ex: área fora da mesma bacia dobra a razão).
+
+export const BASES = {
+  area: { unidades: ["ha", "m2"], entrada: "area" },
+  valor: { unidades: ["R$"], entrada: "valor" },
+};
+
+const M2_POR_HA = 10000;
+
+const numeroPositivo = (valor) =>
+  typeof valor === "number" && Number.isFinite(valor) && valor > 0;
+
+// Lê a regra (objeto ou texto JSON) e devolve { regra, errors }, com a regra
+// normalizada (só os campos conhecidos) quando não houver erros.
+export const lerRegraProporcao = (entrada) => {
+  let regra = entrada;
+
+  if (typeof entrada === "string") {
+    try {
+      regra = JSON.parse(entrada);
+    } catch {
+      return { regra: null, errors: ["Deve ser um JSON válido."] };
+    }
+  }
+  if (!regra || typeof regra !== "object" || Array.isArray(regra)) {
+    return { regra: null, errors: ["Deve ser um objeto com base e razao."] };
+  }
+
+  const errors = [];
+  const base = BASES[regra.base];
+
+  if (!base) {
+    errors.push(`base deve ser: ${Object.keys(BASES).join(", ")}.`);
+  }
+  if (!numeroPositivo(regra.razao)) {
+    errors.push("razao deve ser um número maior que zero.");
+  }
+
+  const unidade = regra.unidade ?? base?.unidades[0];
+  if (base && !base.unidades.includes(unidade)) {
+    errors.push(
+      `unidade deve ser ${base.unidades.join(" ou ")} para a base "${
+        regra.base
+      }".`
+    );
+  }
+
+  const condicoes = regra.condicoes ?? [];
+  if (!Array.isArray(condicoes)) {
+    errors.push("condicoes deve ser uma lista.");
+  } else {
+    const chaves = new Set();
+    condicoes.forEach((condicao, i) => {
+      if (!/^[a-z0-9_]{1,50}$/.test(condicao?.chave ?? "")) {
+        errors.push(
+          `condicoes[${i}].chave deve ter só letras minúsculas, números e "_".`
+        );
+      } else if (chaves.has(condicao.chave)) {
+        errors.push(`condicoes[${i}].chave repetida: ${condicao.chave}.`);
+      }
+      chaves.add(condicao?.chave);
+
+      if (!String(condicao?.descricao ?? "").trim()) {
+        errors.push(`condicoes[${i}].descricao é obrigatória.`);
+      }
+      if (!numeroPositivo(condicao?.fator)) {
+        errors.push(`condicoes[${i}].fator deve ser um número maior que zero.`);
+      }
+    });
+  }
+
+  if (errors.length > 0) return { regra: null, errors };
+
+  return {
+    regra: {
+      base: regra.base,
+      razao: regra.razao,
+      unidade,
+      condicoes: condicoes.map(({ chave, descricao, fator }) => ({
+        chave,
+        descricao: String(descricao).trim(),
+        fator,
+      })),
+    },
+    errors: [],
+  };
+};
+
+// Calcula a compensação de uma regra já validada.
+// entrada: { area (ha), valor (R$), condicoes: [chaves marcadas] }
+// Devolve { resultado, unidade, razao_aplicada, condicoes_aplicadas } ou,
+// quando falta o dado de que a regra depende, { resultado: null, motivo }.
+export const calcularCompensacao = (regra, entrada) => {
+  const quantidade = entrada[BASES[regra.base].entrada];
+
+  if (quantidade === null || quantidade === undefined) {
+    return {
+      resultado: null,
+      motivo:
+        regra.base === "area"
+          ? "Informe a área impactada para calcular."
+          : "Informe o valor do empreendimento para calcular.",
+    };
+  }
+
+  const marcadas = new Set(entrada.condicoes || []);
+  const condicoesAplicadas = regra.condicoes.filter((c) =>
+    marcadas.has(c.chave)
+  );
+  const razaoAplicada = condicoesAplicadas.reduce(
+    (razao, c) => razao * c.fator,
+    regra.razao
+  );
+
+  let resultado = quantidade * razaoAplicada;
+  if (regra.unidade === "m2") resultado *= M2_POR_HA;
+
+  return {
+    resultado,
+    unidade: regra.unidade,
+    razao_aplicada: razaoAplicada,
+    condicoes_aplicadas: condicoesAplicadas.map((c) => c.chave),
+  };
+};
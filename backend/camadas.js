@@ -0,0 +1,233 @@
+// Registro das camadas WFS da IDE SISEMA que o guia pode consultar.
+// Só as camadas listadas aqui são acessíveis pelo proxy, e só com os atributos
+// em `atributos` (usados em propertyName, sortBy e cql_filter).
+// Os nomes dos atributos seguem o DescribeFeatureType de cada camada no GeoServer.
+export const CAMADAS = [
+  {
+    id: "unidades-conservacao",
+    titulo: "Unidades de Conservação Estaduais",
+    typename: "ide_2010_mg_unidades_conservacao_estaduais_pol",
+    geometria: "MultiPolygon",
+    campoGeometria: "geom",
+    atributos: [
+      "nome",
+      "categoria",
+      "grupo",
+      "esfera",
+      "area_ha",
+      "ano_criacao",
+      "ato_legal",
+    ],
+  },
+  {
+    id: "imoveis-compensacao",
+    titulo: "Imóveis Disponíveis para Compensação Ambiental",
+    typename: "ide_2104_mg_imoveis_disponiveis_compensacao_ambiental_pto",
+    geometria: "Point",
+    campoGeometria: "geom",
+    atributos: [
+      "nome",
+      "municipio",
+      "area_ha",
+      "bioma",
+      "uc",
+      "situacao",
+      "contato",
+    ],
+  },
+];
+
+export const buscarCamada = (id) => CAMADAS.find((camada) => camada.id === id);
+
+// Limite de feições por requisição, para não sobrecarregar o GeoServer.
+export const MAX_FEICOES = 1000;
+
+// As feições sempre voltam em coordenadas geográficas (lon/lat), prontas para o mapa.
+export const SRS_SAIDA = "EPSG:4326";
+
+// Palavras reservadas e funções espaciais aceitas em um filtro CQL/ECQL.
+const PALAVRAS_CQL = new Set([
+  "AND",
+  "OR",
+  "NOT",
+  "LIKE",
+  "ILIKE",
+  "IN",
+  "BETWEEN",
+  "IS",
+  "NULL",
+  "TRUE",
+  "FALSE",
+  "INTERSECTS",
+  "DISJOINT",
+  "CONTAINS",
+  "WITHIN",
+  "TOUCHES",
+  "CROSSES",
+  "OVERLAPS",
+  "EQUALS",
+  "DWITHIN",
+  "BEYOND",
+  "BBOX",
+  "POINT",
+  "LINESTRING",
+  "POLYGON",
+  "MULTIPOINT",
+  "MULTILINESTRING",
+  "MULTIPOLYGON",
+  "METERS",
+  "KILOMETERS",
+  "FEET",
+  "EPSG",
+]);
+
+// bbox = "minx,miny,maxx,maxy" com CRS opcional no fim (ex: "...,EPSG:4326").
+const validarBbox = (bbox) => {
+  const partes = String(bbox).split(",");
+  if (partes.length !== 4 && partes.length !== 5) return null;
+
+  const numeros = partes.slice(0, 4).map(Number);
+  if (numeros.some((n) => !Number.isFinite(n))) return null;
+  if (numeros[0] > numeros[2] || numeros[1] > numeros[3]) return null;
+
+  const crs = partes[4];
+  if (crs !== undefined && !/^(EPSG:\d+|urn:ogc:def:crs:EPSG::\d+)$/i.test(crs))
+    return null;
+
+  return [...numeros, ...(crs ? [crs] : [])].join(",");
+};
+
+// Confere se todos os identificadores usados no filtro (fora das strings entre
+// aspas simples) são atributos permitidos da camada ou palavras do CQL.
+const identificadoresInvalidos = (cql, camada) => {
+  const semStrings = cql.replace(/'(?:[^']|'')*'/g, "''");
+  if (/[;"\\]/.test(semStrings)) return ["caracteres não permitidos"];
+
+  const permitidos = new Set([...camada.atributos, camada.campoGeometria]);
+  const identificadores = semStrings.match(/[A-Za-z_][A-Za-z0-9_]*/g) || [];
+
+  return identificadores.filter(
+    (id) => !permitidos.has(id) && !PALAVRAS_CQL.has(id.toUpperCase())
+  );
+};
+
+// Valida a query string de /api/v2/sisema/layers/:layerId e a converte nos
+// parâmetros do GetFeature. Retorna { params, errors } no formato de validacao.js.
+export const validarConsultaCamada = (camada, query) => {
+  const errors = [];
+  const params = { typeNames: camada.typename, srsName: SRS_SAIDA };
+
+  // Parâmetros repetidos (?bbox=..&bbox=..) chegam como lista e são recusados.
+  const repetidos = Object.keys(query).filter((nome) =>
+    Array.isArray(query[nome])
+  );
+  if (repetidos.length > 0) {
+    return {
+      params,
+      errors: repetidos.map((field) => ({
+        field,
+        message: "Informe o parâmetro apenas uma vez.",
+      })),
+    };
+  }
+
+  if (query.bbox) {
+    const bbox = validarBbox(query.bbox);
+    if (bbox) params.bbox = bbox;
+    else
+      errors.push({
+        field: "bbox",
+        message: "Use minx,miny,maxx,maxy com CRS opcional (ex: EPSG:4326).",
+      });
+  }
+
+  if (query.cql_filter) {
+    const invalidos = identificadoresInvalidos(query.cql_filter, camada);
+    if (query.cql_filter.length > 1000) {
+      errors.push({ field: "cql_filter", message: "Filtro muito longo." });
+    } else if (invalidos.length > 0) {
+      errors.push({
+        field: "cql_filter",
+        message: `Termos não permitidos: ${invalidos.join(", ")}`,
+      });
+    } else {
+      params.cql_filter = query.cql_filter;
+    }
+  }
+
+  if (query.bbox && query.cql_filter) {
+    // O GeoServer não aceita bbox e cql_filter juntos; o bbox vira parte do filtro.
+    errors.push({
+      field: "bbox",
+      message: "Use BBOX(...) dentro do cql_filter ao combinar os dois.",
+    });
+  }
+
+  if (query.count !== undefined) {
+    const count = Number(query.count);
+    if (Number.isInteger(count) && count > 0 && count <= MAX_FEICOES)
+      params.count = count;
+    else
+      errors.push({
+        field: "count",
+        message: `Deve ser um inteiro entre 1 e ${MAX_FEICOES}.`,
+      });
+  } else {
+    params.count = MAX_FEICOES;
+  }
+
+  if (query.startIndex !== undefined) {
+    const startIndex = Number(query.startIndex);
+    if (Number.isInteger(startIndex) && startIndex >= 0)
+      params.startIndex = startIndex;
+    else
+      errors.push({
+        field: "startIndex",
+        message: "Deve ser um inteiro maior ou igual a zero.",
+      });
+  }
+
+  if (query.propertyName) {
+    const nomes = String(query.propertyName).split(",");
+    const invalidos = nomes.filter((nome) => !camada.atributos.includes(nome));
+    if (invalidos.length === 0)
+      // A geometria sempre vai junto, para que o resultado continue sendo um GeoJSON desenhável.
+      params.propertyName = [...nomes, camada.campoGeometria].join(",");
+    else
+      errors.push({
+        field: "propertyName",
+        message: `Atributos não permitidos: ${invalidos.join(", ")}`,
+      });
+  }
+
+  // sortBy = "atributo" ou "atributo:asc|desc", separados por vírgula.
+  if (query.sortBy) {
+    const criterios = String(query.sortBy)
+      .split(",")
+      .map((criterio) => criterio.split(":"));
+    const invalidos = criterios.filter(
+      ([nome, ordem = "asc"]) =>
+        !camada.atributos.includes(nome) ||
+        !["asc", "desc"].includes(ordem.toLowerCase())
+    );
+    if (invalidos.length === 0)
+      params.sortBy = criterios
+        .map(([nome, ordem = "asc"]) => `${nome} ${ordem.toUpperCase()}`)
+        .join(",");
+    else
+      errors.push({
+        field: "sortBy",
+        message: "Use atributo ou atributo:asc|desc com atributos permitidos.",
+      });
+  }
+
+  return { params, errors };
+};
+
+// Versão pública da camada, sem detalhes internos do GeoServer.
+export const descreverCamada = ({ id, titulo, geometria, atributos }) => ({
+  id,
+  titulo,
+  geometria,
+  atributos,
+});
@@ -0,0 +1,191 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import {
+  MODALIDADE_VISIVEL_AO_PUBLICO,
+  versaoDeTrabalho,
+  versaoPublica,
+} from "./publicacao.js";
+import { MIME_CSV, MIME_XLSX, gerarCsv, gerarXlsx } from "./planilhas.js";
+
+// ===============================================
+// === COMPARAÇÃO DE MODALIDADES =================
+// ===============================================
+// Várias modalidades do mesmo tipo lado a lado, campo a campo, indicando os
+// campos em que elas diferem. A comparação pode ser baixada em CSV ou XLSX.
+
+// Campos comparados, com os rótulos dos detalhes da modalidade no guia (app.js)
+const CAMPOS = {
+  proporcao: "Proporção",
+  forma: "Forma",
+  especificidades: "Especificidades da Área",
+  vantagens: "Vantagens",
+  desvantagens: "Desvantagens",
+  documentos: "Documentos Necessários",
+};
+
+const MAXIMO = 10;
+
+// Textos que só diferem em espaços ou maiúsculas contam como iguais
+const normalizar = (valor) =>
+  String(valor ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+// Lê ?ids=1,2,3. Devolve { ids } ou { error }. As repetições saem depois da
+// conversão para número: "1,01" é uma modalidade só.
+const lerIds = (texto) => {
+  const partes = String(texto ?? "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (!partes.every((id) => /^\d+$/.test(id))) {
+    return {
+      error: "ids deve ser uma lista de números separados por vírgula.",
+    };
+  }
+  const ids = [...new Set(partes.map(Number))];
+  if (ids.length < 2 || ids.length > MAXIMO) {
+    return { error: `Informe de 2 a ${MAXIMO} modalidades em ?ids=.` };
+  }
+  return { ids };
+};
+
+// Monta a comparação: { tipo, modalidades: [...], campos: [{ campo, rotulo, valores, diferente }] }.
+// As modalidades vêm na ordem dos ids. `previa` usa a versão de trabalho,
+// rascunhos inclusive (ver revisao.js).
+const compararModalidades = async (ids, { previa = false } = {}) => {
+  const { rows } = await db.execute({
+    sql: `SELECT * FROM modalidades
+          WHERE id IN (${ids.map(() => "?").join(", ")})
+            AND ${
+              previa ? "excluido_em IS NULL" : MODALIDADE_VISIVEL_AO_PUBLICO
+            }`,
+    args: ids,
+  });
+  const modalidades = ids
+    .map((id) => rows.find((r) => r.id == id))
+    .filter(Boolean)
+    .map(previa ? versaoDeTrabalho : versaoPublica);
+
+  if (modalidades.length < ids.length) {
+    const encontrados = modalidades.map((m) => Number(m.id));
+    return {
+      status: 404,
+      error: `Modalidades não encontradas: ${ids
+        .filter((id) => !encontrados.includes(id))
+        .join(", ")}`,
+    };
+  }
+  if (new Set(modalidades.map((m) => Number(m.tipo_id))).size > 1) {
+    return {
+      status: 400,
+      error:
+        "As modalidades comparadas devem ser do mesmo tipo de compensação.",
+    };
+  }
+
+  const { rows: tipos } = await db.execute({
+    sql: "SELECT id, nome, slug FROM tipos_compensacao WHERE id = ?",
+    args: [modalidades[0].tipo_id],
+  });
+
+  return {
+    data: {
+      tipo: tipos[0] ?? null,
+      modalidades: modalidades.map((m) => ({
+        id: m.id,
+        nome: m.nome,
+        slug: m.slug,
+        ...Object.fromEntries(
+          Object.keys(CAMPOS).map((campo) => [campo, m[campo] ?? null])
+        ),
+      })),
+      campos: Object.entries(CAMPOS).map(([campo, rotulo]) => {
+        const valores = modalidades.map((m) => m[campo] ?? null);
+        return {
+          campo,
+          rotulo,
+          valores,
+          diferente: new Set(valores.map(normalizar)).size > 1,
+        };
+      }),
+    },
+  };
+};
+
+// Tabela da exportação: uma linha por campo e uma coluna por modalidade
+const tabelaDaComparacao = ({ modalidades, campos }) => {
+  const nomes = modalidades.map((m) =>
+    modalidades.filter((outra) => outra.nome === m.nome).length > 1
+      ? `${m.nome} (${m.id})`
+      : m.nome
+  );
+  const colunas = ["Campo", ...nomes, "Diferenças"];
+  const linhas = campos.map(({ rotulo, valores, diferente }) => ({
+    Campo: rotulo,
+    ...Object.fromEntries(nomes.map((nome, i) => [nome, valores[i] ?? ""])),
+    Diferenças: diferente ? "Sim" : "Não",
+  }));
+  return { colunas, linhas };
+};
+
+const FORMATOS = ["json", "csv", "xlsx"];
+
+const comparar =
+  ({ previa }) =>
+  async (req, res) => {
+    const formato = req.query.formato || "json";
+    if (!FORMATOS.includes(formato)) {
+      return res
+        .status(400)
+        .json({ error: `formato deve ser: ${FORMATOS.join(", ")}.` });
+    }
+    const { ids, error } = lerIds(req.query.ids);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const comparacao = await compararModalidades(ids, { previa });
+      if (comparacao.error) {
+        return res.status(comparacao.status).json({ error: comparacao.error });
+      }
+      if (formato === "json") {
+        return res.status(200).json({ data: comparacao.data });
+      }
+
+      const { colunas, linhas } = tabelaDaComparacao(comparacao.data);
+      const conteudo =
+        formato === "xlsx"
+          ? await gerarXlsx([{ nome: "Comparação", colunas, linhas }])
+          : gerarCsv(colunas, linhas);
+      res.setHeader(
+        "Content-Type",
+        formato === "xlsx" ? MIME_XLSX : `${MIME_CSV}; charset=utf-8`
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="comparacao-modalidades.${formato}"`
+      );
+      res.send(conteudo);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const comparacaoRouter = express.Router();
+
+// Rota pública (ex: /api/v2/modalidades/comparar?ids=3,5&formato=xlsx).
+// formato: json (padrão), csv ou xlsx.
+comparacaoRouter.get("/modalidades/comparar", comparar({ previa: false }));
+
+// Mesma comparação na pré-visualização, com rascunhos
+comparacaoRouter.get(
+  "/previa/modalidades/comparar",
+  requireEditor,
+  comparar({ previa: true })
+);
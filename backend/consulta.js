@@ -0,0 +1,60 @@
+// ===============================================
+// === FILTROS DAS ROTAS PÚBLICAS DE LISTAGEM ====
+// ===============================================
+// Leitura dos parâmetros ?fields= e ?limite=&pagina= das listagens do catálogo.
+// Os problemas vão para `errors` no formato de validarCorpo (ver validacao.js),
+// para que a rota responda 400 com todos eles de uma vez.
+
+const LIMITE_PADRAO = 50;
+const LIMITE_MAXIMO = 200;
+
+// ?fields=id,nome,proporcao -> ["id", "nome", "proporcao"]; sem ?fields, null (todos)
+export const lerCampos = (query, permitidos, errors) => {
+  if (query.fields === undefined) return null;
+
+  const campos = [
+    ...new Set(
+      String(query.fields)
+        .split(",")
+        .map((campo) => campo.trim())
+        .filter(Boolean)
+    ),
+  ];
+  const desconhecidos = campos
+    .filter((campo) => !permitidos.includes(campo))
+    .join(", ");
+
+  if (campos.length === 0) {
+    errors.push({ field: "fields", message: "Informe ao menos um campo." });
+  } else if (desconhecidos) {
+    const disponiveis = permitidos.join(", ");
+    errors.push({
+      field: "fields",
+      message: `Campos desconhecidos: ${desconhecidos}. Disponíveis: ${disponiveis}.`,
+    });
+  }
+  return campos;
+};
+
+// ?limite=20&pagina=2 -> { limite: 20, pagina: 2, offset: 20 }. Sem nenhum dos
+// dois, null: a listagem vem inteira, como antes da paginação.
+export const lerPaginacao = (query, errors) => {
+  if (query.limite === undefined && query.pagina === undefined) return null;
+
+  const limite = Number(query.limite ?? LIMITE_PADRAO);
+  const pagina = Number(query.pagina ?? 1);
+
+  if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+    errors.push({
+      field: "limite",
+      message: `Deve ser um inteiro de 1 a ${LIMITE_MAXIMO}.`,
+    });
+  }
+  if (!Number.isInteger(pagina) || pagina < 1) {
+    errors.push({
+      field: "pagina",
+      message: "Deve ser um inteiro a partir de 1.",
+    });
+  }
+  return { limite, pagina, offset: (pagina - 1) * limite };
+};
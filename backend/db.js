@@ -0,0 +1,18 @@
+import "dotenv/config";
+import { createClient } from "@libsql/client";
+
+const isProduction = process.env.NODE_ENV === "production";
+
+const dbConfig = isProduction
+  ? {
+      url: process.env.DATABASE_URI_PROD,
+      authToken: process.env.TURSO_AUTH_TOKEN,
+    }
+  : {
+      url: process.env.DATABASE_URI_DEV,
+    };
+
+// --- Conexão com o Banco de Dados ---
+// Fica em um módulo próprio para que server.js e os demais módulos do backend
+// compartilhem a mesma conexão sem importar o servidor (que já sobe o listen).
+export const db = createClient(dbConfig);
@@ -0,0 +1,382 @@
+import JSZip from "jszip";
+
+// Geração de documentos PDF e DOCX a partir de uma lista de blocos:
+//   { tipo: "titulo" | "subtitulo" | "texto", texto }
+//   { tipo: "link", texto, url }
+// Quebras de linha em `texto` viram parágrafos. Usado pelo dossiê da
+// modalidade (dossie.js).
+
+export const MIME_PDF = "application/pdf";
+export const MIME_DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const paragrafos = (texto) =>
+  String(texto ?? "")
+    .split(/\r?\n/)
+    .map((linha) => linha.trim())
+    .filter(Boolean);
+
+// ===============================================
+// === PDF =======================================
+// ===============================================
+// PDF 1.4 com as fontes padrão Helvetica e Helvetica-Bold (não embutidas), em
+// WinAnsiEncoding, que cobre os acentos do português; os outros caracteres são
+// aproximados (ver paraWinAnsi). Página A4.
+
+const PAGINA = { largura: 595, altura: 842, margem: 56 };
+
+const ESTILOS = {
+  titulo: { fonte: "F2", tamanho: 18, entrelinha: 22, antes: 0, depois: 8 },
+  subtitulo: { fonte: "F2", tamanho: 12, entrelinha: 16, antes: 12, depois: 2 },
+  texto: { fonte: "F1", tamanho: 10.5, entrelinha: 14, antes: 0, depois: 4 },
+  link: { fonte: "F1", tamanho: 9, entrelinha: 12, antes: 0, depois: 6 },
+};
+
+// Larguras da Helvetica (em milésimos do corpo) dos caracteres 32 a 126;
+// letras acentuadas usam a largura da letra base.
+const LARGURAS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+const larguraTexto = (texto, { fonte, tamanho }) => {
+  const semAcentos = texto.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  let total = 0;
+  for (const caractere of semAcentos) {
+    total += LARGURAS[caractere.charCodeAt(0) - 32] ?? 556;
+  }
+  // A Helvetica-Bold é um pouco mais larga; a folga evita estourar a margem
+  return (total * tamanho * (fonte === "F2" ? 1.07 : 1)) / 1000;
+};
+
+// Caracteres do Windows-1252 de 0x80 a 0x9f ("_" nas posições sem caractere)
+const CP1252 = "€_‚ƒ„…†‡ˆ‰Š‹Œ_Ž__‘’“”•–—˜™š›œ_žŸ";
+
+// Símbolos comuns nos textos das normas que faltam no WinAnsi, com uma
+// aproximação legível
+const APROXIMACOES = {
+  "≥": ">=",
+  "≤": "<=",
+  "≠": "<>",
+  "≈": "~",
+  "−": "-",
+  "‐": "-",
+  "‑": "-",
+  "‒": "-",
+  "→": "->",
+  "←": "<-",
+  "⇒": "=>",
+  "′": "'",
+  "″": '"',
+  "∙": "·",
+  "⋅": "·",
+};
+
+const codificavel = (caractere) => {
+  const codigo = caractere.codePointAt(0);
+  return (
+    (codigo >= 32 && codigo < 127) ||
+    (codigo >= 160 && codigo <= 255) ||
+    (caractere !== "_" && CP1252.includes(caractere))
+  );
+};
+
+// Deixa no texto só caracteres do WinAnsi: os de controle saem, os símbolos
+// acima viram a aproximação e os demais, a decomposição Unicode (ex: "ﬁ" ->
+// "fi", "ő" -> "o") ou, em último caso, "?".
+const paraWinAnsi = (texto) =>
+  [...texto.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g, "")]
+    .map((caractere) => {
+      if (codificavel(caractere)) return caractere;
+      if (APROXIMACOES[caractere]) return APROXIMACOES[caractere];
+      const decomposto = caractere
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "");
+      return decomposto && [...decomposto].every(codificavel)
+        ? decomposto
+        : "?";
+    })
+    .join("");
+
+// Texto em string hexadecimal do PDF (dispensa escapar parênteses e barras)
+const textoPdf = (texto) => {
+  const bytes = [...texto].map((caractere) => {
+    const codigo = caractere.codePointAt(0);
+    const posicao = CP1252.indexOf(caractere);
+    if (caractere !== "_" && posicao >= 0) return 0x80 + posicao;
+    return codigo >= 32 && codigo <= 255 && (codigo < 127 || codigo > 159)
+      ? codigo
+      : 63; // "?"
+  });
+  return `<${Buffer.from(bytes).toString("hex")}>`;
+};
+
+// Quebra o texto em linhas que cabem na largura útil da página
+const quebrarLinhas = (texto, estilo, largura) => {
+  const linhas = [];
+  let atual = "";
+
+  for (const palavra of paraWinAnsi(texto).split(/\s+/)) {
+    const tentativa = atual ? `${atual} ${palavra}` : palavra;
+    if (larguraTexto(tentativa, estilo) <= largura || !atual) {
+      atual = tentativa;
+    } else {
+      linhas.push(atual);
+      atual = palavra;
+    }
+  }
+  if (atual) linhas.push(atual);
+
+  // Palavras maiores que a linha (ex: URLs longas) são cortadas por caractere
+  return linhas.flatMap((linha) => {
+    if (larguraTexto(linha, estilo) <= largura) return [linha];
+    const partes = [];
+    let parte = "";
+    for (const caractere of linha) {
+      if (larguraTexto(parte + caractere, estilo) > largura) {
+        partes.push(parte);
+        parte = "";
+      }
+      parte += caractere;
+    }
+    return [...partes, parte];
+  });
+};
+
+export const gerarPdf = (blocos, { titulo = "" } = {}) => {
+  const larguraUtil = PAGINA.largura - 2 * PAGINA.margem;
+  const paginas = [];
+  let pagina;
+  let y;
+
+  const novaPagina = () => {
+    pagina = { comandos: [], links: [] };
+    paginas.push(pagina);
+    y = PAGINA.altura - PAGINA.margem;
+  };
+  novaPagina();
+
+  const escreverLinha = (linha, estilo, url) => {
+    if (y - estilo.entrelinha < PAGINA.margem + 20) novaPagina();
+    y -= estilo.entrelinha;
+
+    const cor = url ? "0 0.27 0.6 rg" : "0 0 0 rg";
+    pagina.comandos.push(
+      `BT ${cor} /${estilo.fonte} ${estilo.tamanho} Tf ${
+        PAGINA.margem
+      } ${y.toFixed(2)} Td ${textoPdf(linha)} Tj ET`
+    );
+    if (url) {
+      pagina.links.push({
+        url,
+        retangulo: [
+          PAGINA.margem,
+          y - 2,
+          PAGINA.margem + larguraTexto(linha, estilo),
+          y + estilo.tamanho,
+        ],
+      });
+    }
+  };
+
+  for (const bloco of blocos) {
+    const estilo = ESTILOS[bloco.tipo];
+    const textos =
+      bloco.tipo === "link" ? [bloco.url] : paragrafos(bloco.texto);
+
+    if (bloco.tipo === "link") {
+      // O nome da norma no estilo do texto, com a URL clicável logo abaixo
+      const nome = quebrarLinhas(bloco.texto, ESTILOS.texto, larguraUtil);
+      nome.forEach((linha) => escreverLinha(linha, ESTILOS.texto));
+    }
+
+    y -= estilo.antes;
+    for (const paragrafo of textos) {
+      for (const linha of quebrarLinhas(paragrafo, estilo, larguraUtil))
+        escreverLinha(linha, estilo, bloco.url);
+      y -= estilo.depois;
+    }
+  }
+
+  // Rodapé com a numeração, agora que o total de páginas é conhecido
+  paginas.forEach((p, i) => {
+    const rodape = `${titulo ? `${titulo} · ` : ""}Página ${i + 1} de ${
+      paginas.length
+    }`;
+    p.comandos.push(
+      `BT 0.4 0.4 0.4 rg /F1 8 Tf ${PAGINA.margem} ${
+        PAGINA.margem - 20
+      } Td ${textoPdf(paraWinAnsi(rodape))} Tj ET`
+    );
+  });
+
+  // Objetos: 1 catálogo, 2 árvore de páginas, 3 e 4 fontes; depois, para cada
+  // página, a página, o seu conteúdo e as anotações dos links.
+  const objetos = [];
+  // Devolve o número do objeto adicionado
+  const adicionar = (conteudo) => objetos.push(conteudo);
+
+  adicionar("<< /Type /Catalog /Pages 2 0 R >>");
+  adicionar(null); // árvore de páginas, preenchida no fim
+  adicionar(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  );
+  adicionar(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  );
+
+  const idsPaginas = paginas.map((p) => {
+    const conteudo = p.comandos.join("\n");
+    const idConteudo = adicionar(
+      `<< /Length ${Buffer.byteLength(
+        conteudo,
+        "latin1"
+      )} >>\nstream\n${conteudo}\nendstream`
+    );
+    const idsLinks = p.links.map(({ url, retangulo }) =>
+      adicionar(
+        `<< /Type /Annot /Subtype /Link /Rect [${retangulo
+          .map((v) => v.toFixed(2))
+          .join(" ")}] /Border [0 0 0] /A << /S /URI /URI ${textoPdf(
+          url
+        )} >> >>`
+      )
+    );
+    return adicionar(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGINA.largura} ${
+        PAGINA.altura
+      }] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${idConteudo} 0 R${
+        idsLinks.length > 0
+          ? ` /Annots [${idsLinks.map((id) => `${id} 0 R`).join(" ")}]`
+          : ""
+      } >>`
+    );
+  });
+  objetos[1] = `<< /Type /Pages /Kids [${idsPaginas
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${idsPaginas.length} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const posicoes = objetos.map((conteudo, i) => {
+    const posicao = Buffer.byteLength(pdf, "latin1");
+    pdf += `${i + 1} 0 obj\n${conteudo}\nendobj\n`;
+    return posicao;
+  });
+  const inicioXref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+  pdf += posicoes
+    .map((p) => `${String(p).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${
+    objetos.length + 1
+  } /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+// ===============================================
+// === DOCX ======================================
+// ===============================================
+// Documento WordprocessingML mínimo, com formatação direta nos trechos (sem
+// styles.xml) e os links como hyperlinks externos.
+
+// Os caracteres de controle (exceto tab e quebras de linha) não são permitidos
+// em XML 1.0 nem escapados: o Word recusa o arquivo inteiro
+const escaparXml = (texto) =>
+  String(texto)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, "")
+    .replace(
+      /[&<>"]/g,
+      (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c])
+    );
+
+const TAMANHOS_DOCX = { titulo: 36, subtitulo: 24, texto: 21, link: 18 }; // meios-pontos
+
+const trecho = (texto, { negrito = false, tamanho, link = false }) =>
+  `<w:r><w:rPr>${negrito ? "<w:b/>" : ""}${
+    link ? '<w:color w:val="0563C1"/><w:u w:val="single"/>' : ""
+  }<w:sz w:val="${tamanho}"/></w:rPr><w:t xml:space="preserve">${escaparXml(
+    texto
+  )}</w:t></w:r>`;
+
+const paragrafo = (conteudo, espacoAntes = 0) =>
+  `<w:p><w:pPr><w:spacing w:before="${espacoAntes}" w:after="80"/></w:pPr>${conteudo}</w:p>`;
+
+export const gerarDocx = async (blocos) => {
+  const relacoes = [];
+  const corpo = blocos.flatMap((bloco) => {
+    const tamanho = TAMANHOS_DOCX[bloco.tipo];
+
+    if (bloco.tipo === "link") {
+      relacoes.push(bloco.url);
+      const id = `rIdLink${relacoes.length}`;
+      return [
+        paragrafo(trecho(bloco.texto, { tamanho: TAMANHOS_DOCX.texto })),
+        paragrafo(
+          `<w:hyperlink r:id="${id}">${trecho(bloco.url, {
+            tamanho,
+            link: true,
+          })}</w:hyperlink>`
+        ),
+      ];
+    }
+
+    const negrito = bloco.tipo !== "texto";
+    return paragrafos(bloco.texto).map((texto) =>
+      paragrafo(
+        trecho(texto, { negrito, tamanho }),
+        bloco.tipo === "subtitulo" ? 240 : 0
+      )
+    );
+  });
+
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`
+  );
+  zip.file(
+    "_rels/.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`
+  );
+  zip.file(
+    "word/_rels/document.xml.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relacoes
+  .map(
+    (url, i) =>
+      `<Relationship Id="rIdLink${
+        i + 1
+      }" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escaparXml(
+        url
+      )}" TargetMode="External"/>`
+  )
+  .join("\n")}
+</Relationships>`
+  );
+  zip.file(
+    "word/document.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>${corpo.join(
+      ""
+    )}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`
+  );
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
@@ -0,0 +1,128 @@
+import express from "express";
+import { db } from "./db.js";
+import { versaoPublica } from "./publicacao.js";
+import { gerarSlug } from "./slugs.js";
+import { MIME_DOCX, MIME_PDF, gerarDocx, gerarPdf } from "./documentos.js";
+
+// ===============================================
+// === DOSSIÊ DA MODALIDADE ======================
+// ===============================================
+// A orientação de uma modalidade publicada em PDF ou DOCX, para anexar a
+// relatórios: os campos exibidos no guia, as normas do tipo com os seus links
+// e a data de geração.
+
+// Mesmos campos e rótulos dos detalhes da modalidade no guia (app.js)
+const CAMPOS = {
+  proporcao: "Proporção",
+  forma: "Forma",
+  especificidades: "Especificidades da Área",
+  vantagens: "Vantagens",
+  desvantagens: "Desvantagens",
+  documentos: "Documentos Necessários",
+  observacao: "Observações",
+};
+
+const SITUACOES = { revogada: "Revogada", alterada: "Alterada" };
+
+const FORMATOS = {
+  pdf: { mime: MIME_PDF, gerar: gerarPdf },
+  docx: { mime: MIME_DOCX, gerar: gerarDocx },
+};
+
+// Monta os blocos do dossiê (ver documentos.js), ou null se a modalidade não
+// estiver publicada.
+export const montarDossie = async (modalidadeId, geradoEm = new Date()) => {
+  const { rows } = await db.execute({
+    sql: `SELECT m.*, t.nome AS tipo_nome FROM modalidades m
+          JOIN tipos_compensacao t ON t.id = m.tipo_id AND t.excluido_em IS NULL
+          WHERE m.id = ? AND m.publicado_em IS NOT NULL AND m.excluido_em IS NULL`,
+    args: [modalidadeId],
+  });
+  if (rows.length === 0) return null;
+
+  const modalidade = versaoPublica(rows[0]);
+  const { rows: normas } = await db.execute({
+    sql: `SELECT n.* FROM normas n
+          JOIN normas_tipos_compensacao ntc ON ntc.norma_id = n.id
+          WHERE ntc.tipo_id = ? AND n.publicado_em IS NOT NULL AND n.excluido_em IS NULL
+          ORDER BY n.nome`,
+    args: [modalidade.tipo_id],
+  });
+
+  const data = geradoEm.toLocaleString("pt-BR", {
+    timeZone: "America/Sao_Paulo",
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+  const blocos = [
+    { tipo: "titulo", texto: modalidade.nome },
+    {
+      tipo: "texto",
+      texto:
+        `Tipo de compensação: ${modalidade.tipo_nome}\n` +
+        `Gerado em ${data} pelo Guia de Compensação Ambiental - MG.`,
+    },
+  ];
+
+  for (const [campo, rotulo] of Object.entries(CAMPOS)) {
+    if (!String(modalidade[campo] ?? "").trim()) continue;
+    blocos.push(
+      { tipo: "subtitulo", texto: rotulo },
+      { tipo: "texto", texto: modalidade[campo] }
+    );
+  }
+
+  if (normas.length > 0) {
+    blocos.push({ tipo: "subtitulo", texto: "Normas Relacionadas" });
+    normas.map(versaoPublica).forEach((norma) => {
+      const nome = SITUACOES[norma.situacao]
+        ? `${norma.nome} (${SITUACOES[norma.situacao]})`
+        : norma.nome;
+      blocos.push(
+        norma.link
+          ? { tipo: "link", texto: nome, url: norma.link }
+          : { tipo: "texto", texto: nome }
+      );
+    });
+  }
+
+  return { nome: modalidade.nome, blocos };
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const dossieRouter = express.Router();
+
+// Rota pública para baixar o dossiê (ex: /api/v2/modalidades/3/dossie?formato=docx).
+// formato: pdf (padrão) ou docx.
+dossieRouter.get("/modalidades/:id/dossie", async (req, res) => {
+  const extensao = req.query.formato || "pdf";
+  if (!Object.hasOwn(FORMATOS, extensao)) {
+    return res.status(400).json({
+      error: `formato deve ser: ${Object.keys(FORMATOS).join(", ")}.`,
+    });
+  }
+
+  try {
+    const dossie = await montarDossie(req.params.id);
+    if (!dossie) {
+      return res.status(404).json({ error: "Modalidade não encontrada" });
+    }
+
+    const formato = FORMATOS[extensao];
+    const conteudo = await formato.gerar(dossie.blocos, {
+      titulo: dossie.nome,
+    });
+    const slug = gerarSlug(dossie.nome) || "modalidade";
+    res.setHeader("Content-Type", formato.mime);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="dossie-${slug}.${extensao}"`
+    );
+    res.send(conteudo);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
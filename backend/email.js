@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import nodemailer from "nodemailer";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Envio de e-mails (avisos de alteração, ver notificacoes.js). Todo transporte expõe:
+//   enviar({ para, assunto, texto })
+// O transporte é escolhido por EMAIL_TRANSPORTE (padrão "arquivo"), no mesmo
+// esquema de armazenamento.js: para entregar por outro serviço, basta registrar
+// outra implementação em IMPLEMENTACOES.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const REMETENTE =
+  process.env.EMAIL_REMETENTE || "nao-responda@guia-compensacao.local";
+
+const base64 = (texto) => Buffer.from(texto, "utf8").toString("base64");
+
+// Mensagem em texto puro (RFC 5322), com assunto e corpo em UTF-8. O corpo vai
+// em base64, que não tem linhas começando com "." e dispensa o escape do SMTP.
+export const montarMensagem = ({ de = REMETENTE, para, assunto, texto }) =>
+  [
+    `From: ${de}`,
+    `To: ${para}`,
+    `Subject: =?UTF-8?B?${base64(assunto)}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${de.split("@").pop()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...base64(texto).match(/.{1,76}/g),
+  ].join("\r\n");
+
+// Grava cada mensagem como um arquivo .eml em um diretório (EMAILS_DIR, padrão
+// backend/emails), para desenvolvimento e testes sem servidor de e-mail.
+export const criarTransporteArquivo = (diretorio) => ({
+  enviar: async (mensagem) => {
+    await fs.mkdir(diretorio, { recursive: true });
+    const nome = `${Date.now()}-${crypto.randomUUID()}.eml`;
+    await fs.writeFile(path.join(diretorio, nome), montarMensagem(mensagem));
+  },
+});
+
+// Entrega por um servidor SMTP (SMTP_HOST, SMTP_PORTA), via nodemailer. Com
+// SMTP_SEGURO=true a conexão já começa em TLS (porta 465); sem ele, o nodemailer
+// passa para TLS com STARTTLS quando o servidor oferece. SMTP_USUARIO e
+// SMTP_SENHA ativam a autenticação, que exige TLS: se o servidor não oferecer
+// STARTTLS, a mensagem não é enviada (a senha não trafega em texto puro).
+export const criarTransporteSmtp = ({
+  host,
+  porta = 25,
+  seguro = false,
+  usuario,
+  senha,
+  timeout = 30000,
+}) => {
+  const transporte = nodemailer.createTransport({
+    host,
+    port: porta,
+    secure: seguro,
+    requireTLS: Boolean(usuario),
+    auth: usuario ? { user: usuario, pass: senha } : undefined,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout,
+  });
+
+  return {
+    enviar: async ({ para, assunto, texto }) => {
+      await transporte.sendMail({
+        from: REMETENTE,
+        to: para,
+        subject: assunto,
+        text: texto,
+      });
+    },
+  };
+};
+
+const IMPLEMENTACOES = {
+  arquivo: () =>
+    criarTransporteArquivo(
+      process.env.EMAILS_DIR || path.join(__dirname, "emails")
+    ),
+  smtp: () =>
+    criarTransporteSmtp({
+      host: process.env.SMTP_HOST || "localhost",
+      porta: Number(process.env.SMTP_PORTA) || 25,
+      seguro: process.env.SMTP_SEGURO === "true",
+      usuario: process.env.SMTP_USUARIO,
+      senha: process.env.SMTP_SENHA,
+    }),
+};
+
+const escolhido = process.env.EMAIL_TRANSPORTE || "arquivo";
+if (!IMPLEMENTACOES[escolhido]) {
+  throw new Error(
+    `EMAIL_TRANSPORTE inválido: ${escolhido}. Use: ${Object.keys(
+      IMPLEMENTACOES
+    ).join(", ")}.`
+  );
+}
+
+export const transporteEmail = IMPLEMENTACOES[escolhido]();
@@ -0,0 +1,377 @@
+// Operações geométricas simples, feitas localmente em Node, para comparar a
+// área de um empreendimento com as Unidades de Conservação do SISEMA.
+//
+// As coordenadas chegam em lon/lat (EPSG:4326) e são projetadas em um plano
+// local (equirretangular, centrado na área consultada), onde as distâncias
+// ficam em metros. Para as distâncias envolvidas (dezenas de km) o erro é
+// desprezível para fins de triagem.
+
+const RAIO_TERRA_M = 6371008.8;
+const GRAUS_PARA_RAD = Math.PI / 180;
+
+// --- Entrada: GeoJSON e KML ---
+
+// Converte um GeoJSON (Geometry, Feature ou FeatureCollection) em uma lista
+// de geometrias simples: { tipo: "Point", coords: [lon, lat] } ou
+// { tipo: "Polygon", coords: [anelExterno, ...buracos] }.
+export const extrairGeometrias = (geojson) => {
+  if (!geojson || typeof geojson !== "object") return [];
+
+  switch (geojson.type) {
+    case "FeatureCollection":
+      return (geojson.features || []).flatMap(extrairGeometrias);
+    case "Feature":
+      return extrairGeometrias(geojson.geometry);
+    case "GeometryCollection":
+      return (geojson.geometries || []).flatMap(extrairGeometrias);
+    case "Point":
+      return [{ tipo: "Point", coords: geojson.coordinates }];
+    case "MultiPoint":
+      return geojson.coordinates.map((coords) => ({ tipo: "Point", coords }));
+    case "Polygon":
+      return [{ tipo: "Polygon", coords: geojson.coordinates }];
+    case "MultiPolygon":
+      return geojson.coordinates.map((coords) => ({ tipo: "Polygon", coords }));
+    default:
+      return [];
+  }
+};
+
+// Lê os Point e Polygon de um KML e devolve uma GeometryCollection GeoJSON.
+// Cobre o KML exportado por Google Earth, QGIS e o CAR; não interpreta estilos.
+export const kmlParaGeoJSON = (kml) => {
+  const lerCoordenadas = (texto) =>
+    texto
+      .trim()
+      .split(/\s+/)
+      .map((tupla) => tupla.split(",").slice(0, 2).map(Number))
+      .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+
+  const coordenadasDe = (trecho) =>
+    [...trecho.matchAll(/<coordinates>([\s\S]*?)<\/coordinates>/g)].map((m) =>
+      lerCoordenadas(m[1])
+    );
+
+  const geometries = [];
+
+  for (const [, poligono] of String(kml).matchAll(
+    /<Polygon[^>]*>([\s\S]*?)<\/Polygon>/g
+  )) {
+    const externo = poligono.match(
+      /<outerBoundaryIs>([\s\S]*?)<\/outerBoundaryIs>/
+    );
+    const internos = [
+      ...poligono.matchAll(/<innerBoundaryIs>([\s\S]*?)<\/innerBoundaryIs>/g),
+    ];
+    if (!externo) continue;
+
+    geometries.push({
+      type: "Polygon",
+      coordinates: [
+        ...coordenadasDe(externo[1]),
+        ...internos.flatMap((m) => coordenadasDe(m[1])),
+      ],
+    });
+  }
+
+  for (const [, ponto] of String(kml).matchAll(
+    /<Point[^>]*>([\s\S]*?)<\/Point>/g
+  )) {
+    const [coords] = coordenadasDe(ponto);
+    if (coords && coords.length > 0)
+      geometries.push({ type: "Point", coordinates: coords[0] });
+  }
+
+  return { type: "GeometryCollection", geometries };
+};
+
+// --- Projeção local ---
+
+// Caixa envolvente [minLon, minLat, maxLon, maxLat] de uma lista de geometrias.
+export const caixaEnvolvente = (geometrias) => {
+  const caixa = [Infinity, Infinity, -Infinity, -Infinity];
+
+  const incluir = ([lon, lat]) => {
+    caixa[0] = Math.min(caixa[0], lon);
+    caixa[1] = Math.min(caixa[1], lat);
+    caixa[2] = Math.max(caixa[2], lon);
+    caixa[3] = Math.max(caixa[3], lat);
+  };
+
+  geometrias.forEach((g) =>
+    g.tipo === "Point" ? incluir(g.coords) : g.coords.flat().forEach(incluir)
+  );
+  return caixa;
+};
+
+// Amplia uma caixa em lon/lat por uma distância em metros.
+export const expandirCaixa = ([minLon, minLat, maxLon, maxLat], metros) => {
+  const dLat = metros / (RAIO_TERRA_M * GRAUS_PARA_RAD);
+  const latMedia = ((minLat + maxLat) / 2) * GRAUS_PARA_RAD;
+  const dLon = dLat / Math.max(Math.cos(latMedia), 0.01);
+  return [minLon - dLon, minLat - dLat, maxLon + dLon, maxLat + dLat];
+};
+
+export const criarProjecao = ([lon0, lat0]) => {
+  const cosLat0 = Math.cos(lat0 * GRAUS_PARA_RAD);
+  return ([lon, lat]) => [
+    (lon - lon0) * GRAUS_PARA_RAD * RAIO_TERRA_M * cosLat0,
+    (lat - lat0) * GRAUS_PARA_RAD * RAIO_TERRA_M,
+  ];
+};
+
+// Projeta a geometria e pré-calcula seus segmentos e caixa (em metros).
+const prepararGeometria = (geometria, projetar) => {
+  if (geometria.tipo === "Point") {
+    const p = projetar(geometria.coords);
+    return { tipo: "Point", pontos: [p], aneis: [], caixa: [...p, ...p] };
+  }
+
+  const aneis = geometria.coords.map((anel) => anel.map(projetar));
+  const pontos = aneis.flat();
+
+  // Laço em vez de Math.min(...xs): UCs grandes têm vértices demais para spread.
+  const caixa = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of pontos) {
+    caixa[0] = Math.min(caixa[0], x);
+    caixa[1] = Math.min(caixa[1], y);
+    caixa[2] = Math.max(caixa[2], x);
+    caixa[3] = Math.max(caixa[3], y);
+  }
+
+  return { tipo: "Polygon", pontos, aneis, caixa };
+};
+
+// --- Primitivas no plano ---
+
+const segmentos = (aneis) =>
+  aneis.flatMap((anel) => anel.slice(1).map((ponto, i) => [anel[i], ponto]));
+
+// Ray casting, respeitando os buracos (regra par-ímpar sobre todos os anéis).
+const pontoNoPoligono = ([x, y], aneis) => {
+  let dentro = false;
+  for (const anel of aneis) {
+    for (let i = 0, j = anel.length - 1; i < anel.length; j = i++) {
+      const [xi, yi] = anel[i];
+      const [xj, yj] = anel[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi)
+        dentro = !dentro;
+    }
+  }
+  return dentro;
+};
+
+const distanciaPontoSegmento = ([px, py], [[ax, ay], [bx, by]]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const comprimento2 = dx * dx + dy * dy;
+  const t =
+    comprimento2 === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((px - ax) * dx + (py - ay) * dy) / comprimento2)
+        );
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+const orientacao = ([ax, ay], [bx, by], [cx, cy]) =>
+  Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+
+const segmentosSeCruzam = ([a, b], [c, d]) =>
+  orientacao(a, b, c) !== orientacao(a, b, d) &&
+  orientacao(c, d, a) !== orientacao(c, d, b);
+
+// Menor distância possível entre duas caixas (limite inferior barato).
+const distanciaCaixas = (a, b) =>
+  Math.hypot(
+    Math.max(0, a[0] - b[2], b[0] - a[2]),
+    Math.max(0, a[1] - b[3], b[1] - a[3])
+  );
+
+// Distância (m) entre duas geometrias preparadas; 0 quando se tocam.
+const distancia = (a, b) => {
+  const segA = segmentos(a.aneis);
+  const segB = segmentos(b.aneis);
+
+  if (b.tipo === "Polygon" && a.pontos.some((p) => pontoNoPoligono(p, b.aneis)))
+    return 0;
+  if (a.tipo === "Polygon" && b.pontos.some((p) => pontoNoPoligono(p, a.aneis)))
+    return 0;
+  if (segA.some((s) => segB.some((t) => segmentosSeCruzam(s, t)))) return 0;
+
+  let menor = Infinity;
+  a.pontos.forEach((p) => {
+    segB.forEach(
+      (s) => (menor = Math.min(menor, distanciaPontoSegmento(p, s)))
+    );
+    if (b.tipo === "Point")
+      menor = Math.min(
+        menor,
+        Math.hypot(p[0] - b.pontos[0][0], p[1] - b.pontos[0][1])
+      );
+  });
+  b.pontos.forEach((p) =>
+    segA.forEach((s) => (menor = Math.min(menor, distanciaPontoSegmento(p, s))))
+  );
+  return menor;
+};
+
+// A área consultada está inteiramente dentro da UC?
+const contida = (area, uc) =>
+  area.pontos.every((p) => pontoNoPoligono(p, uc.aneis)) &&
+  !segmentos(area.aneis).some((s) =>
+    segmentos(uc.aneis).some((t) => segmentosSeCruzam(s, t))
+  );
+
+// --- Análise ---
+
+// Compara a área do empreendimento (lista de geometrias lon/lat) com as feições
+// GeoJSON das UCs. Para cada UC até `distanciaMaxima` devolve a relação:
+// - "dentro": a área está inteiramente na UC
+// - "intersecta": a área toca ou cruza a UC
+// - "zona_amortecimento": fora da UC, mas a até `raioAmortecimento` metros
+// - "proxima": mais longe que isso
+// O resultado vem ordenado por distância (em metros).
+export const analisarProximidade = (
+  area,
+  feicoesUc,
+  { raioAmortecimento = 3000, distanciaMaxima = 50000 } = {}
+) => {
+  const caixa = caixaEnvolvente(area);
+  const projetar = criarProjecao([
+    (caixa[0] + caixa[2]) / 2,
+    (caixa[1] + caixa[3]) / 2,
+  ]);
+  const partesArea = area.map((g) => prepararGeometria(g, projetar));
+
+  return feicoesUc
+    .map((feicao) => {
+      const partesUc = extrairGeometrias(feicao)
+        .filter((g) => g.tipo === "Polygon")
+        .map((g) => prepararGeometria(g, projetar));
+      return { feicao, partesUc };
+    })
+    .filter(({ partesUc }) => partesUc.length > 0)
+    .map(({ feicao, partesUc }) => {
+      const pares = partesArea.flatMap((a) => partesUc.map((u) => [a, u]));
+      const distanciaMinima = Math.min(
+        ...pares.map(([a, u]) =>
+          // Pares cujas caixas já estão além do limite nem são calculados.
+          distanciaCaixas(a.caixa, u.caixa) > distanciaMaxima
+            ? Infinity
+            : distancia(a, u)
+        )
+      );
+
+      let relacao = "proxima";
+      if (distanciaMinima === 0)
+        relacao = partesArea.every((a) => partesUc.some((u) => contida(a, u)))
+          ? "dentro"
+          : "intersecta";
+      else if (distanciaMinima <= raioAmortecimento)
+        relacao = "zona_amortecimento";
+
+      return {
+        properties: feicao.properties || {},
+        distancia_m: Math.round(distanciaMinima),
+        relacao,
+      };
+    })
+    .filter((r) => r.distancia_m <= distanciaMaxima)
+    .sort((a, b) => a.distancia_m - b.distancia_m);
+};
+
+// lat/lon do formulário: número ou texto numérico, nunca vazio (Number("")
+// seria 0, um ponto no Golfo da Guiné)
+const grauValido = (valor, limite) =>
+  (typeof valor === "number" ||
+    (typeof valor === "string" && valor.trim() !== "")) &&
+  Number.isFinite(Number(valor)) &&
+  Math.abs(Number(valor)) <= limite;
+
+const coordenadaValida = (par) =>
+  Array.isArray(par) &&
+  par.length >= 2 &&
+  Number.isFinite(par[0]) &&
+  Number.isFinite(par[1]) &&
+  Math.abs(par[0]) <= 180 &&
+  Math.abs(par[1]) <= 90;
+
+// Point: um par [lon, lat]. Polygon: ao menos um anel, cada anel com ao menos
+// 4 pares (o primeiro repetido no fim).
+const geometriaValida = ({ tipo, coords }) =>
+  tipo === "Point"
+    ? coordenadaValida(coords)
+    : Array.isArray(coords) &&
+      coords.length > 0 &&
+      coords.every(
+        (anel) =>
+          Array.isArray(anel) &&
+          anel.length >= 4 &&
+          anel.every(coordenadaValida)
+      );
+
+// Lê a área a analisar do corpo da requisição: { lat, lon }, { geojson } ou
+// { kml } (o conteúdo do arquivo como texto). Retorna { area, errors } no
+// formato de validacao.js.
+export const lerAreaConsulta = ({ lat, lon, geojson, kml } = {}) => {
+  if (lat !== undefined || lon !== undefined) {
+    const errors = [
+      ["lat", lat, 90],
+      ["lon", lon, 180],
+    ]
+      .filter(([, valor, limite]) => !grauValido(valor, limite))
+      .map(([field, , limite]) => ({
+        field,
+        message: `Informe um número entre -${limite} e ${limite}, em graus decimais (WGS84).`,
+      }));
+    const area = [{ tipo: "Point", coords: [Number(lon), Number(lat)] }];
+    return { area: errors.length > 0 ? [] : area, errors };
+  }
+
+  let area = [];
+
+  try {
+    if (geojson) {
+      area = extrairGeometrias(
+        typeof geojson === "string" ? JSON.parse(geojson) : geojson
+      );
+    } else if (kml) {
+      area = extrairGeometrias(kmlParaGeoJSON(kml));
+    }
+  } catch {
+    return {
+      area: [],
+      errors: [{ field: "geojson", message: "GeoJSON inválido." }],
+    };
+  }
+
+  if (area.length === 0) {
+    return {
+      area,
+      errors: [
+        {
+          field: "area",
+          message:
+            "Informe lat/lon, um GeoJSON ou um KML com ao menos um ponto ou polígono.",
+        },
+      ],
+    };
+  }
+
+  if (!area.every(geometriaValida)) {
+    return {
+      area: [],
+      errors: [
+        {
+          field: "area",
+          message:
+            "Coordenadas inválidas: use longitude/latitude em graus decimais (WGS84).",
+        },
+      ],
+    };
+  }
+
+  return { area, errors: [] };
+};
@@ -0,0 +1,472 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { REGRAS, TABELAS, normalizarDados, validarDados } from "./validacao.js";
+import {
+  MIME_CSV,
+  MIME_XLSX,
+  gerarCsv,
+  gerarXlsx,
+  lerPlanilha,
+} from "./planilhas.js";
+import { lerRevisao, registrarRevisao } from "./auditoria.js";
+import { atribuirSlug } from "./slugs.js";
+import { gravarVersao, versaoDeTrabalho } from "./publicacao.js";
+
+// Colunas de cada entidade nas planilhas de importação/exportação.
+// - tipos.normas: nomes das normas vinculadas, separados por " | "
+// - modalidades.tipo: nome do tipo de compensação (o id também é aceito em "tipo_id")
+// - modalidades.proporcao_regra: regra de proporção em JSON (ver calculadora.js)
+export const COLUNAS = {
+  normas: [
+    "nome",
+    "link",
+    "preambulo",
+    "data_publicacao",
+    "inicio_vigencia",
+    "situacao",
+  ],
+  tipos: ["nome", "camadas_mapa", "normas"],
+  modalidades: [
+    "tipo",
+    "nome",
+    "proporcao",
+    "proporcao_regra",
+    "forma",
+    "especificidades",
+    "vantagens",
+    "desvantagens",
+    "observacao",
+    "documentos",
+    "camadas_mapa",
+  ],
+};
+
+const SEPARADOR_NORMAS = "|";
+
+// Chave usada para casar uma linha com um registro existente (nome, sem diferenciar maiúsculas).
+const chave = (...partes) =>
+  partes
+    .map((p) =>
+      String(p ?? "")
+        .trim()
+        .toLowerCase()
+    )
+    .join("\u0000");
+
+const valor = (campo) => (campo === null || campo === undefined ? null : campo);
+
+// --- Exportação ---
+// Normas e modalidades saem na versão de trabalho (com as alterações pendentes),
+// a mesma que a importação usa para comparar.
+const emTrabalho = (entidade, rows) =>
+  rows.map((r) => {
+    const registro = versaoDeTrabalho(r);
+    return Object.fromEntries(
+      COLUNAS[entidade].map((coluna) => [coluna, registro[coluna]])
+    );
+  });
+
+// Devolve as linhas de uma entidade já no formato das colunas da planilha.
+export const exportarEntidade = async (entidade, client = db) => {
+  if (entidade === "normas") {
+    const { rows } = await client.execute(
+      `SELECT nome, link, preambulo, data_publicacao, inicio_vigencia, situacao,
+              alteracoes_pendentes
+       FROM normas WHERE excluido_em IS NULL ORDER BY nome`
+    );
+    return emTrabalho(entidade, rows);
+  }
+
+  if (entidade === "tipos") {
+    const { rows } = await client.execute(`
+      SELECT t.nome, t.camadas_mapa,
+             (SELECT GROUP_CONCAT(nome, ' ${SEPARADOR_NORMAS} ')
+                FROM (SELECT n.nome FROM normas n
+                        JOIN normas_tipos_compensacao ntc ON ntc.norma_id = n.id
+                       WHERE ntc.tipo_id = t.id AND n.excluido_em IS NULL
+                       ORDER BY n.nome)) AS normas
+      FROM tipos_compensacao t
+      WHERE t.excluido_em IS NULL
+      ORDER BY t.nome
+    `);
+    return rows;
+  }
+
+  const { rows } = await client.execute(`
+    SELECT t.nome AS tipo, m.nome, m.proporcao, m.proporcao_regra, m.forma, m.especificidades,
+           m.vantagens, m.desvantagens, m.observacao, m.documentos, m.camadas_mapa,
+           m.alteracoes_pendentes
+    FROM modalidades m
+    JOIN tipos_compensacao t ON t.id = m.tipo_id
+    WHERE m.excluido_em IS NULL AND t.excluido_em IS NULL
+    ORDER BY t.nome, m.nome
+  `);
+  return emTrabalho(entidade, rows);
+};
+
+// --- Importação ---
+// Registros na lixeira também são carregados, para que a planilha não os duplique.
+// Normas e modalidades são comparadas pela versão de trabalho (ver publicacao.js).
+const carregarExistentes = async (entidade, client) => {
+  const { rows } = await client.execute(`SELECT * FROM ${TABELAS[entidade]}`);
+  const registros = entidade === "tipos" ? rows : rows.map(versaoDeTrabalho);
+
+  if (entidade === "modalidades") {
+    return new Map(registros.map((r) => [chave(r.tipo_id, r.nome), r]));
+  }
+  return new Map(registros.map((r) => [chave(r.nome), r]));
+};
+
+const carregarPorNome = async (tabela, client) => {
+  const { rows } = await client.execute(
+    `SELECT id, nome FROM ${tabela} WHERE excluido_em IS NULL`
+  );
+  return new Map(rows.map((r) => [chave(r.nome), Number(r.id)]));
+};
+
+const idsDasNormas = async (tipoId, client) => {
+  const { rows } = await client.execute({
+    sql: `SELECT ntc.norma_id FROM normas_tipos_compensacao ntc
+          JOIN normas n ON n.id = ntc.norma_id
+          WHERE ntc.tipo_id = ? AND n.excluido_em IS NULL ORDER BY ntc.norma_id`,
+    args: [tipoId],
+  });
+  return rows.map((r) => Number(r.norma_id));
+};
+
+// Analisa as linhas da planilha sem gravar nada. Devolve o plano de importação:
+// { criar: [...], atualizar: [...], inalterados, erros: [{ linha, errors }] }.
+// Colunas ausentes da planilha não são alteradas nos registros existentes.
+export const planejarImportacao = async (entidade, linhas, client = db) => {
+  const plano = { criar: [], atualizar: [], inalterados: 0, erros: [] };
+  if (linhas.length === 0) return plano;
+
+  const colunas = new Set(Object.keys(linhas[0]));
+  const existentes = await carregarExistentes(entidade, client);
+  const tiposPorNome = await carregarPorNome("tipos_compensacao", client);
+  const normasPorNome = await carregarPorNome("normas", client);
+  const vistas = new Map();
+
+  for (const [indice, original] of linhas.entries()) {
+    // Linha 1 é o cabeçalho
+    const linha = indice + 2;
+    const errors = [];
+    const dados = { ...original };
+
+    // Linhas totalmente em branco são ignoradas
+    if (Object.values(original).every((v) => String(v ?? "").trim() === "")) {
+      continue;
+    }
+
+    if (entidade === "modalidades" && String(dados.tipo ?? "").trim()) {
+      const tipoId = tiposPorNome.get(chave(dados.tipo));
+      if (tipoId) dados.tipo_id = tipoId;
+      else
+        errors.push({
+          field: "tipo",
+          message: `Tipo de compensação não encontrado: ${dados.tipo}`,
+        });
+    }
+
+    let normaIds = null;
+    if (entidade === "tipos" && colunas.has("normas")) {
+      const nomes = String(dados.normas ?? "")
+        .split(SEPARADOR_NORMAS)
+        .map((n) => n.trim())
+        .filter(Boolean);
+      const desconhecidas = nomes.filter((n) => !normasPorNome.has(chave(n)));
+
+      if (desconhecidas.length > 0) {
+        errors.push({
+          field: "normas",
+          message: `Normas não encontradas: ${desconhecidas.join(", ")}`,
+        });
+      }
+      normaIds = [
+        ...new Set(nomes.map((n) => normasPorNome.get(chave(n)))),
+      ].sort((a, b) => a - b);
+    }
+
+    const k =
+      entidade === "modalidades"
+        ? chave(dados.tipo_id, dados.nome)
+        : chave(dados.nome);
+    const existente = existentes.get(k);
+
+    if (existente?.excluido_em) {
+      errors.push({
+        field: "nome",
+        message: "O registro está na lixeira. Restaure-o antes de importar.",
+      });
+    }
+
+    // Na atualização, as colunas que não vieram na planilha mantêm o valor atual
+    const completos = existente ? { ...existente } : {};
+    for (const campo of Object.keys(dados)) {
+      if (colunas.has(campo) || campo === "tipo_id")
+        completos[campo] = dados[campo];
+    }
+
+    if (!errors.some((e) => e.field === "tipo")) {
+      errors.push(...(await validarDados(entidade, completos, client)));
+    }
+
+    if (vistas.has(k)) {
+      errors.push({
+        field: "nome",
+        message: `Registro repetido na planilha (mesmo da linha ${vistas.get(
+          k
+        )}).`,
+      });
+    }
+    vistas.set(k, linha);
+
+    if (errors.length > 0) {
+      plano.erros.push({ linha, nome: dados.nome ?? null, errors });
+      continue;
+    }
+
+    const normalizado = normalizarDados(entidade, completos);
+
+    if (!existente) {
+      plano.criar.push({ linha, dados: normalizado, norma_ids: normaIds });
+      continue;
+    }
+
+    const alteracoes = Object.keys(normalizado).filter(
+      (campo) => valor(normalizado[campo]) !== valor(existente[campo])
+    );
+    if (
+      normaIds &&
+      (await idsDasNormas(existente.id, client)).join() !== normaIds.join()
+    ) {
+      alteracoes.push("normas");
+    }
+
+    if (alteracoes.length === 0) {
+      plano.inalterados++;
+      continue;
+    }
+
+    plano.atualizar.push({
+      linha,
+      id: Number(existente.id),
+      dados: normalizado,
+      alteracoes,
+      norma_ids: normaIds,
+    });
+  }
+
+  return plano;
+};
+
+// Aplica o plano em uma única transação, registrando uma revisão no histórico
+// para cada registro criado ou atualizado (ver auditoria.js).
+export const aplicarImportacao = async (entidade, plano, usuario) => {
+  const tabela = TABELAS[entidade];
+  const campos = Object.keys(REGRAS[entidade]);
+  const tx = await db.transaction("write");
+
+  const aplicarItem = async ({ id = null, dados, norma_ids }) => {
+    const antes = id === null ? null : await lerRevisao(entidade, id, tx);
+
+    const resultado =
+      id === null
+        ? await tx.execute({
+            sql: `INSERT INTO ${tabela} (${campos.join(", ")}) VALUES (${campos
+              .map(() => "?")
+              .join(", ")})`,
+            args: campos.map((c) => dados[c]),
+          })
+        : entidade === "tipos"
+        ? await tx.execute({
+            sql: `UPDATE ${tabela} SET ${campos
+              .map((c) => `${c} = ?`)
+              .join(", ")} WHERE id = ?`,
+            args: [...campos.map((c) => dados[c]), id],
+          })
+        : await gravarVersao(tx, entidade, id, dados, antes);
+    const entidadeId = id ?? Number(resultado.lastInsertRowid);
+    if (id === null && entidade !== "normas") {
+      await atribuirSlug(tx, entidade, entidadeId);
+    }
+
+    if (norma_ids) {
+      await tx.execute({
+        sql: "DELETE FROM normas_tipos_compensacao WHERE tipo_id = ? AND norma_id NOT IN (SELECT id FROM normas WHERE excluido_em IS NOT NULL)",
+        args: [entidadeId],
+      });
+      for (const normaId of norma_ids) {
+        await tx.execute({
+          sql: "INSERT INTO normas_tipos_compensacao (tipo_id, norma_id) VALUES (?, ?)",
+          args: [entidadeId, normaId],
+        });
+      }
+    }
+
+    await registrarRevisao(tx, {
+      entidade,
+      entidadeId,
+      acao: id === null ? "criar" : "atualizar",
+      antes,
+      depois: await lerRevisao(entidade, entidadeId, tx),
+      usuario,
+    });
+  };
+
+  try {
+    for (const item of [...plano.criar, ...plano.atualizar]) {
+      await aplicarItem(item);
+    }
+    await tx.commit();
+  } finally {
+    tx.close();
+  }
+};
+
+const resumo = (plano) => ({
+  criar: plano.criar.length,
+  atualizar: plano.atualizar.length,
+  inalterados: plano.inalterados,
+  erros: plano.erros.length,
+});
+
+const entidadeValida = (req, res, next) => {
+  if (!COLUNAS[req.params.entidade]) {
+    return res.status(404).json({
+      error: `Entidade desconhecida. Use: ${Object.keys(COLUNAS).join(", ")}.`,
+    });
+  }
+  next();
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+// Todas exigem login com papel "editor" ou "admin".
+export const planilhasRouter = express.Router();
+
+// Importa uma planilha (corpo CSV ou XLSX). Sem ?confirmar=true apenas devolve a prévia;
+// com ?confirmar=true aplica tudo em uma transação, desde que não haja erros.
+planilhasRouter.post(
+  "/importacao/:entidade",
+  requireEditor,
+  entidadeValida,
+  express.raw({
+    type: [MIME_CSV, "application/csv", MIME_XLSX],
+    limit: "10mb",
+  }),
+  async (req, res) => {
+    const { entidade } = req.params;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: `Envie o arquivo no corpo da requisição com Content-Type ${MIME_CSV} ou ${MIME_XLSX}.`,
+      });
+    }
+
+    let linhas;
+    try {
+      linhas = await lerPlanilha(
+        req.body,
+        req.headers["content-type"],
+        entidade
+      );
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: `Não foi possível ler a planilha: ${error.message}` });
+    }
+
+    if (linhas.length > 0 && !("nome" in linhas[0])) {
+      return res
+        .status(400)
+        .json({ error: 'A planilha deve ter a coluna "nome".' });
+    }
+
+    try {
+      const plano = await planejarImportacao(entidade, linhas);
+      const confirmar = req.query.confirmar === "true";
+
+      if (!confirmar) {
+        return res.json({ confirmado: false, resumo: resumo(plano), ...plano });
+      }
+
+      if (plano.erros.length > 0) {
+        return res.status(400).json({
+          error: "A planilha tem erros; nada foi gravado.",
+          confirmado: false,
+          resumo: resumo(plano),
+          ...plano,
+        });
+      }
+
+      await aplicarImportacao(entidade, plano, req.usuario);
+      res.json({ confirmado: true, resumo: resumo(plano), ...plano });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+const ABAS = { normas: "normas", tipos: "tipos", modalidades: "modalidades" };
+
+const enviarArquivo = (res, nome, tipo, conteudo) => {
+  res.setHeader("Content-Type", tipo);
+  res.setHeader("Content-Disposition", `attachment; filename="${nome}"`);
+  res.send(conteudo);
+};
+
+// Exporta o catálogo inteiro em um .xlsx com uma aba por entidade, no mesmo
+// formato aceito pela importação (importe na ordem: normas, tipos, modalidades).
+planilhasRouter.get("/exportacao/catalogo", requireEditor, async (req, res) => {
+  try {
+    const abas = [];
+    for (const entidade of Object.keys(COLUNAS)) {
+      abas.push({
+        nome: ABAS[entidade],
+        colunas: COLUNAS[entidade],
+        linhas: await exportarEntidade(entidade),
+      });
+    }
+    enviarArquivo(res, "catalogo.xlsx", MIME_XLSX, await gerarXlsx(abas));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exporta uma entidade em CSV (padrão) ou XLSX (?formato=xlsx)
+planilhasRouter.get(
+  "/exportacao/:entidade",
+  requireEditor,
+  entidadeValida,
+  async (req, res) => {
+    const { entidade } = req.params;
+    const formato = req.query.formato || "csv";
+
+    if (!["csv", "xlsx"].includes(formato)) {
+      return res.status(400).json({ error: "Formato deve ser csv ou xlsx." });
+    }
+
+    try {
+      const linhas = await exportarEntidade(entidade);
+
+      if (formato === "xlsx") {
+        const xlsx = await gerarXlsx([
+          { nome: ABAS[entidade], colunas: COLUNAS[entidade], linhas },
+        ]);
+        return enviarArquivo(res, `${entidade}.xlsx`, MIME_XLSX, xlsx);
+      }
+
+      enviarArquivo(
+        res,
+        `${entidade}.csv`,
+        `${MIME_CSV}; charset=utf-8`,
+        gerarCsv(COLUNAS[entidade], linhas)
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
@@ -0,0 +1,152 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { validarCorpo } from "./validacao.js";
+import { auditar } from "./auditoria.js";
+import {
+  VINCULO_DE_TRABALHO,
+  VINCULO_PUBLICADO,
+  marcaDeInclusao,
+  marcarEdicao,
+  removerVinculo,
+} from "./publicacao.js";
+
+// ===============================================
+// === LINKS DAS MODALIDADES =====================
+// ===============================================
+// Ferramentas externas, formulários e modelos de documento de cada modalidade
+// (migração 011). O guia exibe os links abaixo dos detalhes da modalidade.
+// As alterações entram no histórico da modalidade e, como qualquer edição, a
+// devolvem para rascunho; depois que ela é publicada, passam por revisão (ver
+// VINCULOS em publicacao.js).
+
+// Anexa a cada modalidade a lista `links`: [{ id, rotulo, url, tipo }]. Nas
+// rotas públicas, só os links publicados; na pré-visualização (previa = true),
+// os da versão de trabalho.
+export const anexarLinks = async (modalidades, { previa = false } = {}) => {
+  if (modalidades.length === 0) return modalidades;
+
+  const ids = modalidades.map((m) => Number(m.id));
+  const { rows } = await db.execute({
+    sql: `SELECT id, modalidade_id, rotulo, url, tipo FROM modalidades_links
+          WHERE modalidade_id IN (${ids.map(() => "?").join(", ")})
+            AND ${previa ? VINCULO_DE_TRABALHO : VINCULO_PUBLICADO}
+          ORDER BY id`,
+    args: ids,
+  });
+
+  return modalidades.map((modalidade) => ({
+    ...modalidade,
+    links: rows
+      .filter((l) => l.modalidade_id == modalidade.id)
+      .map(({ id, rotulo, url, tipo }) => ({ id, rotulo, url, tipo })),
+  }));
+};
+
+// Executa `alterar(tx, req, atual, link)` no histórico da modalidade; responde
+// 404 se ela não existir (ou estiver na lixeira). Nas rotas de um link, o link
+// que não está na versão de trabalho dá 404 antes, sem passar pelo histórico.
+const alterarLinks = (status, mensagem, alterar) => async (req, res) => {
+  const { id, linkId } = req.params;
+
+  try {
+    let link = null;
+    if (linkId !== undefined) {
+      const { rows } = await db.execute({
+        sql: `SELECT * FROM modalidades_links
+              WHERE id = ? AND modalidade_id = ? AND ${VINCULO_DE_TRABALHO}`,
+        args: [linkId, id],
+      });
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Link não encontrado" });
+      }
+      [link] = rows;
+    }
+
+    const revisao = await auditar(
+      { entidade: "modalidades", acao: "atualizar", id, usuario: req.usuario },
+      (tx, atual) => (atual.excluido_em ? null : alterar(tx, req, atual, link))
+    );
+
+    if (!revisao || revisao.antes.excluido_em) {
+      return res.status(404).json({ error: "Modalidade não encontrada" });
+    }
+    res.status(status).json({ message: mensagem });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const linksRouter = express.Router();
+
+// Rota para cadastrar um link (body: { rotulo, url, tipo })
+linksRouter.post(
+  "/modalidades/:id/links",
+  requireEditor,
+  validarCorpo("links"),
+  alterarLinks(201, "Link cadastrado com sucesso", async (tx, req, atual) => {
+    const { rotulo, url, tipo } = req.body;
+    await tx.execute({
+      sql: "INSERT INTO modalidades_links (modalidade_id, rotulo, url, tipo, pendente) VALUES (?, ?, ?, ?, ?)",
+      args: [req.params.id, rotulo, url, tipo, marcaDeInclusao(atual)],
+    });
+    return marcarEdicao(tx, "modalidades", req.params.id, atual);
+  })
+);
+
+// Rota para atualizar um link
+linksRouter.put(
+  "/modalidades/:id/links/:linkId",
+  requireEditor,
+  validarCorpo("links"),
+  alterarLinks(
+    200,
+    "Link atualizado com sucesso",
+    async (tx, req, atual, link) => {
+      const { rotulo, url, tipo } = req.body;
+      if (rotulo === link.rotulo && url === link.url && tipo === link.tipo) {
+        return null;
+      }
+
+      // O link publicado vale até a aprovação; a nova versão entra ao lado dele
+      if (atual.publicado_em && link.pendente === null) {
+        await removerVinculo(
+          tx,
+          "modalidades_links",
+          "modalidades",
+          req.params.id,
+          link.id,
+          atual
+        );
+        return tx.execute({
+          sql: "INSERT INTO modalidades_links (modalidade_id, rotulo, url, tipo, pendente) VALUES (?, ?, ?, ?, 'inclusao')",
+          args: [req.params.id, rotulo, url, tipo],
+        });
+      }
+      await tx.execute({
+        sql: "UPDATE modalidades_links SET rotulo = ?, url = ?, tipo = ? WHERE id = ?",
+        args: [rotulo, url, tipo, link.id],
+      });
+      return marcarEdicao(tx, "modalidades", req.params.id, atual);
+    }
+  )
+);
+
+// Rota para remover um link
+linksRouter.delete(
+  "/modalidades/:id/links/:linkId",
+  requireEditor,
+  alterarLinks(200, "Link removido com sucesso", (tx, req, atual, link) =>
+    removerVinculo(
+      tx,
+      "modalidades_links",
+      "modalidades",
+      req.params.id,
+      link.id,
+      atual
+    )
+  )
+);
@@ -0,0 +1,267 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { TABELAS } from "./validacao.js";
+import { auditar } from "./auditoria.js";
+import { chavesDosAnexos, removerArquivos } from "./anexos.js";
+
+// ===============================================
+// === LIXEIRA E EXCLUSÃO DEFINITIVA =============
+// ===============================================
+// DELETE /api/v2/:entidade/:id move o registro para a lixeira (excluido_em,
+// migração 007). Com ?permanente=true o registro é apagado de vez, o que é
+// recusado com 409 enquanto houver dependentes, a menos que ?cascata=true.
+
+const NAO_ENCONTRADO = {
+  normas: "Norma não encontrada",
+  tipos: "Tipo não encontrado",
+  modalidades: "Modalidade não encontrada",
+};
+
+// Registros que dependem de uma norma ou tipo: { tipos: [...], normas: [...],
+// modalidades: [...], perguntas: [...], assinaturas: [...] }, cada um com id e nome.
+// Nas normas, "normas" são as relacionadas a ela (relacoes.js), em qualquer sentido.
+// "perguntas" são as do assistente (assistente.js) que indicam o tipo e
+// "assinaturas", as dos avisos de alteração (notificacoes.js), com o destino
+// como nome. Só as listas não vazias são devolvidas; modalidades não têm dependentes.
+export const buscarDependentes = async (entidade, id, client = db) => {
+  const consultas = {
+    tipos: {
+      modalidades:
+        "SELECT id, nome, excluido_em FROM modalidades WHERE tipo_id = ? ORDER BY nome",
+      normas: `SELECT n.id, n.nome, n.excluido_em FROM normas n
+               JOIN normas_tipos_compensacao ntc ON ntc.norma_id = n.id
+               WHERE ntc.tipo_id = ? ORDER BY n.nome`,
+      perguntas: `SELECT p.id, p.texto AS nome FROM assistente_perguntas p
+                  JOIN assistente_perguntas_tipos pt ON pt.pergunta_id = p.id
+                  WHERE pt.tipo_id = ? ORDER BY p.ordem, p.id`,
+      assinaturas:
+        "SELECT id, destino AS nome FROM assinaturas WHERE tipo_id = ? ORDER BY destino",
+    },
+    normas: {
+      tipos: `SELECT t.id, t.nome, t.excluido_em FROM tipos_compensacao t
+              JOIN normas_tipos_compensacao ntc ON ntc.tipo_id = t.id
+              WHERE ntc.norma_id = ? ORDER BY t.nome`,
+      normas: `SELECT DISTINCT n.id, n.nome, n.excluido_em FROM normas n
+               JOIN normas_relacoes r
+                 ON (r.norma_id = n.id AND r.norma_relacionada_id = ?1)
+                 OR (r.norma_relacionada_id = n.id AND r.norma_id = ?1)
+               ORDER BY n.nome`,
+      assinaturas:
+        "SELECT id, destino AS nome FROM assinaturas WHERE norma_id = ? ORDER BY destino",
+    },
+  }[entidade];
+
+  const dependentes = {};
+  for (const [chave, sql] of Object.entries(consultas || {})) {
+    const { rows } = await client.execute({ sql, args: [id] });
+    if (rows.length > 0) dependentes[chave] = rows;
+  }
+  return dependentes;
+};
+
+// Apaga o registro de vez. Na cascata, as modalidades do tipo são apagadas e os
+// vínculos entre normas e tipos desfeitos, tudo registrado no histórico. As
+// assinaturas são canceladas e as perguntas do assistente deixam de indicar o
+// tipo (ON DELETE CASCADE); elas ficam fora do histórico, como na edição.
+// Os arquivos anexados (anexos.js) só são apagados depois do commit.
+const excluirDefinitivamente = async (entidade, id, dependentes, usuario) => {
+  const tx = await db.transaction("write");
+  const anexos = [];
+
+  try {
+    for (const modalidade of dependentes.modalidades || []) {
+      anexos.push(...(await chavesDosAnexos("modalidades", modalidade.id, tx)));
+      await auditar(
+        {
+          entidade: "modalidades",
+          acao: "excluir",
+          id: modalidade.id,
+          usuario,
+          tx,
+        },
+        (tx) =>
+          tx.execute({
+            sql: "DELETE FROM modalidades WHERE id = ?",
+            args: [modalidade.id],
+          })
+      );
+    }
+
+    for (const tipo of dependentes.tipos || []) {
+      await auditar(
+        { entidade: "tipos", acao: "atualizar", id: tipo.id, usuario, tx },
+        (tx) =>
+          tx.execute({
+            sql: "DELETE FROM normas_tipos_compensacao WHERE tipo_id = ? AND norma_id = ?",
+            args: [tipo.id, id],
+          })
+      );
+    }
+
+    // As relações com outras normas saem do histórico de quem era a origem
+    if (entidade === "normas") {
+      for (const norma of dependentes.normas || []) {
+        await auditar(
+          { entidade: "normas", acao: "atualizar", id: norma.id, usuario, tx },
+          (tx) =>
+            tx.execute({
+              sql: `DELETE FROM normas_relacoes
+                    WHERE (norma_id = ?1 AND norma_relacionada_id = ?2)
+                       OR (norma_id = ?2 AND norma_relacionada_id = ?1)`,
+              args: [norma.id, id],
+            })
+        );
+      }
+    }
+
+    if (entidade !== "tipos") {
+      anexos.push(...(await chavesDosAnexos(entidade, id, tx)));
+    }
+
+    // Os vínculos do próprio tipo saem junto (ON DELETE CASCADE) e ficam na revisão dele
+    await auditar({ entidade, acao: "excluir", id, usuario, tx }, (tx) =>
+      tx.execute({
+        sql: `DELETE FROM ${TABELAS[entidade]} WHERE id = ?`,
+        args: [id],
+      })
+    );
+
+    await tx.commit();
+  } finally {
+    tx.close();
+  }
+
+  await removerArquivos(anexos);
+};
+
+const excluir = (entidade) => async (req, res) => {
+  const { id } = req.params;
+  const permanente = req.query.permanente === "true";
+  const cascata = req.query.cascata === "true";
+
+  try {
+    if (!permanente) {
+      const revisao = await auditar(
+        { entidade, acao: "excluir", id, usuario: req.usuario },
+        (tx) =>
+          tx.execute({
+            sql: `UPDATE ${TABELAS[entidade]} SET excluido_em = datetime('now') WHERE id = ? AND excluido_em IS NULL`,
+            args: [id],
+          })
+      );
+
+      if (!revisao || revisao.antes.excluido_em) {
+        return res.status(404).json({ error: NAO_ENCONTRADO[entidade] });
+      }
+      return res
+        .status(200)
+        .json({ message: "Item movido para a lixeira com sucesso" });
+    }
+
+    const { rows } = await db.execute({
+      sql: `SELECT 1 FROM ${TABELAS[entidade]} WHERE id = ?`,
+      args: [id],
+    });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: NAO_ENCONTRADO[entidade] });
+    }
+
+    const dependentes = await buscarDependentes(entidade, id);
+    if (Object.keys(dependentes).length > 0 && !cascata) {
+      return res.status(409).json({
+        error:
+          "O item possui registros dependentes. Remova-os antes ou use ?cascata=true para excluir tudo.",
+        dependentes,
+      });
+    }
+
+    await excluirDefinitivamente(entidade, id, dependentes, req.usuario);
+    res.status(200).json({ message: "Item excluído definitivamente" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const restaurar = (entidade) => async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Uma modalidade só volta se o seu tipo não estiver na lixeira
+    if (entidade === "modalidades") {
+      const { rows } = await db.execute({
+        sql: `SELECT t.nome, t.excluido_em FROM modalidades m
+              JOIN tipos_compensacao t ON t.id = m.tipo_id WHERE m.id = ?`,
+        args: [id],
+      });
+      if (rows[0]?.excluido_em) {
+        return res.status(409).json({
+          error: `O tipo "${rows[0].nome}" está na lixeira. Restaure-o primeiro.`,
+        });
+      }
+    }
+
+    const revisao = await auditar(
+      { entidade, acao: "restaurar", id, usuario: req.usuario },
+      (tx) =>
+        tx.execute({
+          sql: `UPDATE ${TABELAS[entidade]} SET excluido_em = NULL WHERE id = ?`,
+          args: [id],
+        })
+    );
+
+    if (!revisao?.antes?.excluido_em) {
+      return res.status(404).json({ error: "Item não encontrado na lixeira" });
+    }
+    res.status(200).json({ message: "Item restaurado com sucesso" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+// Todas exigem login com papel "editor" ou "admin".
+export const lixeiraRouter = express.Router();
+
+// Rota para listar os itens na lixeira, dos excluídos mais recentemente para os mais antigos
+lixeiraRouter.get("/lixeira", requireEditor, async (req, res) => {
+  try {
+    const [normas, tipos, modalidades] = await Promise.all([
+      db.execute(
+        "SELECT id, nome, excluido_em FROM normas WHERE excluido_em IS NOT NULL ORDER BY excluido_em DESC"
+      ),
+      db.execute(
+        "SELECT id, nome, excluido_em FROM tipos_compensacao WHERE excluido_em IS NOT NULL ORDER BY excluido_em DESC"
+      ),
+      db.execute(
+        `SELECT m.id, m.nome, m.tipo_id, t.nome AS tipo_nome, m.excluido_em
+         FROM modalidades m JOIN tipos_compensacao t ON t.id = m.tipo_id
+         WHERE m.excluido_em IS NOT NULL ORDER BY m.excluido_em DESC`
+      ),
+    ]);
+
+    res.status(200).json({
+      data: {
+        normas: normas.rows,
+        tipos: tipos.rows,
+        modalidades: modalidades.rows,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+for (const entidade of Object.keys(TABELAS)) {
+  // Rota para mover para a lixeira (ou, com ?permanente=true, excluir de vez)
+  lixeiraRouter.delete(`/${entidade}/:id`, requireEditor, excluir(entidade));
+
+  // Rota para tirar da lixeira
+  lixeiraRouter.post(
+    `/${entidade}/:id/restaurar`,
+    requireEditor,
+    restaurar(entidade)
+  );
+}
@@ -0,0 +1,75 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { db } from "./db.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Lista as migrações disponíveis. Cada arquivo segue o padrão "NNN_nome.js"
+// e exporta `up`: um array de comandos SQL aplicados em uma única transação.
+export const listarMigracoes = async () => {
+  const arquivos = (await fs.readdir(MIGRATIONS_DIR))
+    .filter((arquivo) => /^\d+_.+\.js$/.test(arquivo))
+    .sort();
+
+  return Promise.all(
+    arquivos.map(async (arquivo) => {
+      const { up } = await import(
+        pathToFileURL(path.join(MIGRATIONS_DIR, arquivo)).href
+      );
+      return {
+        versao: Number(arquivo.split("_")[0]),
+        nome: arquivo.replace(/\.js$/, ""),
+        up,
+      };
+    })
+  );
+};
+
+// Aplica, em ordem, as migrações ainda não registradas em schema_version.
+// Recebe o client como parâmetro para que possa rodar contra qualquer banco
+// (ex.: um arquivo "file:" temporário nos testes).
+export const executarMigracoes = async (client = db) => {
+  await client.execute(`CREATE TABLE IF NOT EXISTS schema_version (
+    versao INTEGER PRIMARY KEY,
+    nome TEXT NOT NULL,
+    aplicada_em TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+
+  const { rows } = await client.execute(
+    "SELECT COALESCE(MAX(versao), 0) AS atual FROM schema_version"
+  );
+  const versaoAtual = Number(rows[0].atual);
+
+  const pendentes = (await listarMigracoes()).filter(
+    (m) => m.versao > versaoAtual
+  );
+
+  for (const migracao of pendentes) {
+    await client.batch(
+      [
+        ...migracao.up,
+        {
+          sql: "INSERT INTO schema_version (versao, nome) VALUES (?, ?)",
+          args: [migracao.versao, migracao.nome],
+        },
+      ],
+      "write"
+    );
+    console.log(`Migração aplicada: ${migracao.nome}`);
+  }
+
+  return pendentes.map((m) => m.nome);
+};
+
+// Permite rodar diretamente: `npm run migrate`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const aplicadas = await executarMigracoes();
+    if (aplicadas.length === 0) console.log("Banco de dados já atualizado.");
+  } catch (error) {
+    console.error("Erro ao aplicar migrações:", error.message);
+    process.exitCode = 1;
+  }
+}
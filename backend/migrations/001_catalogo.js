@@ -0,0 +1,35 @@
+// Esquema inicial do catálogo do guia.
+// Usa IF NOT EXISTS para que bancos criados manualmente antes das migrações
+// sejam adotados sem erro (as tabelas existentes são mantidas como estão).
+export const up = [
+  `CREATE TABLE IF NOT EXISTS normas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nome TEXT NOT NULL,
+    link TEXT,
+    preambulo TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS tipos_compensacao (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nome TEXT NOT NULL UNIQUE
+  )`,
+  // Um tipo com modalidades cadastradas não pode ser removido (RESTRICT).
+  `CREATE TABLE IF NOT EXISTS modalidades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tipo_id INTEGER NOT NULL REFERENCES tipos_compensacao(id) ON DELETE RESTRICT,
+    nome TEXT NOT NULL,
+    proporcao TEXT,
+    forma TEXT,
+    especificidades TEXT,
+    vantagens TEXT,
+    desvantagens TEXT,
+    observacao TEXT,
+    documentos TEXT
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_modalidades_tipo ON modalidades(tipo_id)",
+  // A associação some junto com qualquer uma das pontas.
+  `CREATE TABLE IF NOT EXISTS normas_tipos_compensacao (
+    tipo_id INTEGER NOT NULL REFERENCES tipos_compensacao(id) ON DELETE CASCADE,
+    norma_id INTEGER NOT NULL REFERENCES normas(id) ON DELETE CASCADE,
+    PRIMARY KEY (tipo_id, norma_id)
+  )`,
+];
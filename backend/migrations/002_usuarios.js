@@ -0,0 +1,16 @@
+// Usuários do painel administrativo e suas sessões (ver auth.js).
+export const up = [
+  `CREATE TABLE IF NOT EXISTS usuarios (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE,
+    nome TEXT,
+    senha_hash TEXT NOT NULL,
+    papel TEXT NOT NULL DEFAULT 'editor' CHECK (papel IN ('editor', 'admin')),
+    criado_em TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+  `CREATE TABLE IF NOT EXISTS sessoes (
+    token_hash TEXT PRIMARY KEY,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+    expira_em TEXT NOT NULL
+  )`,
+];
@@ -0,0 +1,9 @@
+// Remove associações norma ↔ tipo duplicadas (criadas pelo admin antigo, que
+// reenviava todos os vínculos a cada edição) e impede que voltem a ocorrer.
+export const up = [
+  `DELETE FROM normas_tipos_compensacao
+   WHERE rowid NOT IN (
+     SELECT MIN(rowid) FROM normas_tipos_compensacao GROUP BY tipo_id, norma_id
+   )`,
+  "CREATE UNIQUE INDEX IF NOT EXISTS idx_normas_tipos_unico ON normas_tipos_compensacao(tipo_id, norma_id)",
+];
@@ -0,0 +1,55 @@
+// Índice de busca textual (FTS5) sobre normas e modalidades.
+// O tokenizer unicode61 com remove_diacritics faz "compensacao" encontrar "compensação".
+// Os triggers mantêm o índice sincronizado com qualquer INSERT/UPDATE/DELETE
+// feito nas tabelas, inclusive pelas rotas de CRUD do server.js.
+const TEXTO_MODALIDADE = `COALESCE(NEW.especificidades, '') || ' ' || COALESCE(NEW.vantagens, '') || ' ' ||
+    COALESCE(NEW.desvantagens, '') || ' ' || COALESCE(NEW.observacao, '') || ' ' ||
+    COALESCE(NEW.documentos, '')`;
+
+export const up = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS busca_fts USING fts5(
+    entidade UNINDEXED,
+    entidade_id UNINDEXED,
+    nome,
+    texto,
+    tokenize = 'unicode61 remove_diacritics 2'
+  )`,
+
+  // --- normas ---
+  `CREATE TRIGGER IF NOT EXISTS normas_busca_ai AFTER INSERT ON normas BEGIN
+    INSERT INTO busca_fts (entidade, entidade_id, nome, texto)
+    VALUES ('norma', NEW.id, NEW.nome, COALESCE(NEW.preambulo, ''));
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS normas_busca_au AFTER UPDATE ON normas BEGIN
+    DELETE FROM busca_fts WHERE entidade = 'norma' AND entidade_id = OLD.id;
+    INSERT INTO busca_fts (entidade, entidade_id, nome, texto)
+    VALUES ('norma', NEW.id, NEW.nome, COALESCE(NEW.preambulo, ''));
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS normas_busca_ad AFTER DELETE ON normas BEGIN
+    DELETE FROM busca_fts WHERE entidade = 'norma' AND entidade_id = OLD.id;
+  END`,
+
+  // --- modalidades ---
+  `CREATE TRIGGER IF NOT EXISTS modalidades_busca_ai AFTER INSERT ON modalidades BEGIN
+    INSERT INTO busca_fts (entidade, entidade_id, nome, texto)
+    VALUES ('modalidade', NEW.id, NEW.nome, ${TEXTO_MODALIDADE});
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS modalidades_busca_au AFTER UPDATE ON modalidades BEGIN
+    DELETE FROM busca_fts WHERE entidade = 'modalidade' AND entidade_id = OLD.id;
+    INSERT INTO busca_fts (entidade, entidade_id, nome, texto)
+    VALUES ('modalidade', NEW.id, NEW.nome, ${TEXTO_MODALIDADE});
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS modalidades_busca_ad AFTER DELETE ON modalidades BEGIN
+    DELETE FROM busca_fts WHERE entidade = 'modalidade' AND entidade_id = OLD.id;
+  END`,
+
+  // Indexa o conteúdo que já existia antes da migração.
+  `INSERT INTO busca_fts (entidade, entidade_id, nome, texto)
+   SELECT 'norma', id, nome, COALESCE(preambulo, '') FROM normas`,
+  `INSERT INTO busca_fts (entidade, entidade_id, nome, texto)
+   SELECT 'modalidade', id, nome,
+     COALESCE(especificidades, '') || ' ' || COALESCE(vantagens, '') || ' ' ||
+     COALESCE(desvantagens, '') || ' ' || COALESCE(observacao, '') || ' ' ||
+     COALESCE(documentos, '')
+   FROM modalidades`,
+];
@@ -0,0 +1,8 @@
+// Camadas do SISEMA exibidas no mapa do guia (ids de camadas.js separados por vírgula).
+// Definidas por tipo de compensação; uma modalidade pode sobrescrever as do seu tipo.
+export const up = [
+  "ALTER TABLE tipos_compensacao ADD COLUMN camadas_mapa TEXT",
+  "ALTER TABLE modalidades ADD COLUMN camadas_mapa TEXT",
+  `UPDATE tipos_compensacao SET camadas_mapa = 'unidades-conservacao,imoveis-compensacao'
+   WHERE nome IN ('SNUC', 'Mata Atlântica')`,
+];
@@ -0,0 +1,16 @@
+// Histórico de alterações do catálogo (ver auditoria.js). Cada linha guarda o
+// registro antes e depois da alteração, em JSON, e quem a fez.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS auditoria (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entidade TEXT NOT NULL CHECK (entidade IN ('normas', 'tipos', 'modalidades')),
+    entidade_id INTEGER NOT NULL,
+    acao TEXT NOT NULL CHECK (acao IN ('criar', 'atualizar', 'excluir', 'restaurar')),
+    antes TEXT,
+    depois TEXT,
+    usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    usuario_email TEXT,
+    criado_em TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria (entidade, entidade_id, id)",
+];
@@ -0,0 +1,7 @@
+// Exclusão reversível (lixeira): registros excluídos recebem a data em
+// excluido_em e deixam de aparecer nas rotas públicas até serem restaurados.
+export const up = [
+  "ALTER TABLE normas ADD COLUMN excluido_em TEXT",
+  "ALTER TABLE tipos_compensacao ADD COLUMN excluido_em TEXT",
+  "ALTER TABLE modalidades ADD COLUMN excluido_em TEXT",
+];
@@ -0,0 +1,38 @@
+// Fluxo de publicação de normas e modalidades (ver publicacao.js):
+// rascunho -> em_revisao -> publicado. As colunas do registro guardam a versão
+// publicada; edições de um registro já publicado ficam em alteracoes_pendentes
+// (JSON) até serem aprovadas. O conteúdo já existente é considerado publicado.
+const colunas = (tabela) => [
+  `ALTER TABLE ${tabela} ADD COLUMN status TEXT NOT NULL DEFAULT 'rascunho'
+     CHECK (status IN ('rascunho', 'em_revisao', 'publicado'))`,
+  `ALTER TABLE ${tabela} ADD COLUMN publicado_em TEXT`,
+  `ALTER TABLE ${tabela} ADD COLUMN alteracoes_pendentes TEXT`,
+  `ALTER TABLE ${tabela} ADD COLUMN comentario_revisao TEXT`,
+  `ALTER TABLE ${tabela} ADD COLUMN revisado_por TEXT`,
+  `ALTER TABLE ${tabela} ADD COLUMN revisado_em TEXT`,
+  `UPDATE ${tabela} SET status = 'publicado', publicado_em = datetime('now')`,
+];
+
+export const up = [
+  ...colunas("normas"),
+  ...colunas("modalidades"),
+
+  // O histórico passa a registrar também as ações do fluxo de revisão.
+  // A tabela é recriada porque o SQLite não altera restrições CHECK.
+  `CREATE TABLE auditoria_nova (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entidade TEXT NOT NULL CHECK (entidade IN ('normas', 'tipos', 'modalidades')),
+    entidade_id INTEGER NOT NULL,
+    acao TEXT NOT NULL CHECK (acao IN ('criar', 'atualizar', 'excluir', 'restaurar',
+      'enviar_revisao', 'aprovar', 'rejeitar', 'descartar')),
+    antes TEXT,
+    depois TEXT,
+    usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    usuario_email TEXT,
+    criado_em TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+  "INSERT INTO auditoria_nova SELECT * FROM auditoria",
+  "DROP TABLE auditoria",
+  "ALTER TABLE auditoria_nova RENAME TO auditoria",
+  "CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria (entidade, entidade_id, id)",
+];
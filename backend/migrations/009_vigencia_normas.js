@@ -0,0 +1,18 @@
+// Ciclo de vida das normas: datas de publicação e de início da vigência, a
+// situação atual e as relações entre normas ("A revoga B", "A altera B",
+// "A regulamenta B"). As relações somem junto com qualquer uma das normas.
+export const up = [
+  "ALTER TABLE normas ADD COLUMN data_publicacao TEXT",
+  "ALTER TABLE normas ADD COLUMN inicio_vigencia TEXT",
+  `ALTER TABLE normas ADD COLUMN situacao TEXT NOT NULL DEFAULT 'vigente'
+    CHECK (situacao IN ('vigente', 'revogada', 'alterada'))`,
+  `CREATE TABLE normas_relacoes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    norma_id INTEGER NOT NULL REFERENCES normas(id) ON DELETE CASCADE,
+    tipo TEXT NOT NULL CHECK (tipo IN ('revoga', 'altera', 'regulamenta')),
+    norma_relacionada_id INTEGER NOT NULL REFERENCES normas(id) ON DELETE CASCADE,
+    UNIQUE (norma_id, tipo, norma_relacionada_id),
+    CHECK (norma_id <> norma_relacionada_id)
+  )`,
+  "CREATE INDEX idx_normas_relacoes_relacionada ON normas_relacoes(norma_relacionada_id)",
+];
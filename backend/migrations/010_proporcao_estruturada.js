@@ -0,0 +1,18 @@
+// Proporção estruturada das modalidades (JSON, ver calculadora.js), usada pela
+// calculadora de compensação. As proporções cadastradas como "N:M" (ex: "2:1")
+// são convertidas em uma regra por área; as demais ficam para o editor preencher.
+export const up = [
+  "ALTER TABLE modalidades ADD COLUMN proporcao_regra TEXT",
+  `UPDATE modalidades
+   SET proporcao_regra = json_object(
+     'base', 'area',
+     'razao', CAST(substr(trim(proporcao), 1, instr(trim(proporcao), ':') - 1) AS REAL)
+              / CAST(substr(trim(proporcao), instr(trim(proporcao), ':') + 1) AS REAL),
+     'unidade', 'ha',
+     'condicoes', json('[]')
+   )
+   WHERE trim(proporcao) GLOB '[0-9]*:[0-9]*'
+     AND NOT trim(proporcao) GLOB '*[^0-9.:]*'
+     AND CAST(substr(trim(proporcao), instr(trim(proporcao), ':') + 1) AS REAL) > 0
+     AND CAST(substr(trim(proporcao), 1, instr(trim(proporcao), ':') - 1) AS REAL) > 0`,
+];
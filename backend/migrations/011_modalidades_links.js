@@ -0,0 +1,17 @@
+// Links de cada modalidade para ferramentas externas, formulários e modelos de
+// documento (ver links.js), exibidos no guia abaixo dos detalhes da modalidade.
+// O botão do SISCAL, antes fixo no app.js para SNUC + Pagamento, vira um link cadastrado.
+export const up = [
+  `CREATE TABLE modalidades_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    modalidade_id INTEGER NOT NULL REFERENCES modalidades(id) ON DELETE CASCADE,
+    rotulo TEXT NOT NULL,
+    url TEXT NOT NULL,
+    tipo TEXT NOT NULL CHECK (tipo IN ('calculadora', 'formulario', 'modelo_documento'))
+  )`,
+  "CREATE INDEX idx_modalidades_links_modalidade ON modalidades_links(modalidade_id)",
+  `INSERT INTO modalidades_links (modalidade_id, rotulo, url, tipo)
+   SELECT m.id, 'Cálculo de Compensação', 'https://siscal.netlify.app/', 'calculadora'
+   FROM modalidades m JOIN tipos_compensacao t ON t.id = m.tipo_id
+   WHERE UPPER(TRIM(t.nome)) = 'SNUC' AND UPPER(TRIM(m.nome)) = 'PAGAMENTO'`,
+];
@@ -0,0 +1,15 @@
+// Assistente de decisão do guia (ver assistente.js): perguntas de sim/não sobre
+// o empreendimento e os tipos de compensação indicados por cada resposta "sim".
+export const up = [
+  `CREATE TABLE assistente_perguntas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    texto TEXT NOT NULL,
+    ajuda TEXT,
+    ordem INTEGER NOT NULL DEFAULT 0
+  )`,
+  `CREATE TABLE assistente_perguntas_tipos (
+    pergunta_id INTEGER NOT NULL REFERENCES assistente_perguntas(id) ON DELETE CASCADE,
+    tipo_id INTEGER NOT NULL REFERENCES tipos_compensacao(id) ON DELETE CASCADE,
+    PRIMARY KEY (pergunta_id, tipo_id)
+  )`,
+];
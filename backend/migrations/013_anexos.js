@@ -0,0 +1,20 @@
+// Arquivos anexados às normas e modalidades (ver anexos.js). O conteúdo fica no
+// armazenamento (armazenamento.js), identificado por `chave`; aqui ficam os metadados.
+// Cada anexo pertence a exatamente uma norma ou uma modalidade.
+export const up = [
+  `CREATE TABLE anexos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    norma_id INTEGER REFERENCES normas(id) ON DELETE CASCADE,
+    modalidade_id INTEGER REFERENCES modalidades(id) ON DELETE CASCADE,
+    nome_arquivo TEXT NOT NULL,
+    tipo_mime TEXT NOT NULL,
+    tamanho INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    chave TEXT NOT NULL UNIQUE,
+    enviado_por TEXT,
+    enviado_em TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK ((norma_id IS NULL) <> (modalidade_id IS NULL))
+  )`,
+  "CREATE INDEX idx_anexos_norma ON anexos(norma_id)",
+  "CREATE INDEX idx_anexos_modalidade ON anexos(modalidade_id)",
+];
@@ -0,0 +1,15 @@
+// Resultado da última verificação do link de cada norma (ver verificacao.js):
+// status HTTP final, redirecionamentos seguidos e quando foi verificado.
+export const up = [
+  `CREATE TABLE normas_links_verificacao (
+    norma_id INTEGER PRIMARY KEY REFERENCES normas(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    status INTEGER,
+    erro TEXT,
+    redirecionamentos TEXT NOT NULL DEFAULT '[]',
+    url_final TEXT,
+    quebrado INTEGER NOT NULL DEFAULT 0,
+    falhas_consecutivas INTEGER NOT NULL DEFAULT 0,
+    verificado_em TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+];
@@ -0,0 +1,21 @@
+// Assinaturas de avisos de alteração (ver notificacoes.js): um e-mail ou webhook
+// que acompanha um tipo de compensação ou uma norma. `ultima_auditoria_id` marca
+// até onde o histórico (auditoria) já foi enviado; `token` identifica a
+// assinatura no link de cancelamento.
+export const up = [
+  `CREATE TABLE assinaturas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    canal TEXT NOT NULL CHECK (canal IN ('email', 'webhook')),
+    destino TEXT NOT NULL,
+    tipo_id INTEGER REFERENCES tipos_compensacao(id) ON DELETE CASCADE,
+    norma_id INTEGER REFERENCES normas(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    ultima_auditoria_id INTEGER NOT NULL DEFAULT 0,
+    ultimo_envio_em TEXT,
+    ultimo_erro TEXT,
+    criado_em TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK ((tipo_id IS NULL) <> (norma_id IS NULL))
+  )`,
+  `CREATE UNIQUE INDEX idx_assinaturas_unica
+    ON assinaturas (canal, destino, COALESCE(tipo_id, 0), COALESCE(norma_id, 0))`,
+];
@@ -0,0 +1,9 @@
+// Slugs de tipos e modalidades para os endereços compartilháveis do guia (ver
+// slugs.js). Os registros existentes recebem o slug na inicialização do servidor,
+// porque a remoção de acentos não é feita em SQL.
+export const up = [
+  "ALTER TABLE tipos_compensacao ADD COLUMN slug TEXT",
+  "ALTER TABLE modalidades ADD COLUMN slug TEXT",
+  "CREATE UNIQUE INDEX idx_tipos_slug ON tipos_compensacao(slug)",
+  "CREATE UNIQUE INDEX idx_modalidades_slug ON modalidades(slug)",
+];
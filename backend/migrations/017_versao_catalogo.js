@@ -0,0 +1,41 @@
+// Versão do catálogo público: um contador que sobe a cada escrita nas tabelas
+// que as rotas públicas leem, usado no ETag e no Last-Modified (ver cache.js).
+// Os triggers pegam qualquer INSERT/UPDATE/DELETE, inclusive do seed, da
+// importação de planilhas e das tarefas periódicas. Tabela nova lida pelas
+// rotas públicas precisa dos seus triggers em uma migração própria.
+const TABELAS = [
+  "normas",
+  "tipos_compensacao",
+  "modalidades",
+  "normas_tipos_compensacao",
+  "normas_relacoes",
+  "modalidades_links",
+  "anexos",
+  "assistente_perguntas",
+  "assistente_perguntas_tipos",
+];
+
+const INCREMENTAR = `UPDATE catalogo_versao
+    SET versao = versao + 1, alterado_em = datetime('now') WHERE id = 1`;
+
+export const up = [
+  `CREATE TABLE catalogo_versao (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    versao INTEGER NOT NULL,
+    alterado_em TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+  "INSERT INTO catalogo_versao (id, versao) VALUES (1, 1)",
+
+  ...TABELAS.flatMap((tabela) =>
+    [
+      ["ai", "INSERT"],
+      ["au", "UPDATE"],
+      ["ad", "DELETE"],
+    ].map(
+      ([sufixo, operacao]) =>
+        `CREATE TRIGGER ${tabela}_versao_${sufixo} AFTER ${operacao} ON ${tabela} BEGIN
+          ${INCREMENTAR};
+        END`
+    )
+  ),
+];
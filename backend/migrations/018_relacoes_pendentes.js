@@ -0,0 +1,7 @@
+// Relações entre normas passam pelo fluxo de publicação (ver publicacao.js):
+// em uma norma já publicada, a relação incluída fica marcada como 'inclusao' e
+// a removida como 'remocao' até a aprovação. As relações existentes já valem.
+export const up = [
+  `ALTER TABLE normas_relacoes ADD COLUMN pendente TEXT
+    CHECK (pendente IN ('inclusao', 'remocao'))`,
+];
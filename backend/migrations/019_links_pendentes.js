@@ -0,0 +1,7 @@
+// Links das modalidades seguem as relações entre normas (migração 018): em uma
+// modalidade já publicada, o link incluído fica como 'inclusao' e o removido
+// como 'remocao' até a aprovação. Os links existentes já valem.
+export const up = [
+  `ALTER TABLE modalidades_links ADD COLUMN pendente TEXT
+    CHECK (pendente IN ('inclusao', 'remocao'))`,
+];
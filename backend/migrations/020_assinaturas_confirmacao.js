@@ -0,0 +1,7 @@
+// Confirmação das assinaturas por e-mail (ver notificacoes.js): a assinatura
+// fica pendente (confirmada_em nulo) até o dono do endereço abrir o link enviado
+// a ele. Só as confirmadas recebem avisos. As existentes já valem.
+export const up = [
+  `ALTER TABLE assinaturas ADD COLUMN confirmada_em TEXT`,
+  `UPDATE assinaturas SET confirmada_em = criado_em`,
+];
@@ -0,0 +1,7 @@
+// Anexos seguem os links das modalidades (migração 019): em uma norma ou
+// modalidade já publicada, o anexo enviado fica como 'inclusao' e o removido
+// como 'remocao' até a aprovação. Os anexos existentes já valem.
+export const up = [
+  `ALTER TABLE anexos ADD COLUMN pendente TEXT
+    CHECK (pendente IN ('inclusao', 'remocao'))`,
+];
@@ -0,0 +1,815 @@
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import express from "express";
+import { Agent as AgenteHttp } from "http";
+import { Agent as AgenteHttps } from "https";
+import net from "net";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { transporteEmail } from "./email.js";
+import { urlValida, validarCorpo } from "./validacao.js";
+import { ENTIDADES_COM_REVISAO } from "./publicacao.js";
+import { VINCULOS_PUBLICADOS } from "./auditoria.js";
+
+// ===============================================
+// === AVISOS DE ALTERAÇÃO E FEED DE NOVIDADES ===
+// ===============================================
+// Quem usa o guia pode assinar (por e-mail ou webhook) um tipo de compensação
+// ou uma norma (migração 015). As alterações vêm do histórico (auditoria.js):
+// de tempos em tempos, cada assinatura recebe um resumo do que mudou desde o
+// último envio. Só contam as mudanças no que o público vê, ou seja, na versão
+// publicada; rascunhos e alterações pendentes não geram aviso.
+// As mesmas mudanças alimentam o feed Atom /api/v2/novidades.atom.
+// Como a assinatura é pública, o e-mail só passa a receber avisos depois de
+// confirmado (migração 020) e o webhook só pode apontar para a internet.
+
+// Endereço do guia usado nos links dos avisos e do feed
+const URL_DO_GUIA = (
+  (process.env.NODE_ENV === "production"
+    ? process.env.CLIENT_URL_PROD
+    : process.env.CLIENT_URL_DEV) || "http://localhost:3000"
+).replace(/\/$/, "");
+
+// Colunas de controle, que não aparecem no guia
+const INTERNOS = [
+  "status",
+  "publicado_em",
+  "alteracoes_pendentes",
+  "comentario_revisao",
+  "revisado_por",
+  "revisado_em",
+  "excluido_em",
+];
+
+const ROTULOS = {
+  nome: "Nome",
+  link: "Link",
+  preambulo: "Preâmbulo",
+  data_publicacao: "Data de publicação",
+  inicio_vigencia: "Início da vigência",
+  situacao: "Situação",
+  relacoes: "Relações com outras normas",
+  norma_ids: "Normas vinculadas",
+  camadas_mapa: "Camadas do mapa",
+  tipo_id: "Tipo de compensação",
+  proporcao: "Proporção",
+  proporcao_regra: "Regra de proporção",
+  forma: "Forma",
+  especificidades: "Especificidades da Área",
+  vantagens: "Vantagens",
+  desvantagens: "Desvantagens",
+  documentos: "Documentos Necessários",
+  observacao: "Observações",
+  links: "Links",
+  anexos: "Anexos",
+};
+
+const TITULOS = {
+  normas: {
+    inclusao: "Nova norma",
+    alteracao: "Norma alterada",
+    remocao: "Norma removida",
+  },
+  tipos: {
+    inclusao: "Novo tipo de compensação",
+    alteracao: "Tipo de compensação alterado",
+    remocao: "Tipo de compensação removido",
+  },
+  modalidades: {
+    inclusao: "Nova modalidade",
+    alteracao: "Modalidade alterada",
+    remocao: "Modalidade removida",
+  },
+};
+
+const EMAIL_VALIDO = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Faixas que um webhook não pode alcançar: a própria máquina, a rede interna
+// e os endereços reservados. Sem isso, qualquer um faria o servidor enviar
+// requisições para a rede dele.
+const BLOQUEADOS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([rede, prefixo]) => BLOQUEADOS.addSubnet(rede, prefixo, "ipv4"));
+[
+  ["::", 96],
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+].forEach(([rede, prefixo]) => BLOQUEADOS.addSubnet(rede, prefixo, "ipv6"));
+
+// "::ffff:127.0.0.1" ou "::ffff:7f00:1" -> "127.0.0.1"
+const ipv4Mapeado = (endereco) => {
+  const [, decimal, alto, baixo] =
+    endereco.match(
+      /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([\da-f]{1,4}):([\da-f]{1,4}))$/i
+    ) || [];
+  if (decimal || !alto) return decimal;
+  const numero = parseInt(alto, 16) * 65536 + parseInt(baixo, 16);
+  return [24, 16, 8, 0].map((bits) => (numero >>> bits) & 255).join(".");
+};
+
+export const enderecoPublico = (endereco) => {
+  const ipv4 = ipv4Mapeado(endereco);
+  if (ipv4) return !BLOQUEADOS.check(ipv4, "ipv4");
+  return !BLOQUEADOS.check(endereco, net.isIPv6(endereco) ? "ipv6" : "ipv4");
+};
+
+const DESTINO_INTERNO =
+  "O webhook precisa apontar para um endereço público da internet.";
+
+// dns.lookup que recusa os endereços internos. Vai nos agentes HTTP dos
+// webhooks, para que a conferência valha para o endereço de fato conectado
+// (o DNS pode responder outro IP na hora do envio).
+const lookupPublico = (host, opcoes, callback) =>
+  dns.lookup(host, { ...opcoes, all: true }, (error, enderecos) => {
+    if (error) return callback(error);
+    if (!enderecos.every(({ address }) => enderecoPublico(address))) {
+      return callback(new Error(DESTINO_INTERNO));
+    }
+    if (opcoes.all) return callback(null, enderecos);
+    callback(null, enderecos[0].address, enderecos[0].family);
+  });
+
+const AGENTES_WEBHOOK = {
+  httpAgent: new AgenteHttp({ lookup: lookupPublico }),
+  httpsAgent: new AgenteHttps({ lookup: lookupPublico }),
+};
+
+// Confere o destino de um webhook antes da assinatura e de cada envio. O
+// agente não chama o lookup quando a URL já traz um IP, daí a conferência aqui.
+const verificarWebhook = (destino) =>
+  new Promise((resolve, reject) =>
+    lookupPublico(
+      new URL(destino).hostname.replace(/^\[|\]$/g, ""),
+      {},
+      (error) => (error ? reject(error) : resolve())
+    )
+  );
+
+// Estado de um registro (como gravado no histórico) visto pelo público, ou
+// null se ele não aparece no guia (rascunho nunca publicado ou na lixeira).
+// Relações e links com inclusões ou remoções pendentes valem como publicados.
+const estadoPublico = (entidade, estado) => {
+  if (!estado || estado.excluido_em) return null;
+  if (ENTIDADES_COM_REVISAO.includes(entidade) && !estado.publicado_em) {
+    return null;
+  }
+  const publico = { ...estado };
+  for (const [campo, publicados] of Object.entries(VINCULOS_PUBLICADOS)) {
+    if (publicados in publico) publico[campo] = publico[publicados];
+    delete publico[publicados];
+  }
+  return Object.fromEntries(
+    Object.entries(publico).filter(([campo]) => !INTERNOS.includes(campo))
+  );
+};
+
+// Converte as revisões do histórico nas mudanças visíveis ao público:
+// [{ id, entidade, entidade_id, tipo: inclusao|alteracao|remocao, titulo, nome,
+//    campos, data, tipo_ids, norma_ids }]
+// tipo_ids e norma_ids indicam os tipos e normas a que a mudança interessa.
+const lerMudancas = async (client, revisoes) => {
+  const mudancas = [];
+
+  for (const revisao of revisoes) {
+    const antes = estadoPublico(
+      revisao.entidade,
+      revisao.antes && JSON.parse(revisao.antes)
+    );
+    const depois = estadoPublico(
+      revisao.entidade,
+      revisao.depois && JSON.parse(revisao.depois)
+    );
+    if (!antes && !depois) continue;
+
+    const campos = Object.keys({ ...antes, ...depois }).filter(
+      (campo) =>
+        campo !== "id" &&
+        JSON.stringify(antes?.[campo] ?? null) !==
+          JSON.stringify(depois?.[campo] ?? null)
+    );
+    if (antes && depois && campos.length === 0) continue;
+
+    const tipo = !antes ? "inclusao" : !depois ? "remocao" : "alteracao";
+    const estados = [antes, depois].filter(Boolean);
+    mudancas.push({
+      id: Number(revisao.id),
+      entidade: revisao.entidade,
+      entidade_id: Number(revisao.entidade_id),
+      tipo,
+      titulo: TITULOS[revisao.entidade][tipo],
+      nome: (depois || antes).nome,
+      campos: tipo === "alteracao" ? campos.map((c) => ROTULOS[c] || c) : [],
+      data: revisao.criado_em,
+      tipo_ids:
+        revisao.entidade === "tipos"
+          ? [Number(revisao.entidade_id)]
+          : revisao.entidade === "modalidades"
+          ? [...new Set(estados.map((e) => Number(e.tipo_id)))]
+          : [],
+      // Uma norma interessa também às normas que ela revoga, altera ou regulamenta
+      norma_ids:
+        revisao.entidade === "normas"
+          ? [
+              Number(revisao.entidade_id),
+              ...estados.flatMap((e) =>
+                (e.relacoes || []).map((r) => Number(r.norma_relacionada_id))
+              ),
+            ]
+          : [],
+    });
+  }
+
+  // As mudanças de normas interessam aos tipos a que elas estão vinculadas
+  const normaIds = mudancas
+    .filter((m) => m.entidade === "normas")
+    .map((m) => m.entidade_id);
+  if (normaIds.length > 0) {
+    const { rows } = await client.execute({
+      sql: `SELECT norma_id, tipo_id FROM normas_tipos_compensacao
+            WHERE norma_id IN (${normaIds.map(() => "?").join(", ")})`,
+      args: normaIds,
+    });
+    for (const mudanca of mudancas.filter((m) => m.entidade === "normas")) {
+      mudanca.tipo_ids = rows
+        .filter((r) => r.norma_id == mudanca.entidade_id)
+        .map((r) => Number(r.tipo_id));
+    }
+  }
+
+  return mudancas;
+};
+
+const interessa = ({ tipo_id, norma_id }, mudanca) =>
+  tipo_id
+    ? mudanca.tipo_ids.includes(Number(tipo_id))
+    : mudanca.norma_ids.includes(Number(norma_id));
+
+// "2026-10-19 14:27:00" (UTC, como o SQLite grava) -> "19/10/2026 11:27"
+const formatarData = (data) =>
+  new Date(`${data.replace(" ", "T")}Z`).toLocaleString("pt-BR", {
+    timeZone: "America/Sao_Paulo",
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+const descrever = (mudanca) =>
+  `${mudanca.titulo}: ${mudanca.nome}` +
+  (mudanca.campos.length > 0 ? ` (${mudanca.campos.join(", ")})` : "");
+
+const linkCancelamento = (assinatura) =>
+  `${URL_DO_GUIA}/api/v2/assinaturas/cancelar/${assinatura.token}`;
+
+const linkConfirmacao = (assinatura) =>
+  `${URL_DO_GUIA}/api/v2/assinaturas/confirmar/${assinatura.token}`;
+
+// Assinaturas por e-mail não confirmadas em uma semana são descartadas, e o
+// endereço pode ser assinado de novo.
+const removerNaoConfirmadas = (client) =>
+  client.execute(
+    `DELETE FROM assinaturas
+     WHERE confirmada_em IS NULL AND criado_em < datetime('now', '-7 days')`
+  );
+
+// Cria o notificador. Os parâmetros permitem testá-lo com um `http` ou um
+// transporte de e-mail falsos (ou o transporte "arquivo", ver email.js).
+// - intervalo: de quanto em quanto tempo (ms) os resumos são enviados.
+export const criarNotificador = ({
+  client = db,
+  http = axios,
+  email = transporteEmail,
+  timeout = 15000,
+  intervalo = 15 * 60 * 1000,
+} = {}) => {
+  let emAndamento = null;
+  let timer = null;
+
+  const entregar = async (assinatura, mudancas) => {
+    if (assinatura.canal === "webhook") {
+      await verificarWebhook(assinatura.destino);
+      return http.post(
+        assinatura.destino,
+        {
+          evento: "alteracoes",
+          assinatura: {
+            id: Number(assinatura.id),
+            tipo_id: assinatura.tipo_id,
+            norma_id: assinatura.norma_id,
+          },
+          alteracoes: mudancas.map(
+            ({ tipo_ids, norma_ids, ...mudanca }) => mudanca
+          ),
+          guia: URL_DO_GUIA,
+          cancelar: linkCancelamento(assinatura),
+        },
+        {
+          timeout,
+          // Um redirecionamento levaria o envio a outro destino, não conferido
+          maxRedirects: 0,
+          ...AGENTES_WEBHOOK,
+          headers: { "User-Agent": "GuiaCompensacaoMG-Notificacoes/1.0" },
+        }
+      );
+    }
+
+    const linhas = mudancas.map(
+      (m) => `- ${formatarData(m.data)} - ${descrever(m)}`
+    );
+    const acompanhado = assinatura.tipo_id
+      ? `o tipo de compensação "${assinatura.alvo_nome}"`
+      : `a norma "${assinatura.alvo_nome}"`;
+    return email.enviar({
+      para: assinatura.destino,
+      assunto: `Guia de Compensação Ambiental: ${mudancas.length} alteração(ões) em ${assinatura.alvo_nome}`,
+      texto: [
+        `Alterações recentes no Guia de Compensação Ambiental - MG para ${acompanhado}:`,
+        "",
+        ...linhas,
+        "",
+        `Consulte o guia: ${URL_DO_GUIA}`,
+        "",
+        `Para deixar de receber estes avisos: ${linkCancelamento(assinatura)}`,
+      ].join("\n"),
+    });
+  };
+
+  // Envia a cada assinatura confirmada o resumo das mudanças desde o último envio. Uma
+  // entrega que falha é tentada de novo na próxima rodada. Se um envio já
+  // estiver rodando, devolve o mesmo. Resolve com { assinaturas, enviados, falhas }.
+  const enviarResumos = () => {
+    if (!emAndamento) {
+      emAndamento = (async () => {
+        await removerNaoConfirmadas(client);
+        const { rows: assinaturas } = await client.execute(
+          `SELECT a.*, COALESCE(t.nome, n.nome) AS alvo_nome FROM assinaturas a
+           LEFT JOIN tipos_compensacao t ON t.id = a.tipo_id
+           LEFT JOIN normas n ON n.id = a.norma_id
+           WHERE a.confirmada_em IS NOT NULL`
+        );
+        const resumo = {
+          assinaturas: assinaturas.length,
+          enviados: 0,
+          falhas: 0,
+        };
+        if (assinaturas.length === 0) return resumo;
+
+        // O limite evita perder revisões gravadas durante o envio
+        const { rows: ultima } = await client.execute(
+          "SELECT COALESCE(MAX(id), 0) AS id FROM auditoria"
+        );
+        const ate = Number(ultima[0].id);
+        const { rows: revisoes } = await client.execute({
+          sql: "SELECT * FROM auditoria WHERE id > ? AND id <= ? ORDER BY id",
+          args: [
+            Math.min(...assinaturas.map((a) => a.ultima_auditoria_id)),
+            ate,
+          ],
+        });
+        const mudancas = await lerMudancas(client, revisoes);
+
+        for (const assinatura of assinaturas) {
+          const pendentes = mudancas.filter(
+            (m) =>
+              m.id > assinatura.ultima_auditoria_id && interessa(assinatura, m)
+          );
+
+          try {
+            if (pendentes.length > 0) {
+              await entregar(assinatura, pendentes);
+              resumo.enviados++;
+            }
+            await client.execute({
+              sql: `UPDATE assinaturas SET ultima_auditoria_id = MAX(ultima_auditoria_id, ?), ultimo_erro = NULL,
+                      ultimo_envio_em = CASE WHEN ? THEN datetime('now') ELSE ultimo_envio_em END
+                    WHERE id = ?`,
+              args: [ate, pendentes.length > 0 ? 1 : 0, assinatura.id],
+            });
+          } catch (error) {
+            resumo.falhas++;
+            await client.execute({
+              sql: "UPDATE assinaturas SET ultimo_erro = ? WHERE id = ?",
+              args: [error.message, assinatura.id],
+            });
+          }
+        }
+
+        return resumo;
+      })().finally(() => {
+        emAndamento = null;
+      });
+    }
+    return emAndamento;
+  };
+
+  const executar = () =>
+    enviarResumos()
+      .then(({ enviados, falhas }) => {
+        if (enviados + falhas > 0)
+          console.log(
+            `Avisos de alteração: ${enviados} enviados, ${falhas} falhas.`
+          );
+      })
+      .catch((error) =>
+        console.error("Erro no envio dos avisos de alteração:", error.message)
+      );
+
+  // Agenda os envios periódicos. Os timers não impedem o processo de terminar.
+  const iniciar = () => {
+    parar();
+    timer = setInterval(executar, intervalo);
+    timer.unref();
+  };
+
+  const parar = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { enviarResumos, iniciar, parar };
+};
+
+// Notificador usado pelo servidor. NOTIFICACOES_MINUTOS define o intervalo
+// entre os resumos (padrão 15; 0 desliga o envio periódico, mas não o manual).
+const MINUTOS = Number(process.env.NOTIFICACOES_MINUTOS ?? 15);
+export const notificador = criarNotificador({
+  intervalo: (MINUTOS || 15) * 60 * 1000,
+});
+export const notificacoesPeriodicasAtivas = MINUTOS > 0;
+
+const xml = (texto) =>
+  String(texto)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const dataIso = (data) => `${data.replace(" ", "T")}Z`;
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const notificacoesRouter = express.Router();
+
+// Página simples para os links dos e-mails de confirmação e cancelamento
+const pagina = (titulo, conteudo = "") => `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${xml(titulo)} - Guia de Compensação Ambiental - MG</title>
+</head>
+<body>
+  <h1>${xml(titulo)}</h1>
+  ${conteudo}
+  <p><a href="${xml(URL_DO_GUIA)}/">Voltar ao guia</a></p>
+</body>
+</html>
+`;
+
+// Resposta das ações dos links: JSON para quem chama a API, página para o
+// formulário aberto no navegador.
+const responder = (res, status, mensagem) =>
+  res.status(status).format({
+    json: () =>
+      res.json(status < 400 ? { message: mensagem } : { error: mensagem }),
+    html: () => res.send(pagina(mensagem)),
+  });
+
+const buscarPorToken = async (token) => {
+  const { rows } = await db.execute({
+    sql: `SELECT a.*, COALESCE(t.nome, n.nome) AS alvo_nome FROM assinaturas a
+          LEFT JOIN tipos_compensacao t ON t.id = a.tipo_id
+          LEFT JOIN normas n ON n.id = a.norma_id
+          WHERE a.token = ?`,
+    args: [token],
+  });
+  return rows[0];
+};
+
+// Abrir o link só mostra o botão: a ação é um POST, que os leitores de e-mail
+// e antivírus que visitam os links por conta própria não fazem.
+const paginaDoLink = (titulo, texto, botao) => async (req, res) => {
+  try {
+    const assinatura = await buscarPorToken(req.params.token);
+    if (!assinatura) {
+      return res.status(404).send(pagina("Assinatura não encontrada"));
+    }
+    res.send(
+      pagina(
+        titulo,
+        `<p>${xml(texto(assinatura))}</p>
+  <form method="post"><button type="submit">${xml(botao)}</button></form>`
+      )
+    );
+  } catch (error) {
+    res.status(400).send(pagina(error.message));
+  }
+};
+
+// { tipo_id, alvo_nome } -> 'do tipo de compensação "Nome"'
+const doAlvo = ({ tipo_id, alvo_nome }) =>
+  `${tipo_id ? "do tipo de compensação" : "da norma"} "${alvo_nome}"`;
+
+// Rota pública para assinar os avisos de um tipo ou de uma norma publicada
+// (body: { canal: email|webhook, destino, tipo_id } ou { canal, destino, norma_id }).
+// O e-mail recebe um link de confirmação e só passa a receber avisos depois de
+// confirmá-lo; o webhook precisa apontar para um endereço público. Só chegam as
+// mudanças feitas a partir da confirmação.
+notificacoesRouter.post(
+  "/assinaturas",
+  validarCorpo("assinaturas"),
+  async (req, res) => {
+    const { canal, destino, tipo_id, norma_id } = req.body;
+    const errors = [];
+
+    if (canal === "email" && !EMAIL_VALIDO.test(destino)) {
+      errors.push({ field: "destino", message: "Informe um e-mail válido." });
+    }
+    if (canal === "webhook" && !urlValida(destino)) {
+      errors.push({
+        field: "destino",
+        message: "Informe uma URL válida (http:// ou https://).",
+      });
+    }
+    if (!tipo_id === !norma_id) {
+      errors.push({
+        field: "tipo_id",
+        message: "Informe um tipo de compensação ou uma norma (apenas um).",
+      });
+    }
+    if (errors.length > 0) return res.status(400).json({ errors });
+
+    if (canal === "webhook") {
+      try {
+        await verificarWebhook(destino);
+      } catch (error) {
+        return res.status(400).json({
+          errors: [
+            {
+              field: "destino",
+              message:
+                error.message === DESTINO_INTERNO
+                  ? DESTINO_INTERNO
+                  : "Não foi possível encontrar o servidor do webhook.",
+            },
+          ],
+        });
+      }
+    }
+
+    try {
+      if (norma_id) {
+        const { rows } = await db.execute({
+          sql: "SELECT 1 FROM normas WHERE id = ? AND publicado_em IS NOT NULL",
+          args: [norma_id],
+        });
+        if (rows.length === 0) {
+          return res.status(400).json({
+            errors: [
+              { field: "norma_id", message: "Registro não encontrado." },
+            ],
+          });
+        }
+      }
+
+      await removerNaoConfirmadas(db);
+      const { rows: existentes } = await db.execute({
+        sql: `SELECT confirmada_em FROM assinaturas WHERE canal = ? AND destino = ?
+              AND COALESCE(tipo_id, 0) = ? AND COALESCE(norma_id, 0) = ?`,
+        args: [canal, destino, tipo_id ?? 0, norma_id ?? 0],
+      });
+      if (existentes.length > 0) {
+        return res.status(409).json({
+          error: existentes[0].confirmada_em
+            ? "Este destino já recebe os avisos deste item."
+            : "Esta assinatura aguarda a confirmação pelo link enviado ao e-mail.",
+        });
+      }
+
+      const token = crypto.randomUUID();
+      const confirmada = canal === "webhook";
+      const resultado = await db.execute({
+        sql: `INSERT INTO assinaturas (canal, destino, tipo_id, norma_id, token, ultima_auditoria_id, confirmada_em)
+              VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(id), 0) FROM auditoria),
+                      CASE WHEN ? THEN datetime('now') END)`,
+        args: [canal, destino, tipo_id, norma_id, token, confirmada ? 1 : 0],
+      });
+      const id = Number(resultado.lastInsertRowid);
+
+      if (confirmada) {
+        return res.status(201).json({
+          message: "Assinatura cadastrada com sucesso",
+          id,
+          cancelar: linkCancelamento({ token }),
+        });
+      }
+
+      // O link vai só para o e-mail: a resposta não traz o token
+      const { rows: alvos } = await db.execute({
+        sql: `SELECT nome FROM ${
+          tipo_id ? "tipos_compensacao" : "normas"
+        } WHERE id = ?`,
+        args: [tipo_id || norma_id],
+      });
+      const alvo = { tipo_id, alvo_nome: alvos[0].nome };
+      try {
+        await transporteEmail.enviar({
+          para: destino,
+          assunto: `Guia de Compensação Ambiental: confirme a assinatura dos avisos de ${alvo.alvo_nome}`,
+          texto: [
+            `Recebemos um pedido para enviar a este e-mail os avisos de alteração ${doAlvo(
+              alvo
+            )} no Guia de Compensação Ambiental - MG.`,
+            "",
+            `Para confirmar, abra o link: ${linkConfirmacao({ token })}`,
+            "",
+            "Se você não fez esse pedido, ignore esta mensagem: sem a confirmação, nenhum aviso será enviado.",
+          ].join("\n"),
+        });
+      } catch (error) {
+        await db.execute({
+          sql: "DELETE FROM assinaturas WHERE id = ?",
+          args: [id],
+        });
+        throw error;
+      }
+      res.status(201).json({
+        message:
+          "Enviamos um link de confirmação para o e-mail informado. Os avisos começam depois da confirmação.",
+        id,
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rotas públicas de confirmação, usadas pelo link do e-mail de confirmação
+notificacoesRouter.get(
+  "/assinaturas/confirmar/:token",
+  paginaDoLink(
+    "Confirmar assinatura",
+    (a) =>
+      `${a.destino} passará a receber os avisos de alteração ${doAlvo(a)}.`,
+    "Confirmar"
+  )
+);
+
+notificacoesRouter.post("/assinaturas/confirmar/:token", async (req, res) => {
+  try {
+    const assinatura = await buscarPorToken(req.params.token);
+    if (!assinatura) {
+      return responder(res, 404, "Assinatura não encontrada");
+    }
+    if (!assinatura.confirmada_em) {
+      // Os avisos começam a partir da confirmação
+      await db.execute({
+        sql: `UPDATE assinaturas SET confirmada_em = datetime('now'),
+                ultima_auditoria_id = (SELECT COALESCE(MAX(id), 0) FROM auditoria)
+              WHERE id = ? AND confirmada_em IS NULL`,
+        args: [assinatura.id],
+      });
+    }
+    responder(res, 200, "Assinatura confirmada com sucesso");
+  } catch (error) {
+    responder(res, 400, error.message);
+  }
+});
+
+// Rotas públicas de cancelamento, usadas pelo link que vai em cada aviso
+notificacoesRouter.get(
+  "/assinaturas/cancelar/:token",
+  paginaDoLink(
+    "Cancelar assinatura",
+    (a) =>
+      `${a.destino} deixará de receber os avisos de alteração ${doAlvo(a)}.`,
+    "Cancelar assinatura"
+  )
+);
+
+notificacoesRouter.post("/assinaturas/cancelar/:token", async (req, res) => {
+  try {
+    const { rowsAffected } = await db.execute({
+      sql: "DELETE FROM assinaturas WHERE token = ?",
+      args: [req.params.token],
+    });
+    if (rowsAffected === 0) {
+      return responder(res, 404, "Assinatura não encontrada");
+    }
+    responder(res, 200, "Assinatura cancelada com sucesso");
+  } catch (error) {
+    responder(res, 400, error.message);
+  }
+});
+
+// Lista das assinaturas para o painel, com o item acompanhado e o último erro de entrega
+notificacoesRouter.get("/assinaturas", requireEditor, async (req, res) => {
+  try {
+    const { rows } = await db.execute(
+      `SELECT a.id, a.canal, a.destino, a.tipo_id, a.norma_id, a.ultimo_envio_em,
+              a.ultimo_erro, a.criado_em, a.confirmada_em, COALESCE(t.nome, n.nome) AS alvo_nome
+       FROM assinaturas a
+       LEFT JOIN tipos_compensacao t ON t.id = a.tipo_id
+       LEFT JOIN normas n ON n.id = a.norma_id
+       ORDER BY alvo_nome, a.destino`
+    );
+    res.status(200).json({ data: rows });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para remover uma assinatura pelo painel
+notificacoesRouter.delete(
+  "/assinaturas/:id",
+  requireEditor,
+  async (req, res) => {
+    try {
+      const { rowsAffected } = await db.execute({
+        sql: "DELETE FROM assinaturas WHERE id = ?",
+        args: [req.params.id],
+      });
+      if (rowsAffected === 0) {
+        return res.status(404).json({ error: "Assinatura não encontrada" });
+      }
+      res.status(200).json({ message: "Assinatura removida com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para enviar os resumos agora (aguarda o fim do envio)
+notificacoesRouter.post(
+  "/notificacoes/enviar",
+  requireEditor,
+  async (req, res) => {
+    try {
+      const resumo = await notificador.enviarResumos();
+      res.status(200).json({ message: "Envio concluído", ...resumo });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Feed Atom público com as 50 mudanças mais recentes no guia. Aceita os mesmos
+// filtros das assinaturas: ?tipo_id= ou ?norma_id=.
+notificacoesRouter.get("/novidades.atom", async (req, res) => {
+  const { tipo_id, norma_id } = req.query;
+
+  try {
+    // As revisões de rascunhos não entram no feed; 500 bastam para achar as 50 mais recentes
+    const { rows: revisoes } = await db.execute(
+      "SELECT * FROM auditoria ORDER BY id DESC LIMIT 500"
+    );
+    const mudancas = (await lerMudancas(db, revisoes))
+      .filter((m) => (tipo_id || norma_id ? interessa(req.query, m) : true))
+      .slice(0, 50);
+
+    const atualizado = mudancas[0]
+      ? dataIso(mudancas[0].data)
+      : new Date().toISOString();
+    const entradas = mudancas.map(
+      (m) => `  <entry>
+    <id>${xml(`${URL_DO_GUIA}/#novidade-${m.id}`)}</id>
+    <title>${xml(`${m.titulo}: ${m.nome}`)}</title>
+    <updated>${dataIso(m.data)}</updated>
+    <link href="${xml(URL_DO_GUIA)}/"/>
+    <summary>${xml(
+      m.campos.length > 0
+        ? `Campos alterados: ${m.campos.join(", ")}.`
+        : `${m.titulo} no guia.`
+    )}</summary>
+  </entry>`
+    );
+
+    res.setHeader("Content-Type", "application/atom+xml; charset=utf-8");
+    res.send(`<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(`${URL_DO_GUIA}/api/v2/novidades.atom`)}</id>
+  <title>Guia de Compensação Ambiental - MG: novidades</title>
+  <updated>${atualizado}</updated>
+  <link rel="self" href="${xml(`${URL_DO_GUIA}${req.originalUrl}`)}"/>
+  <link href="${xml(URL_DO_GUIA)}/"/>
+${entradas.join("\n")}
+</feed>
+`);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
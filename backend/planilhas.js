@@ -0,0 +1,112 @@
+import { Readable } from "stream";
+import csv from "csv-parser";
+import ExcelJS from "exceljs";
+
+export const MIME_CSV = "text/csv";
+export const MIME_XLSX =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// O Excel em português salva CSV com ";" — detectamos o separador pela linha de cabeçalho.
+const detectarSeparador = (texto) => {
+  const cabecalho = texto.split(/\r?\n/, 1)[0];
+  return cabecalho.split(";").length > cabecalho.split(",").length ? ";" : ",";
+};
+
+const normalizarCabecalho = ({ header }) => header.trim().toLowerCase();
+
+// Lê um CSV (UTF-8, com ou sem BOM) e devolve uma lista de objetos por linha.
+export const lerCsv = (buffer) =>
+  new Promise((resolve, reject) => {
+    const texto = buffer.toString("utf8").replace(/^﻿/, "");
+    const linhas = [];
+
+    Readable.from([texto])
+      .pipe(
+        csv({
+          separator: detectarSeparador(texto),
+          mapHeaders: normalizarCabecalho,
+        })
+      )
+      .on("data", (linha) => linhas.push(linha))
+      .on("end", () => resolve(linhas))
+      .on("error", reject);
+  });
+
+// Converte o valor de uma célula do ExcelJS (texto rico, hyperlink, fórmula...) em texto.
+const textoDaCelula = (valor) => {
+  if (valor === null || valor === undefined) return "";
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor !== "object") return String(valor);
+  if (valor.richText) return valor.richText.map((t) => t.text).join("");
+  if (valor.text !== undefined) return textoDaCelula(valor.text);
+  if (valor.result !== undefined) return textoDaCelula(valor.result);
+  return "";
+};
+
+// Lê uma planilha .xlsx. Usa a aba com o nome informado, se existir; senão, a primeira.
+export const lerXlsx = async (buffer, nomeAba) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const aba =
+    (nomeAba && workbook.getWorksheet(nomeAba)) || workbook.worksheets[0];
+  if (!aba) return [];
+
+  const cabecalhos = [];
+  aba.getRow(1).eachCell((celula, coluna) => {
+    cabecalhos[coluna] = normalizarCabecalho({
+      header: textoDaCelula(celula.value),
+    });
+  });
+
+  const linhas = [];
+  aba.eachRow((row, numero) => {
+    if (numero === 1) return;
+
+    const linha = {};
+    cabecalhos.forEach((cabecalho, coluna) => {
+      if (cabecalho)
+        linha[cabecalho] = textoDaCelula(row.getCell(coluna).value);
+    });
+    linhas.push(linha);
+  });
+
+  return linhas;
+};
+
+// Lê CSV ou XLSX conforme o Content-Type enviado.
+export const lerPlanilha = (buffer, contentType = "", nomeAba) =>
+  contentType.startsWith(MIME_XLSX) ? lerXlsx(buffer, nomeAba) : lerCsv(buffer);
+
+// Gera um CSV com ";" e BOM, para abrir corretamente no Excel em português.
+export const gerarCsv = (colunas, linhas) => {
+  const escapar = (valor) => {
+    const texto = valor === null || valor === undefined ? "" : String(valor);
+    return /[";\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  };
+
+  const conteudo = [
+    colunas.join(";"),
+    ...linhas.map((linha) => colunas.map((c) => escapar(linha[c])).join(";")),
+  ].join("\r\n");
+
+  return `﻿${conteudo}\r\n`;
+};
+
+// Gera um .xlsx com uma aba por item de `abas` ({ nome, colunas, linhas }).
+export const gerarXlsx = async (abas) => {
+  const workbook = new ExcelJS.Workbook();
+
+  abas.forEach(({ nome, colunas, linhas }) => {
+    const aba = workbook.addWorksheet(nome);
+    aba.columns = colunas.map((coluna) => ({
+      header: coluna,
+      key: coluna,
+      width: 30,
+    }));
+    aba.getRow(1).font = { bold: true };
+    linhas.forEach((linha) => aba.addRow(linha));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
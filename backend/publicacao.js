@@ -0,0 +1,192 @@
+import { REGRAS, TABELAS } from "./validacao.js";
+
+// ===============================================
+// === FLUXO DE PUBLICAÇÃO =======================
+// ===============================================
+// Normas e modalidades passam por rascunho -> em_revisao -> publicado (migração 008).
+// As colunas do registro guardam a versão publicada, que é a única exibida nas
+// rotas públicas. Enquanto o registro nunca foi publicado, as edições vão direto
+// para as colunas; depois disso, ficam em alteracoes_pendentes até a aprovação.
+
+export const STATUS = ["rascunho", "em_revisao", "publicado"];
+
+export const ENTIDADES_COM_REVISAO = ["normas", "modalidades"];
+
+// Filtro SQL das rotas públicas: só o que já foi publicado e não está na lixeira
+export const VISIVEL_AO_PUBLICO =
+  "publicado_em IS NOT NULL AND excluido_em IS NULL";
+
+// O mesmo para modalidades, que também somem junto com o tipo enviado à lixeira
+export const MODALIDADE_VISIVEL_AO_PUBLICO = `${VISIVEL_AO_PUBLICO}
+  AND tipo_id IN (SELECT id FROM tipos_compensacao WHERE excluido_em IS NULL)`;
+
+const lerPendentes = (registro) =>
+  typeof registro.alteracoes_pendentes === "string"
+    ? JSON.parse(registro.alteracoes_pendentes)
+    : registro.alteracoes_pendentes;
+
+// Versão em que os editores estão trabalhando: a publicada com as alterações pendentes por cima.
+export const versaoDeTrabalho = (registro) => {
+  const pendentes = lerPendentes(registro);
+  return {
+    ...registro,
+    ...(pendentes || {}),
+    alteracoes_pendentes: pendentes || null,
+  };
+};
+
+// Registro como as rotas públicas o devolvem, sem os dados internos da revisão
+export const versaoPublica = ({
+  alteracoes_pendentes,
+  comentario_revisao,
+  revisado_por,
+  revisado_em,
+  ...registro
+}) => registro;
+
+const camposDe = (entidade, dados) =>
+  Object.fromEntries(
+    Object.keys(REGRAS[entidade]).map((campo) => [campo, dados[campo] ?? null])
+  );
+
+// Grava uma nova versão (já validada e normalizada) de uma norma ou modalidade.
+// `atual` é o registro como está no banco. Toda edição volta o status para rascunho.
+export const gravarVersao = (tx, entidade, id, dados, atual) => {
+  const tabela = TABELAS[entidade];
+  const valores = camposDe(entidade, dados);
+
+  if (atual.publicado_em) {
+    return tx.execute({
+      sql: `UPDATE ${tabela} SET alteracoes_pendentes = ?, status = 'rascunho' WHERE id = ?`,
+      args: [JSON.stringify(valores), id],
+    });
+  }
+
+  const campos = Object.keys(valores);
+  return tx.execute({
+    sql: `UPDATE ${tabela} SET ${campos
+      .map((c) => `${c} = ?`)
+      .join(", ")}, status = 'rascunho' WHERE id = ?`,
+    args: [...Object.values(valores), id],
+  });
+};
+
+// Publica a versão de trabalho: aplica as alterações pendentes nas colunas.
+export const publicarVersao = async (tx, entidade, id, atual, revisao) => {
+  const valores = camposDe(entidade, versaoDeTrabalho(atual));
+  const campos = Object.keys(valores);
+
+  await consolidarVinculos(tx, entidade, id, { aprovado: true });
+  return tx.execute({
+    sql: `UPDATE ${TABELAS[entidade]} SET ${campos
+      .map((c) => `${c} = ?`)
+      .join(", ")}, alteracoes_pendentes = NULL, status = 'publicado',
+      publicado_em = datetime('now'), comentario_revisao = ?, revisado_por = ?,
+      revisado_em = datetime('now') WHERE id = ?`,
+    args: [
+      ...Object.values(valores),
+      revisao.comentario,
+      revisao.usuario.email,
+      id,
+    ],
+  });
+};
+
+// Abandona as alterações pendentes de um registro publicado.
+export const descartarVersao = async (tx, entidade, id) => {
+  await consolidarVinculos(tx, entidade, id, { aprovado: false });
+  return tx.execute({
+    sql: `UPDATE ${TABELAS[entidade]} SET alteracoes_pendentes = NULL, status = 'publicado' WHERE id = ?`,
+    args: [id],
+  });
+};
+
+// --- Relações, links e anexos ---
+// As relações de uma norma (relacoes.js), os links de uma modalidade
+// (links.js) e os anexos de ambas (anexos.js) fazem parte da sua versão.
+// Enquanto o registro nunca foi publicado, são gravados direto; depois disso,
+// as linhas incluídas e as removidas ficam marcadas na coluna `pendente`
+// (migrações 018, 019 e 021) até a aprovação ou o descarte.
+// `coluna` aponta para o registro em todas as tabelas dele.
+export const VINCULOS = {
+  normas: { tabelas: ["normas_relacoes", "anexos"], coluna: "norma_id" },
+  modalidades: {
+    tabelas: ["modalidades_links", "anexos"],
+    coluna: "modalidade_id",
+  },
+};
+
+// Filtros SQL dessas linhas: a versão publicada e a versão de trabalho
+export const VINCULO_PUBLICADO = "pendente IS NOT 'inclusao'";
+export const VINCULO_DE_TRABALHO = "pendente IS NOT 'remocao'";
+
+// Marca das linhas incluídas agora no registro `atual` (null se ele não existe)
+export const marcaDeInclusao = (atual) =>
+  atual?.publicado_em ? "inclusao" : null;
+
+// Na aprovação, as inclusões passam a valer e as remoções saem; no descarte, o contrário.
+// Os arquivos dos anexos que saem ficam para quem chamou (ver revisao.js).
+const consolidarVinculos = async (tx, entidade, id, { aprovado }) => {
+  const { tabelas, coluna } = VINCULOS[entidade];
+  for (const tabela of tabelas) {
+    await tx.execute({
+      sql: `DELETE FROM ${tabela} WHERE ${coluna} = ? AND pendente = ?`,
+      args: [id, aprovado ? "remocao" : "inclusao"],
+    });
+    await tx.execute({
+      sql: `UPDATE ${tabela} SET pendente = NULL WHERE ${coluna} = ?`,
+      args: [id],
+    });
+  }
+};
+
+// Mudar as linhas é editar o registro: ele volta para rascunho e, se já foi
+// publicado, fica com alterações pendentes para ser revisado ou descartado.
+export const marcarEdicao = (tx, entidade, id, atual) =>
+  gravarVersao(tx, entidade, id, versaoDeTrabalho(atual), atual);
+
+// Remove a linha `vinculoId` de `tabela` do registro `atual`. Se ela já
+// estava publicada, só é marcada para remoção.
+export const removerVinculo = async (
+  tx,
+  tabela,
+  entidade,
+  id,
+  vinculoId,
+  atual
+) => {
+  const { coluna } = VINCULOS[entidade];
+  const args = [vinculoId, id];
+
+  if (atual.publicado_em) {
+    await tx.execute({
+      sql: `UPDATE ${tabela} SET pendente = 'remocao' WHERE id = ? AND ${coluna} = ? AND pendente IS NULL`,
+      args,
+    });
+  }
+  await tx.execute({
+    sql: `DELETE FROM ${tabela} WHERE id = ? AND ${coluna} = ? AND ${VINCULO_DE_TRABALHO}`,
+    args,
+  });
+  return marcarEdicao(tx, entidade, id, atual);
+};
+
+// Prepara a troca de todas as linhas de `tabela` do registro (ao restaurar uma
+// revisão): as publicadas são marcadas para remoção e as demais saem. Devolve
+// a marca das linhas a incluir em seguida.
+export const limparVinculos = async (tx, tabela, entidade, id, atual) => {
+  const { coluna } = VINCULOS[entidade];
+  const marca = marcaDeInclusao(atual);
+
+  if (marca) {
+    await tx.execute({
+      sql: `UPDATE ${tabela} SET pendente = 'remocao' WHERE ${coluna} = ? AND pendente IS NULL`,
+      args: [id],
+    });
+  }
+  await tx.execute({
+    sql: `DELETE FROM ${tabela} WHERE ${coluna} = ? AND ${VINCULO_DE_TRABALHO}`,
+    args: [id],
+  });
+  return marca;
+};
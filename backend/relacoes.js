@@ -0,0 +1,186 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+import { auditar } from "./auditoria.js";
+import {
+  VINCULO_DE_TRABALHO,
+  VINCULO_PUBLICADO,
+  marcaDeInclusao,
+  marcarEdicao,
+  removerVinculo,
+  versaoDeTrabalho,
+} from "./publicacao.js";
+
+// ===============================================
+// === RELAÇÕES ENTRE NORMAS =====================
+// ===============================================
+// "A revoga B", "A altera B" e "A regulamenta B" (migração 009). A relação
+// pertence à norma A, mas aparece nas duas: em A com sentido "ativa" e em B com
+// sentido "passiva" (ex: B é "revogada por" A). Como os campos da norma A,
+// passa por revisão depois que A é publicada (ver VINCULOS em publicacao.js).
+
+export const TIPOS_RELACAO = ["revoga", "altera", "regulamenta"];
+
+// Anexa a cada norma a lista `relacoes`: [{ id, tipo, sentido, norma_id, nome, link }].
+// Nas rotas públicas só entram as relações e as normas relacionadas já
+// publicadas; na pré-visualização (previa = true), entram os rascunhos, com a
+// versão de trabalho.
+export const anexarRelacoes = async (normas, { previa = false } = {}) => {
+  if (normas.length === 0) return normas;
+
+  const ids = normas.map((n) => Number(n.id));
+  const marcadores = ids.map(() => "?").join(", ");
+  const visivel = previa
+    ? `n.excluido_em IS NULL AND r.${VINCULO_DE_TRABALHO}`
+    : `n.publicado_em IS NOT NULL AND n.excluido_em IS NULL AND r.${VINCULO_PUBLICADO}`;
+
+  const { rows } = await db.execute({
+    sql: `SELECT r.id AS id, r.tipo AS tipo, 'ativa' AS sentido, r.norma_id AS dona_id,
+                 n.id AS norma_id, n.nome, n.link, n.alteracoes_pendentes
+          FROM normas_relacoes r JOIN normas n ON n.id = r.norma_relacionada_id
+          WHERE r.norma_id IN (${marcadores}) AND ${visivel}
+          UNION ALL
+          SELECT r.id, r.tipo, 'passiva', r.norma_relacionada_id,
+                 n.id, n.nome, n.link, n.alteracoes_pendentes
+          FROM normas_relacoes r JOIN normas n ON n.id = r.norma_id
+          WHERE r.norma_relacionada_id IN (${marcadores}) AND ${visivel}
+          ORDER BY 1`,
+    args: [...ids, ...ids],
+  });
+
+  return normas.map((norma) => ({
+    ...norma,
+    relacoes: rows
+      .filter((r) => r.dona_id == norma.id)
+      .map((r) => {
+        const relacionada = previa
+          ? versaoDeTrabalho(r)
+          : { nome: r.nome, link: r.link };
+        return {
+          id: r.id,
+          tipo: r.tipo,
+          sentido: r.sentido,
+          norma_id: r.norma_id,
+          nome: relacionada.nome,
+          link: relacionada.link,
+        };
+      }),
+  }));
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+// Alterações nas relações entram no histórico da norma de origem e a devolvem
+// para rascunho, como qualquer edição.
+export const relacoesRouter = express.Router();
+
+// Rota para relacionar a norma :id a outra (body: { tipo, norma_relacionada_id })
+relacoesRouter.post("/normas/:id/relacoes", requireEditor, async (req, res) => {
+  const { id } = req.params;
+  const { tipo } = req.body || {};
+  const relacionadaId = Number(req.body?.norma_relacionada_id);
+  const errors = [];
+
+  if (!TIPOS_RELACAO.includes(tipo)) {
+    errors.push({
+      field: "tipo",
+      message: `Valor inválido. Use: ${TIPOS_RELACAO.join(", ")}.`,
+    });
+  }
+  if (!Number.isInteger(relacionadaId)) {
+    errors.push({
+      field: "norma_relacionada_id",
+      message: "Deve ser um id numérico.",
+    });
+  } else if (relacionadaId === Number(id)) {
+    errors.push({
+      field: "norma_relacionada_id",
+      message: "Uma norma não pode se relacionar consigo mesma.",
+    });
+  }
+
+  try {
+    if (errors.length === 0) {
+      const { rows } = await db.execute({
+        sql: "SELECT 1 FROM normas WHERE id = ? AND excluido_em IS NULL",
+        args: [relacionadaId],
+      });
+      if (rows.length === 0) {
+        errors.push({
+          field: "norma_relacionada_id",
+          message: "Registro não encontrado.",
+        });
+      }
+    }
+    if (errors.length > 0) return res.status(400).json({ errors });
+
+    const revisao = await auditar(
+      { entidade: "normas", acao: "atualizar", id, usuario: req.usuario },
+      async (tx, atual) => {
+        if (atual.excluido_em) return null;
+        // Uma relação marcada para remoção volta a valer; repetida, é ignorada
+        const resultado = await tx.execute({
+          sql: `INSERT INTO normas_relacoes (norma_id, tipo, norma_relacionada_id, pendente)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (norma_id, tipo, norma_relacionada_id)
+                DO UPDATE SET pendente = NULL WHERE pendente = 'remocao'`,
+          args: [id, tipo, relacionadaId, marcaDeInclusao(atual)],
+        });
+        if (resultado.rowsAffected > 0) {
+          await marcarEdicao(tx, "normas", id, atual);
+        }
+        return resultado;
+      }
+    );
+
+    if (!revisao || revisao.antes.excluido_em) {
+      return res.status(404).json({ error: "Norma não encontrada" });
+    }
+    res.status(201).json({ message: "Relação cadastrada com sucesso" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para desfazer uma relação da norma :id
+relacoesRouter.delete(
+  "/normas/:id/relacoes/:relacaoId",
+  requireEditor,
+  async (req, res) => {
+    const { id, relacaoId } = req.params;
+
+    try {
+      // Relação inexistente (ou já marcada para remoção) não passa pelo histórico
+      const { rows } = await db.execute({
+        sql: `SELECT 1 FROM normas_relacoes WHERE id = ? AND norma_id = ? AND ${VINCULO_DE_TRABALHO}`,
+        args: [relacaoId, id],
+      });
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Relação não encontrada" });
+      }
+
+      const revisao = await auditar(
+        { entidade: "normas", acao: "atualizar", id, usuario: req.usuario },
+        (tx, atual) =>
+          atual.excluido_em
+            ? null
+            : removerVinculo(
+                tx,
+                "normas_relacoes",
+                "normas",
+                id,
+                relacaoId,
+                atual
+              )
+      );
+
+      if (!revisao || revisao.antes.excluido_em) {
+        return res.status(404).json({ error: "Norma não encontrada" });
+      }
+      res.status(200).json({ message: "Relação removida com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
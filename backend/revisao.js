@@ -0,0 +1,337 @@
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor, requireRevisor } from "./auth.js";
+import { TABELAS, validarDados } from "./validacao.js";
+import { auditar } from "./auditoria.js";
+import { anexarRelacoes } from "./relacoes.js";
+import { anexarLinks } from "./links.js";
+import { anexarAnexos, chavesQueSaem, removerArquivos } from "./anexos.js";
+import {
+  ENTIDADES_COM_REVISAO,
+  descartarVersao,
+  publicarVersao,
+  versaoDeTrabalho,
+} from "./publicacao.js";
+
+// ===============================================
+// === REVISÃO E PRÉ-VISUALIZAÇÃO ================
+// ===============================================
+// Transições do fluxo de publicação (ver publicacao.js):
+// - enviar-revisao: rascunho -> em_revisao (editor)
+// - aprovar: em_revisao -> publicado, aplicando as alterações pendentes
+//   (revisor que não tenha enviado nem editado a versão em revisão)
+// - rejeitar: em_revisao -> rascunho, com o motivo em comentario_revisao (revisor)
+// - descartar: abandona as alterações pendentes de um item já publicado (editor)
+
+const buscarRegistro = async (entidade, id) => {
+  const { rows } = await db.execute({
+    sql: `SELECT * FROM ${TABELAS[entidade]} WHERE id = ? AND excluido_em IS NULL`,
+    args: [id],
+  });
+  return rows[0];
+};
+
+const NAO_ENCONTRADO = {
+  normas: "Norma não encontrada",
+  modalidades: "Modalidade não encontrada",
+};
+
+// Se o usuário criou, editou ou enviou para revisão a versão de trabalho, ou
+// seja, desde a última aprovação ou descarte
+const participouDaVersao = async (tx, entidade, id, usuarioId) => {
+  const { rows } = await tx.execute({
+    sql: `SELECT 1 FROM auditoria
+          WHERE entidade = ? AND entidade_id = ? AND usuario_id = ?
+            AND acao IN ('criar', 'atualizar', 'restaurar', 'enviar_revisao')
+            AND id > (SELECT COALESCE(MAX(id), 0) FROM auditoria
+                      WHERE entidade = ? AND entidade_id = ?
+                        AND acao IN ('aprovar', 'descartar'))
+          LIMIT 1`,
+    args: [entidade, id, usuarioId, entidade, id],
+  });
+  return rows.length > 0;
+};
+
+const enviarRevisao = (entidade) => async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const registro = await buscarRegistro(entidade, id);
+    if (!registro) {
+      return res.status(404).json({ error: NAO_ENCONTRADO[entidade] });
+    }
+    if (registro.status !== "rascunho") {
+      return res.status(409).json({
+        error: "Apenas rascunhos podem ser enviados para revisão.",
+      });
+    }
+
+    await auditar(
+      { entidade, acao: "enviar_revisao", id, usuario: req.usuario },
+      (tx) =>
+        tx.execute({
+          sql: `UPDATE ${TABELAS[entidade]} SET status = 'em_revisao' WHERE id = ?`,
+          args: [id],
+        })
+    );
+    res.status(200).json({ message: "Item enviado para revisão" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// As conferências rodam na transação da aprovação, sobre o registro como está
+// nela: uma edição ou outra aprovação no meio do caminho não passa. Quando uma
+// falha, a resposta fica em `recusa` e nada é alterado.
+const aprovar = (entidade) => async (req, res) => {
+  const { id } = req.params;
+  const comentario = String(req.body?.comentario ?? "").trim() || null;
+
+  try {
+    let recusa = null;
+    let chaves = [];
+    const revisao = await auditar(
+      { entidade, acao: "aprovar", id, usuario: req.usuario },
+      async (tx, atual) => {
+        if (atual.excluido_em) {
+          recusa = [404, { error: NAO_ENCONTRADO[entidade] }];
+          return null;
+        }
+        if (atual.status !== "em_revisao") {
+          recusa = [
+            409,
+            { error: "Apenas itens em revisão podem ser aprovados." },
+          ];
+          return null;
+        }
+        // A aprovação precisa de um segundo par de olhos
+        if (await participouDaVersao(tx, entidade, id, req.usuario.id)) {
+          recusa = [
+            403,
+            {
+              error:
+                "Quem editou ou enviou o item para revisão não pode aprová-lo. Peça a outro revisor.",
+            },
+          ];
+          return null;
+        }
+        // O catálogo pode ter mudado desde a edição (ex: o tipo foi para a lixeira)
+        const errors = await validarDados(
+          entidade,
+          versaoDeTrabalho(atual),
+          tx
+        );
+        if (errors.length > 0) {
+          recusa = [
+            409,
+            {
+              error:
+                "A versão em revisão não é mais válida e não pode ser publicada.",
+              errors,
+            },
+          ];
+          return null;
+        }
+
+        chaves = await chavesQueSaem(tx, entidade, id, { aprovado: true });
+        return publicarVersao(tx, entidade, id, atual, {
+          comentario,
+          usuario: req.usuario,
+        });
+      }
+    );
+
+    if (!revisao) recusa = [404, { error: NAO_ENCONTRADO[entidade] }];
+    if (recusa) return res.status(recusa[0]).json(recusa[1]);
+    await removerArquivos(chaves);
+    res.status(200).json({ message: "Item aprovado e publicado" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const rejeitar = (entidade) => async (req, res) => {
+  const { id } = req.params;
+  const comentario = String(req.body?.comentario ?? "").trim();
+
+  if (!comentario) {
+    return res.status(400).json({
+      errors: [
+        { field: "comentario", message: "Informe o motivo da rejeição." },
+      ],
+    });
+  }
+
+  try {
+    const registro = await buscarRegistro(entidade, id);
+    if (!registro) {
+      return res.status(404).json({ error: NAO_ENCONTRADO[entidade] });
+    }
+    if (registro.status !== "em_revisao") {
+      return res
+        .status(409)
+        .json({ error: "Apenas itens em revisão podem ser rejeitados." });
+    }
+
+    await auditar(
+      { entidade, acao: "rejeitar", id, usuario: req.usuario },
+      (tx) =>
+        tx.execute({
+          sql: `UPDATE ${TABELAS[entidade]} SET status = 'rascunho', comentario_revisao = ?,
+                revisado_por = ?, revisado_em = datetime('now') WHERE id = ?`,
+          args: [comentario, req.usuario.email, id],
+        })
+    );
+    res.status(200).json({ message: "Item devolvido para rascunho" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const descartar = (entidade) => async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const registro = await buscarRegistro(entidade, id);
+    if (!registro) {
+      return res.status(404).json({ error: NAO_ENCONTRADO[entidade] });
+    }
+    if (!registro.publicado_em || !registro.alteracoes_pendentes) {
+      return res
+        .status(409)
+        .json({ error: "Não há alterações pendentes para descartar." });
+    }
+
+    let chaves = [];
+    await auditar(
+      { entidade, acao: "descartar", id, usuario: req.usuario },
+      async (tx) => {
+        chaves = await chavesQueSaem(tx, entidade, id, { aprovado: false });
+        return descartarVersao(tx, entidade, id);
+      }
+    );
+    await removerArquivos(chaves);
+    res.status(200).json({ message: "Alterações pendentes descartadas" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const revisaoRouter = express.Router();
+
+for (const entidade of ENTIDADES_COM_REVISAO) {
+  revisaoRouter.post(
+    `/${entidade}/:id/enviar-revisao`,
+    requireEditor,
+    enviarRevisao(entidade)
+  );
+  revisaoRouter.post(
+    `/${entidade}/:id/aprovar`,
+    requireRevisor,
+    aprovar(entidade)
+  );
+  revisaoRouter.post(
+    `/${entidade}/:id/rejeitar`,
+    requireRevisor,
+    rejeitar(entidade)
+  );
+  revisaoRouter.post(
+    `/${entidade}/:id/descartar`,
+    requireEditor,
+    descartar(entidade)
+  );
+}
+
+// --- Pré-visualização ---
+// Mesmas respostas das rotas públicas usadas pelo app.js, mas com a versão de
+// trabalho de todo o conteúdo fora da lixeira (rascunhos inclusive). O painel
+// administrativo também usa estas rotas para listar e editar normas e modalidades.
+revisaoRouter.get("/previa/normas", requireEditor, async (req, res) => {
+  try {
+    const { rows } = await db.execute(
+      "SELECT * FROM normas WHERE excluido_em IS NULL"
+    );
+    const data = rows
+      .map(versaoDeTrabalho)
+      .sort((a, b) => a.nome.localeCompare(b.nome, "pt-BR"));
+    res.status(200).json({
+      data: await anexarAnexos(
+        await anexarRelacoes(data, { previa: true }),
+        "normas",
+        { previa: true }
+      ),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Aceita ?tipo_id=, como a rota pública, para o guia carregar só as do tipo. O
+// filtro vale para a versão de trabalho, que pode ter mudado a modalidade de tipo.
+revisaoRouter.get("/previa/modalidades", requireEditor, async (req, res) => {
+  const { tipo_id } = req.query;
+  try {
+    const { rows } = await db.execute(
+      "SELECT * FROM modalidades WHERE excluido_em IS NULL"
+    );
+    const data = rows
+      .map(versaoDeTrabalho)
+      .filter((m) => tipo_id === undefined || m.tipo_id == tipo_id);
+    res.status(200).json({
+      data: await anexarAnexos(
+        await anexarLinks(data, { previa: true }),
+        "modalidades",
+        { previa: true }
+      ),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+revisaoRouter.get("/previa/tipos", requireEditor, async (req, res) => {
+  try {
+    const result = await db.execute(
+      `SELECT t.*, GROUP_CONCAT(n.id) AS norma_ids
+       FROM tipos_compensacao t
+       LEFT JOIN normas_tipos_compensacao ntc ON ntc.tipo_id = t.id
+       LEFT JOIN normas n ON n.id = ntc.norma_id AND n.excluido_em IS NULL
+       WHERE t.excluido_em IS NULL
+       GROUP BY t.id`
+    );
+    const data = result.rows.map((tipo) => ({
+      ...tipo,
+      norma_ids: tipo.norma_ids
+        ? String(tipo.norma_ids).split(",").map(Number)
+        : [],
+    }));
+    res.status(200).json({ data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+revisaoRouter.get(
+  "/previa/tipos/:id/normas",
+  requireEditor,
+  async (req, res) => {
+    try {
+      const { rows } = await db.execute({
+        sql: "SELECT n.* FROM normas n JOIN normas_tipos_compensacao ntc ON n.id = ntc.norma_id WHERE ntc.tipo_id = ? AND n.excluido_em IS NULL",
+        args: [req.params.id],
+      });
+      res.status(200).json({
+        data: await anexarAnexos(
+          await anexarRelacoes(rows.map(versaoDeTrabalho), { previa: true }),
+          "normas",
+          { previa: true }
+        ),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
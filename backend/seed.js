@@ -0,0 +1,176 @@
+import { pathToFileURL } from "url";
+import { db } from "./db.js";
+import { executarMigracoes } from "./migrate.js";
+import { preencherSlugs } from "./slugs.js";
+
+// Tipos de compensação ambiental usuais em Minas Gerais, com as camadas do
+// SISEMA (camadas.js) que o mapa do guia exibe para cada um.
+const CAMADAS_UC_E_IMOVEIS = "unidades-conservacao,imoveis-compensacao";
+
+export const TIPOS = [
+  { nome: "SNUC", camadas_mapa: CAMADAS_UC_E_IMOVEIS },
+  { nome: "Mata Atlântica", camadas_mapa: CAMADAS_UC_E_IMOVEIS },
+  { nome: "APP" },
+  { nome: "Minerária" },
+  { nome: "Espécies Ameaçadas" },
+  { nome: "Espécies Imunes de Corte" },
+  { nome: "Reserva Legal" },
+];
+
+// Normas de referência e os tipos de compensação que cada uma fundamenta.
+export const NORMAS = [
+  {
+    nome: "Lei Federal nº 9.985/2000 (SNUC)",
+    link: "https://www.planalto.gov.br/ccivil_03/leis/l9985.htm",
+    preambulo:
+      "Regulamenta o art. 225 da Constituição Federal e institui o Sistema Nacional de Unidades de Conservação da Natureza.",
+    tipos: ["SNUC"],
+  },
+  {
+    nome: "Decreto Estadual nº 45.175/2009",
+    link: "https://www.almg.gov.br/legislacao-mineira/texto/DEC/45175/2009/",
+    preambulo:
+      "Estabelece metodologia de gradação de impactos ambientais e procedimentos para fixação e aplicação da compensação ambiental.",
+    tipos: ["SNUC"],
+  },
+  {
+    nome: "Lei Federal nº 11.428/2006 (Lei da Mata Atlântica)",
+    link: "https://www.planalto.gov.br/ccivil_03/_ato2004-2006/2006/lei/l11428.htm",
+    preambulo:
+      "Dispõe sobre a utilização e proteção da vegetação nativa do Bioma Mata Atlântica.",
+    tipos: ["Mata Atlântica"],
+  },
+  {
+    nome: "Lei Federal nº 12.651/2012 (Código Florestal)",
+    link: "https://www.planalto.gov.br/ccivil_03/_ato2011-2014/2012/lei/l12651.htm",
+    preambulo: "Dispõe sobre a proteção da vegetação nativa.",
+    tipos: ["APP", "Reserva Legal"],
+  },
+  {
+    nome: "Lei Estadual nº 20.922/2013",
+    link: "https://www.almg.gov.br/legislacao-mineira/texto/LEI/20922/2013/",
+    preambulo:
+      "Dispõe sobre as políticas florestal e de proteção à biodiversidade no Estado.",
+    tipos: ["APP", "Minerária", "Reserva Legal"],
+  },
+  {
+    nome: "Decreto Estadual nº 47.749/2019",
+    link: "https://www.almg.gov.br/legislacao-mineira/texto/DEC/47749/2019/",
+    preambulo:
+      "Dispõe sobre os processos de autorização para intervenção ambiental e sobre a produção florestal no âmbito do Estado de Minas Gerais.",
+    tipos: [
+      "Mata Atlântica",
+      "APP",
+      "Minerária",
+      "Espécies Ameaçadas",
+      "Espécies Imunes de Corte",
+    ],
+  },
+  {
+    nome: "Lei Estadual nº 9.743/1988",
+    link: "https://www.almg.gov.br/legislacao-mineira/texto/LEI/9743/1988/",
+    preambulo:
+      "Declara de interesse comum, de preservação permanente e imune de corte o ipê-amarelo.",
+    tipos: ["Espécies Imunes de Corte"],
+  },
+  {
+    nome: "Lei Estadual nº 20.308/2012",
+    link: "https://www.almg.gov.br/legislacao-mineira/texto/LEI/20308/2012/",
+    preambulo:
+      "Altera a Lei nº 10.883/1992, que declara de preservação permanente, de interesse comum e imune de corte o pequizeiro.",
+    tipos: ["Espécies Imunes de Corte"],
+  },
+];
+
+// Perguntas iniciais do assistente de decisão (assistente.js) e os tipos de
+// compensação indicados quando a resposta é "sim".
+export const PERGUNTAS = [
+  {
+    texto: "O empreendimento suprimiu vegetação de Mata Atlântica?",
+    ajuda:
+      "Supressão de vegetação nativa primária ou secundária em estágio médio ou avançado de regeneração no bioma Mata Atlântica.",
+    tipos: ["Mata Atlântica"],
+  },
+  {
+    texto: "Houve intervenção em Área de Preservação Permanente (APP)?",
+    ajuda:
+      "Margens de cursos d'água, nascentes, topos de morro, encostas e demais áreas definidas no Código Florestal.",
+    tipos: ["APP"],
+  },
+  {
+    texto: "É um empreendimento de significativo impacto ambiental (EIA/RIMA)?",
+    ajuda:
+      "Empreendimentos licenciados com Estudo de Impacto Ambiental e respectivo Relatório (EIA/RIMA).",
+    tipos: ["SNUC"],
+  },
+  {
+    texto: "Trata-se de atividade minerária?",
+    ajuda:
+      "Empreendimentos minerários que suprimem vegetação nativa dependem de compensação específica.",
+    tipos: ["Minerária"],
+  },
+  {
+    texto: "Houve supressão de espécies da flora ameaçadas de extinção?",
+    tipos: ["Espécies Ameaçadas"],
+  },
+  {
+    texto:
+      "Houve corte de espécies imunes de corte (ex: pequizeiro, ipê-amarelo)?",
+    tipos: ["Espécies Imunes de Corte"],
+  },
+  {
+    texto: "O imóvel rural tem déficit de Reserva Legal?",
+    tipos: ["Reserva Legal"],
+  },
+];
+
+// Carrega os dados padrão. É idempotente: registros já existentes (pelo nome)
+// são mantidos, então pode ser executado novamente sem duplicar nada.
+export const executarSeed = async (client = db) => {
+  const statements = [
+    ...TIPOS.map(({ nome, camadas_mapa = null }) => ({
+      sql: "INSERT INTO tipos_compensacao (nome, camadas_mapa) SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM tipos_compensacao WHERE nome = ?)",
+      args: [nome, camadas_mapa, nome],
+    })),
+    ...NORMAS.map(({ nome, link, preambulo }) => ({
+      // As normas de referência já entram publicadas (ver publicacao.js)
+      sql: "INSERT INTO normas (nome, link, preambulo, status, publicado_em) SELECT ?, ?, ?, 'publicado', datetime('now') WHERE NOT EXISTS (SELECT 1 FROM normas WHERE nome = ?)",
+      args: [nome, link, preambulo, nome],
+    })),
+    ...NORMAS.flatMap(({ nome, tipos }) =>
+      tipos.map((tipo) => ({
+        sql: `INSERT OR IGNORE INTO normas_tipos_compensacao (tipo_id, norma_id)
+              SELECT t.id, n.id FROM tipos_compensacao t, normas n
+              WHERE t.nome = ? AND n.nome = ?`,
+        args: [tipo, nome],
+      }))
+    ),
+    ...PERGUNTAS.map(({ texto, ajuda = null }, i) => ({
+      sql: "INSERT INTO assistente_perguntas (texto, ajuda, ordem) SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM assistente_perguntas WHERE texto = ?)",
+      args: [texto, ajuda, i + 1, texto],
+    })),
+    ...PERGUNTAS.flatMap(({ texto, tipos }) =>
+      tipos.map((tipo) => ({
+        sql: `INSERT OR IGNORE INTO assistente_perguntas_tipos (pergunta_id, tipo_id)
+              SELECT p.id, t.id FROM assistente_perguntas p, tipos_compensacao t
+              WHERE p.texto = ? AND t.nome = ?`,
+        args: [texto, tipo],
+      }))
+    ),
+  ];
+
+  await client.batch(statements, "write");
+  await preencherSlugs(client);
+};
+
+// Permite rodar diretamente: `npm run seed` (aplica as migrações antes)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    await executarMigracoes();
+    await executarSeed();
+    console.log("Dados padrão carregados.");
+  } catch (error) {
+    console.error("Erro ao carregar os dados padrão:", error.message);
+    process.exitCode = 1;
+  }
+}
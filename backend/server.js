@@ -1,11 +1,62 @@
 import express from "express";
 import cors from "cors";
 import path from "path";
-import axios from "axios";
-import { createClient } from "@libsql/client";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { db } from "./db.js";
+import { executarMigracoes } from "./migrate.js";
+import { REGRAS, validarCorpo } from "./validacao.js";
+import { buscar } from "./busca.js";
+import { clienteWfs, enviarRespostaWfs } from "./sisema.js";
+import {
+  CAMADAS,
+  buscarCamada,
+  descreverCamada,
+  validarConsultaCamada,
+} from "./camadas.js";
+import {
+  analisarProximidade,
+  caixaEnvolvente,
+  expandirCaixa,
+  lerAreaConsulta,
+} from "./geo.js";
+import {
+  authRouter,
+  usuariosRouter,
+  requireEditor,
+  garantirAdminInicial,
+} from "./auth.js";
+import { planilhasRouter } from "./importacao.js";
+import { auditar, historicoRouter } from "./auditoria.js";
+import { lixeiraRouter } from "./lixeira.js";
+import { revisaoRouter } from "./revisao.js";
+import { anexarRelacoes, relacoesRouter } from "./relacoes.js";
+import { calcularCompensacao, lerRegraProporcao } from "./calculadora.js";
+import { anexarLinks, linksRouter } from "./links.js";
+import { assistenteRouter } from "./assistente.js";
+import { anexarAnexos, anexosRouter } from "./anexos.js";
+import { dossieRouter } from "./dossie.js";
+import { comparacaoRouter } from "./comparacao.js";
+import { cacheDoCatalogo } from "./cache.js";
+import { lerCampos, lerPaginacao } from "./consulta.js";
+import { atribuirSlug, preencherSlugs, slugsRouter } from "./slugs.js";
+import {
+  verificacaoPeriodicaAtiva,
+  verificacaoRouter,
+  verificadorLinks,
+} from "./verificacao.js";
+import {
+  notificacoesPeriodicasAtivas,
+  notificacoesRouter,
+  notificador,
+} from "./notificacoes.js";
+import {
+  VISIVEL_AO_PUBLICO,
+  MODALIDADE_VISIVEL_AO_PUBLICO,
+  gravarVersao,
+  versaoPublica,
+} from "./publicacao.js";
 
 dotenv.config();
 
@@ -17,27 +68,22 @@ const clientURL = isProduction
   ? process.env.CLIENT_URL_PROD
   : process.env.CLIENT_URL_DEV;
 
-const dbConfig = isProduction
-  ? {
-      url: process.env.DATABASE_URI_PROD,
-      authToken: process.env.TURSO_AUTH_TOKEN,
-    }
-  : {
-      url: process.env.DATABASE_URI_DEV,
-    };
-
-// --- Conexão com o Banco de Dados ---
-export const db = createClient(dbConfig);
+// A conexão com o banco vive em db.js; reexportada aqui por compatibilidade.
+export { db };
 
 // --- Middlewares ---
 const corsOptions = {
   origin: clientURL,
   credentials: true,
   methods: "GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS",
+  // Lidos pelo service worker do guia para as requisições condicionais
+  exposedHeaders: ["ETag", "Last-Modified"],
 };
 
 app.use(cors(corsOptions));
-app.use(express.json()); // Habilita o parsing de JSON para requisições POST/PUT
+// Habilita o parsing de JSON para requisições POST/PUT.
+// O limite maior comporta os polígonos (GeoJSON/KML) enviados para a análise de UCs.
+app.use(express.json({ limit: "2mb" }));
 
 // Middleware para forçar o cabeçalho UTF-8 em todas as rotas da API.
 app.use("/api", (req, res, next) => {
@@ -45,20 +91,41 @@ app.use("/api", (req, res, next) => {
   next();
 });
 
+// ===============================================
+// === AUTENTICAÇÃO E USUÁRIOS ===================
+// ===============================================
+app.use("/api/v2/auth", authRouter);
+app.use("/api/v2/usuarios", usuariosRouter);
+
 // ===============================================
 // === ROTAS PÚBLICAS (para o index.html) ========
 // ===============================================
 
+// Dados que o guia carrega e guarda para uso offline (ver frontend/sw.js):
+// respondem com ETag e Last-Modified da versão do catálogo e com 304 quando o
+// cliente já a tem (ver cache.js).
+app.get(
+  [
+    "/api/v2/normas",
+    "/api/v2/tipos",
+    "/api/v2/modalidades",
+    "/api/v2/tipos/:id/normas",
+    "/api/v2/perguntas",
+  ],
+  cacheDoCatalogo
+);
+
 // Rota para buscar normas com funcionalidade de busca (ex: /api/v2/normas?q=decreto)
 app.get("/api/v2/normas", async (req, res) => {
   const searchTerm = req.query.q;
-  let sql = "SELECT * FROM normas";
+  // Rascunhos e itens na lixeira não aparecem nas rotas públicas (ver publicacao.js)
+  let sql = `SELECT * FROM normas WHERE ${VISIVEL_AO_PUBLICO}`;
   const params = [];
 
   if (searchTerm) {
     const lowerSearchTerm = `%${searchTerm.toLowerCase()}%`;
     sql +=
-      " WHERE LOWER(nome) LIKE ? OR LOWER(link) LIKE ? OR LOWER(preambulo) LIKE ?";
+      " AND (LOWER(nome) LIKE ? OR LOWER(link) LIKE ? OR LOWER(preambulo) LIKE ?)";
     params.push(lowerSearchTerm, lowerSearchTerm, lowerSearchTerm);
   }
 
@@ -66,301 +133,791 @@ app.get("/api/v2/normas", async (req, res) => {
 
   try {
     const result = await db.execute(sql, params);
-    res.status(200).json({ data: result.rows });
+    res.status(200).json({
+      data: await anexarAnexos(
+        await anexarRelacoes(result.rows.map(versaoPublica)),
+        "normas"
+      ),
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Rota para buscar todos os tipos de compensação
+// Rota para buscar todos os tipos de compensação.
+// Cada tipo vem com `norma_ids`: os ids das normas vinculadas a ele.
 app.get("/api/v2/tipos", async (req, res) => {
   try {
-    const result = await db.execute("SELECT * FROM tipos_compensacao");
-    res.status(200).json({ data: result.rows });
+    const result = await db.execute(
+      `SELECT t.*, GROUP_CONCAT(n.id) AS norma_ids
+       FROM tipos_compensacao t
+       LEFT JOIN normas_tipos_compensacao ntc ON ntc.tipo_id = t.id
+       LEFT JOIN normas n ON n.id = ntc.norma_id
+         AND n.publicado_em IS NOT NULL AND n.excluido_em IS NULL
+       WHERE t.excluido_em IS NULL
+       GROUP BY t.id`
+    );
+    const data = result.rows.map((tipo) => ({
+      ...tipo,
+      norma_ids: tipo.norma_ids
+        ? String(tipo.norma_ids).split(",").map(Number)
+        : [],
+    }));
+    res.status(200).json({ data });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// Rota para buscar todas as modalidades de compensação
+// Campos aceitos em ?fields= na listagem de modalidades
+const CAMPOS_MODALIDADE = [
+  "id",
+  "slug",
+  ...Object.keys(REGRAS.modalidades),
+  "status",
+  "publicado_em",
+  "links",
+  "anexos",
+];
+
+// Rota para buscar as modalidades de compensação.
+// Cada modalidade vem com `links`: ferramentas, formulários e modelos (ver links.js),
+// e com os seus `anexos` (ver anexos.js).
+// Filtros opcionais (ver consulta.js): ?tipo_id=, ?fields=id,nome,links (o id
+// sempre vem) e ?limite=&pagina=, que acrescenta `paginacao` à resposta.
 app.get("/api/v2/modalidades", async (req, res) => {
+  const errors = [];
+  const tipoId = req.query.tipo_id;
+  if (tipoId !== undefined && !/^\d+$/.test(tipoId)) {
+    errors.push({ field: "tipo_id", message: "Deve ser um id numérico." });
+  }
+  const campos = lerCampos(req.query, CAMPOS_MODALIDADE, errors);
+  const paginacao = lerPaginacao(req.query, errors);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  const incluir = (campo) => !campos || campos.includes(campo);
+  const colunas = campos
+    ? [...new Set(["id", ...campos])]
+        .filter((campo) => campo !== "links" && campo !== "anexos")
+        .join(", ")
+    : "*";
+  let where = MODALIDADE_VISIVEL_AO_PUBLICO;
+  const args = [];
+  if (tipoId !== undefined) {
+    where += " AND tipo_id = ?";
+    args.push(tipoId);
+  }
+
+  let sql = `SELECT ${colunas} FROM modalidades WHERE ${where} ORDER BY id`;
+  if (paginacao) sql += " LIMIT ? OFFSET ?";
+
   try {
-    const result = await db.execute("SELECT * FROM modalidades");
-    res.status(200).json({ data: result.rows });
+    const result = await db.execute({
+      sql,
+      args: paginacao ? [...args, paginacao.limite, paginacao.offset] : args,
+    });
+    let data = result.rows.map(versaoPublica);
+    if (incluir("links")) data = await anexarLinks(data);
+    if (incluir("anexos")) data = await anexarAnexos(data, "modalidades");
+
+    if (!paginacao) return res.status(200).json({ data });
+
+    const { rows } = await db.execute({
+      sql: `SELECT COUNT(*) AS total FROM modalidades WHERE ${where}`,
+      args,
+    });
+    res.status(200).json({
+      data,
+      paginacao: {
+        pagina: paginacao.pagina,
+        limite: paginacao.limite,
+        total: Number(rows[0].total),
+      },
+    });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// Rota para obter as normas associadas a um tipo de compensação
+// Rota para obter as normas associadas a um tipo de compensação.
+// Cada norma vem com `relacoes` (ex: revogada por / alterada por outra norma)
+// e com os seus `anexos` (ver anexos.js).
 app.get("/api/v2/tipos/:id/normas", async (req, res) => {
   try {
     const result = await db.execute({
-      sql: "SELECT n.* FROM normas n JOIN normas_tipos_compensacao ntc ON n.id = ntc.norma_id WHERE ntc.tipo_id = ?",
+      sql: "SELECT n.* FROM normas n JOIN normas_tipos_compensacao ntc ON n.id = ntc.norma_id WHERE ntc.tipo_id = ? AND n.publicado_em IS NOT NULL AND n.excluido_em IS NULL",
       args: [req.params.id],
     });
-    res.status(200).json({ data: result.rows });
+    res.status(200).json({
+      data: await anexarAnexos(
+        await anexarRelacoes(result.rows.map(versaoPublica)),
+        "normas"
+      ),
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// ===============================================
-// === NOVAS ROTAS PARA CONSULTA AO IDE SISEMA ===
-// ===============================================
-// A URL base para o GeoServer da IDE SISEMA, onde os serviços OWS estão disponíveis.
-const WFS_BASE_URL = "http://geoserver.meioambiente.mg.gov.br/ows";
-
-// Rota para consultar Unidades de Conservação Estaduais (Polígonos)
-// Seu frontend chamará esta rota para obter os dados das UCs.
-app.get("/api/v2/sisema/unidades-conservacao", async (req, res) => {
-  // O typename que você descobriu para as Unidades de Conservação.
-  const TYPENAME = "ide_2010_mg_unidades_conservacao_estaduais_pol";
-
-  // Constrói a URL completa para a requisição WFS GetFeature.
-  // Solicitamos a versão 2.0.0 do WFS e a saída em formato GeoJSON.
-  let wfsUrl = `${WFS_BASE_URL}?service=WFS&version=2.0.0&request=GetFeature&typename=${TYPENAME}&outputFormat=application/json`;
-
-  // Incluímos lógica para filtros opcionais que podem vir do frontend,
-  // como uma caixa delimitadora (bbox) ou um filtro CQL (Common Query Language).
-  // Isso permite que você refine as consultas no futuro, se necessário.
-  if (req.query.bbox) {
-    wfsUrl += `&bbox=${req.query.bbox}`;
+// Rota de busca unificada em normas e modalidades (ex: /api/v2/busca?q=compensacao)
+// Aceita ?entidade=norma|modalidade para restringir e ?limite= (padrão 20;
+// acima de 50, vale 50).
+app.get("/api/v2/busca", async (req, res) => {
+  const { q, entidade } = req.query;
+  const limite = Number(req.query.limite ?? 20);
+
+  if (entidade && !["norma", "modalidade"].includes(entidade)) {
+    return res
+      .status(400)
+      .json({ error: "entidade deve ser 'norma' ou 'modalidade'." });
   }
-
-  if (req.query.cql_filter) {
-    wfsUrl += `&cql_filter=${req.query.cql_filter}`;
+  // Um LIMIT negativo no SQLite é "sem limite"
+  if (!Number.isInteger(limite) || limite < 1) {
+    return res
+      .status(400)
+      .json({ error: "limite deve ser um inteiro a partir de 1." });
   }
 
   try {
-    // Log para acompanhar a requisição no console do seu backend.
-    console.log(`Consultando WFS (UCs): ${wfsUrl}`);
-
-    // Faz a requisição HTTP para o GeoServer do SISEMA usando axios.
-    const response = await axios.get(wfsUrl);
-
-    // Retorna os dados GeoJSON recebidos diretamente para o frontend.
-    res.json(response.data);
+    const data = await buscar(q, { entidade, limite: Math.min(limite, 50) });
+    res.status(200).json({ data });
   } catch (error) {
-    // Em caso de erro na requisição, registra no console e envia uma resposta de erro para o frontend.
-    console.error("Erro ao consultar UCs do SISEMA:", error.message);
-    res.status(500).json({ error: "Falha ao obter dados de UCs do SISEMA." });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Rota para consultar Imóveis Disponíveis para Compensação (Pontos)
-// Similar à rota das UCs, mas focada nos imóveis.
-app.get("/api/v2/sisema/imoveis-compensacao", async (req, res) => {
-  // O typename que você encontrou para os Imóveis disponíveis para Compensação.
-  const TYPENAME = "ide_2104_mg_imoveis_disponiveis_compensacao_ambiental_pto";
+// Rota da calculadora de compensação: para cada modalidade publicada do tipo,
+// a compensação exigida segundo a sua proporção estruturada (ver calculadora.js).
+// Body: { tipo_id, area (ha), valor (R$), condicoes: ["mesma_bacia", ...] }
+app.post("/api/v2/calculadora", async (req, res) => {
+  const { tipo_id, condicoes = [] } = req.body || {};
+  const errors = [];
+
+  // Número ou texto com só dígitos: "", false e [] não viram o id 0
+  if (
+    !["number", "string"].includes(typeof tipo_id) ||
+    !/^\d+$/.test(String(tipo_id)) ||
+    Number(tipo_id) < 1
+  ) {
+    errors.push({ field: "tipo_id", message: "Deve ser um id numérico." });
+  }
 
-  // Constrói a URL WFS para a camada de imóveis.
-  let wfsUrl = `${WFS_BASE_URL}?service=WFS&version=2.0.0&request=GetFeature&typename=${TYPENAME}&outputFormat=application/json`;
+  const entrada = { condicoes };
+  for (const campo of ["area", "valor"]) {
+    const valor = req.body?.[campo];
+    if (valor === undefined || valor === null || valor === "") continue;
 
-  // Adiciona os mesmos filtros opcionais (bbox, cql_filter) para flexibilidade.
-  if (req.query.bbox) {
-    wfsUrl += `&bbox=${req.query.bbox}`;
+    if (!Number.isFinite(Number(valor)) || Number(valor) < 0) {
+      errors.push({
+        field: campo,
+        message: "Deve ser um número maior ou igual a zero.",
+      });
+    }
+    entrada[campo] = Number(valor);
   }
-
-  if (req.query.cql_filter) {
-    wfsUrl += `&cql_filter=${req.query.cql_filter}`;
+  if (entrada.area === undefined && entrada.valor === undefined) {
+    errors.push({
+      field: "area",
+      message: "Informe a área impactada ou o valor do empreendimento.",
+    });
+  }
+  if (!Array.isArray(condicoes)) {
+    errors.push({ field: "condicoes", message: "Deve ser uma lista." });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
   }
 
   try {
-    // Log da requisição.
-    console.log(`Consultando WFS (Imóveis): ${wfsUrl}`);
+    const { rows } = await db.execute({
+      sql: `SELECT id, nome, proporcao, proporcao_regra FROM modalidades
+            WHERE tipo_id = ? AND ${MODALIDADE_VISIVEL_AO_PUBLICO} ORDER BY nome`,
+      args: [Number(tipo_id)],
+    });
 
-    // Faz a requisição para o GeoServer.
-    const response = await axios.get(wfsUrl);
+    const data = rows.map((modalidade) => {
+      const { regra } = modalidade.proporcao_regra
+        ? lerRegraProporcao(modalidade.proporcao_regra)
+        : { regra: null };
+
+      return {
+        modalidade_id: modalidade.id,
+        nome: modalidade.nome,
+        proporcao: modalidade.proporcao,
+        regra,
+        ...(regra
+          ? calcularCompensacao(regra, entrada)
+          : {
+              resultado: null,
+              motivo: "A proporção desta modalidade não permite o cálculo.",
+            }),
+      };
+    });
 
-    // Retorna os dados GeoJSON.
-    res.json(response.data);
+    res.status(200).json({ data });
   } catch (error) {
-    // Tratamento de erro.
-    console.error("Erro ao consultar Imóveis do SISEMA:", error.message);
-    res
-      .status(500)
-      .json({ error: "Falha ao obter dados de Imóveis do SISEMA." });
+    res.status(400).json({ error: error.message });
   }
 });
 
 // ===============================================
-// === ROTAS DA ÁREA ADMINISTRATIVA (CRUD) ======
+// === NOVAS ROTAS PARA CONSULTA AO IDE SISEMA ===
 // ===============================================
+// As consultas passam pelo cliente WFS de sisema.js, que aplica timeout,
+// novas tentativas e cache (com fallback para a última resposta boa).
+// Só as camadas registradas em camadas.js podem ser consultadas.
 
-// --- NORMAS ---
-// Rota para criar uma nova norma
-app.post("/api/v2/normas", async (req, res) => {
-  const { nome, link, preambulo } = req.body;
+// Rota para listar as camadas disponíveis, para que o frontend possa descobri-las
+app.get("/api/v2/sisema/layers", (req, res) => {
+  res.status(200).json({ data: CAMADAS.map(descreverCamada) });
+});
 
-  try {
-    const result = await db.execute({
-      sql: "INSERT INTO normas (nome, link, preambulo) VALUES (?, ?, ?)",
-      args: [nome, link, preambulo],
-    });
-    res.status(201).json({ message: "Norma criada com sucesso" });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+// Consulta uma camada registrada. Aceita bbox, cql_filter, count, startIndex,
+// propertyName e sortBy (ver validarConsultaCamada em camadas.js).
+const consultarCamada = async (layerId, req, res) => {
+  const camada = buscarCamada(layerId);
+  if (!camada) {
+    return res.status(404).json({ error: `Camada não encontrada: ${layerId}` });
   }
-});
 
-// Rota para atualizar uma norma existente
-app.put("/api/v2/normas/:id", async (req, res) => {
-  const { nome, link, preambulo } = req.body;
+  const { params, errors } = validarConsultaCamada(camada, req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
 
   try {
-    await db.execute({
-      sql: "UPDATE normas SET nome = ?, link = ?, preambulo = ? WHERE id = ?",
-      args: [nome, link, preambulo, req.params.id],
-    });
-    res.status(200).json({ message: "Norma atualizada com sucesso" });
+    const resultado = await clienteWfs.consultar(params);
+
+    // Retorna os dados GeoJSON (do cache ou recém-buscados) para o frontend.
+    enviarRespostaWfs(res, resultado);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    // Em caso de erro na requisição, registra no console e envia uma resposta de erro para o frontend.
+    console.error(
+      `Erro ao consultar ${camada.titulo} no SISEMA:`,
+      error.message
+    );
+    res
+      .status(502)
+      .json({ error: `Falha ao obter dados de ${camada.titulo} do SISEMA.` });
   }
-});
+};
 
-// Rota para deletar uma norma
-app.delete("/api/v2/normas/:id", async (req, res) => {
-  try {
-    await db.execute({
-      sql: "DELETE FROM normas WHERE id = ?",
-      args: [req.params.id],
+app.get("/api/v2/sisema/layers/:layerId", (req, res) =>
+  consultarCamada(req.params.layerId, req, res)
+);
+
+// Rotas antigas, mantidas por compatibilidade: equivalem às camadas de mesmo id.
+// Unidades de Conservação Estaduais (Polígonos)
+app.get("/api/v2/sisema/unidades-conservacao", (req, res) =>
+  consultarCamada("unidades-conservacao", req, res)
+);
+
+// Imóveis Disponíveis para Compensação (Pontos)
+app.get("/api/v2/sisema/imoveis-compensacao", (req, res) =>
+  consultarCamada("imoveis-compensacao", req, res)
+);
+
+// Distância máxima (m) em que uma UC ainda é listada como próxima.
+const DISTANCIA_MAXIMA_UC_M = 50000;
+
+// Rota para verificar se um empreendimento está dentro ou perto de uma UC estadual.
+// Corpo: { lat, lon } ou { geojson } ou { kml } e, opcionalmente,
+// raio_amortecimento_m (padrão 3000) e limite (quantas UCs listar, padrão 5).
+// As UCs vêm da camada "unidades-conservacao" (com o mesmo cache das demais
+// consultas) e a geometria é calculada localmente em geo.js.
+app.post("/api/v2/sisema/analise-ucs", async (req, res) => {
+  const corpo = req.body ?? {};
+  const { area, errors } = lerAreaConsulta(corpo);
+  const raioAmortecimento = Number(corpo.raio_amortecimento_m ?? 3000);
+  const limite = Math.min(Number(corpo.limite) || 5, 50);
+
+  if (
+    !Number.isFinite(raioAmortecimento) ||
+    raioAmortecimento < 0 ||
+    raioAmortecimento > DISTANCIA_MAXIMA_UC_M
+  ) {
+    errors.push({
+      field: "raio_amortecimento_m",
+      message: `Deve ser um número entre 0 e ${DISTANCIA_MAXIMA_UC_M}.`,
     });
-    res.status(200).json({ message: "Norma deletada com sucesso" });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
   }
-});
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
 
-// --- TIPOS ---
-// Rota para criar um novo tipo de compensação
-app.post("/api/v2/tipos", async (req, res) => {
-  const { nome } = req.body;
+  const camada = buscarCamada("unidades-conservacao");
+  const bbox = expandirCaixa(caixaEnvolvente(area), DISTANCIA_MAXIMA_UC_M)
+    .map((n) => n.toFixed(6))
+    .join(",");
+  const { params } = validarConsultaCamada(camada, {
+    bbox: `${bbox},EPSG:4326`,
+  });
 
   try {
-    const result = await db.execute({
-      sql: "INSERT INTO tipos_compensacao (nome) VALUES (?)",
-      args: [nome],
+    const resultado = await clienteWfs.consultar(params);
+    const ucs = analisarProximidade(area, resultado.data.features || [], {
+      raioAmortecimento,
+      distanciaMaxima: DISTANCIA_MAXIMA_UC_M,
     });
-    res.status(201).json({
-      message: "Tipo de compensação criado com sucesso",
-      id: Number(result.lastInsertRowid),
+
+    const contar = (relacao) =>
+      ucs.filter((uc) => uc.relacao === relacao).length;
+
+    res.status(200).json({
+      data: {
+        resumo: {
+          dentro: contar("dentro"),
+          intersecta: contar("intersecta"),
+          zona_amortecimento: contar("zona_amortecimento"),
+        },
+        // Todas as UCs que tocam a área ou sua zona de amortecimento, e as mais próximas
+        ucs: ucs.filter((uc, i) => uc.relacao !== "proxima" || i < limite),
+        raio_amortecimento_m: raioAmortecimento,
+        dados_sisema: {
+          cache: resultado.cache,
+          atualizado_em: new Date(resultado.atualizadoEm).toISOString(),
+        },
+      },
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    console.error("Erro na análise de UCs:", error.message);
+    res.status(502).json({ error: "Falha ao obter dados de UCs do SISEMA." });
   }
 });
 
-// Rota para atualizar um tipo de compensação
-app.put("/api/v2/tipos/:id", async (req, res) => {
-  const { nome } = req.body;
+// ===============================================
+// === ROTAS DA ÁREA ADMINISTRATIVA (CRUD) ======
+// ===============================================
+// Todas as rotas de escrita exigem login com papel "editor" ou "admin" (ver auth.js).
+// Os dados enviados em POST/PUT são validados por validarCorpo (ver validacao.js).
+// Cada alteração é registrada no histórico por auditar (ver auditoria.js).
 
-  try {
-    await db.execute({
-      sql: "UPDATE tipos_compensacao SET nome = ? WHERE id = ?",
-      args: [nome, req.params.id],
-    });
-    res.status(200).json({ message: "Tipo atualizado com sucesso" });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+// --- IMPORTAÇÃO E EXPORTAÇÃO EM PLANILHA (CSV/XLSX) ---
+// POST /api/v2/importacao/:entidade e GET /api/v2/exportacao/:entidade (ver importacao.js)
+app.use("/api/v2", planilhasRouter);
+
+// --- HISTÓRICO DE ALTERAÇÕES E RESTAURAÇÃO DE REVISÕES ---
+app.use("/api/v2/historico", historicoRouter);
+
+// --- EXCLUSÃO (LIXEIRA) ---
+// DELETE /api/v2/{normas,tipos,modalidades}/:id, restauração e GET /api/v2/lixeira (ver lixeira.js)
+app.use("/api/v2", lixeiraRouter);
+
+// --- FLUXO DE PUBLICAÇÃO (rascunho, revisão, publicado) E PRÉ-VISUALIZAÇÃO ---
+// Normas e modalidades novas ou editadas só vão ao ar após aprovação (ver revisao.js).
+app.use("/api/v2", revisaoRouter);
+
+// --- RELAÇÕES ENTRE NORMAS (revoga, altera, regulamenta) ---
+// POST /api/v2/normas/:id/relacoes e DELETE /api/v2/normas/:id/relacoes/:relacaoId (ver relacoes.js)
+app.use("/api/v2", relacoesRouter);
+
+// --- LINKS DAS MODALIDADES (calculadoras, formulários, modelos de documento) ---
+// POST /api/v2/modalidades/:id/links, PUT e DELETE /api/v2/modalidades/:id/links/:linkId (ver links.js)
+app.use("/api/v2", linksRouter);
+
+// --- ASSISTENTE DE DECISÃO (perguntas e recomendação de tipos) ---
+// GET (pública), POST, PUT e DELETE /api/v2/perguntas e POST /api/v2/assistente/recomendacao (ver assistente.js)
+app.use("/api/v2", assistenteRouter);
+
+// --- ANEXOS DE NORMAS E MODALIDADES (PDF e DOCX) ---
+// POST /api/v2/{normas,modalidades}/:id/anexos, GET e DELETE /api/v2/anexos/:anexoId (ver anexos.js)
+app.use("/api/v2", anexosRouter);
+
+// --- DOSSIÊ DA MODALIDADE (PDF e DOCX para download) ---
+// GET (pública) /api/v2/modalidades/:id/dossie?formato=pdf|docx (ver dossie.js)
+app.use("/api/v2", dossieRouter);
+
+// --- COMPARAÇÃO DE MODALIDADES DO MESMO TIPO (JSON, CSV ou XLSX) ---
+// GET (pública) /api/v2/modalidades/comparar?ids=1,2&formato=json|csv|xlsx e
+// GET /api/v2/previa/modalidades/comparar (ver comparacao.js)
+app.use("/api/v2", comparacaoRouter);
+
+// --- SLUGS (endereços compartilháveis do guia) ---
+// GET (pública) /api/v2/slugs/:tipo/:modalidade? (ver slugs.js)
+app.use("/api/v2", slugsRouter);
+
+// --- VERIFICAÇÃO DOS LINKS DAS NORMAS (relatório de links quebrados) ---
+// GET e POST /api/v2/verificacao-links e POST /api/v2/verificacao-links/:normaId (ver verificacao.js)
+app.use("/api/v2", verificacaoRouter);
+
+// --- AVISOS DE ALTERAÇÃO (assinaturas por e-mail/webhook) E FEED DE NOVIDADES ---
+// POST (pública) e GET /api/v2/assinaturas, GET e POST (públicas)
+// /api/v2/assinaturas/confirmar/:token e /api/v2/assinaturas/cancelar/:token,
+// DELETE /api/v2/assinaturas/:id, POST /api/v2/notificacoes/enviar e
+// GET (pública) /api/v2/novidades.atom (ver notificacoes.js)
+app.use("/api/v2", notificacoesRouter);
+
+// --- NORMAS ---
+// Rota para criar uma nova norma
+app.post(
+  "/api/v2/normas",
+  requireEditor,
+  validarCorpo("normas"),
+  async (req, res) => {
+    const {
+      nome,
+      link,
+      preambulo,
+      data_publicacao,
+      inicio_vigencia,
+      situacao,
+    } = req.body;
+
+    try {
+      const { id } = await auditar(
+        { entidade: "normas", acao: "criar", usuario: req.usuario },
+        (tx) =>
+          tx.execute({
+            sql: "INSERT INTO normas (nome, link, preambulo, data_publicacao, inicio_vigencia, situacao) VALUES (?, ?, ?, ?, ?, ?)",
+            args: [
+              nome,
+              link,
+              preambulo,
+              data_publicacao,
+              inicio_vigencia,
+              situacao,
+            ],
+          })
+      );
+      res.status(201).json({ message: "Norma criada com sucesso", id });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
-// Rota para deletar um tipo de compensação
-app.delete("/api/v2/tipos/:id", async (req, res) => {
-  try {
-    await db.execute({
-      sql: "DELETE FROM tipos_compensacao WHERE id = ?",
-      args: [req.params.id],
-    });
-    res.status(200).json({ message: "Tipo deletado com sucesso" });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+// Rota para atualizar uma norma existente
+app.put(
+  "/api/v2/normas/:id",
+  requireEditor,
+  validarCorpo("normas"),
+  async (req, res) => {
+    try {
+      // Uma norma já publicada continua no ar até a nova versão ser aprovada
+      const revisao = await auditar(
+        {
+          entidade: "normas",
+          acao: "atualizar",
+          id: req.params.id,
+          usuario: req.usuario,
+        },
+        (tx, atual) =>
+          gravarVersao(tx, "normas", req.params.id, req.body, atual)
+      );
+
+      if (!revisao) {
+        return res.status(404).json({ error: "Norma não encontrada" });
+      }
+      res.status(200).json({ message: "Norma atualizada com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
+
+// --- TIPOS ---
+// Rota para criar um novo tipo de compensação
+app.post(
+  "/api/v2/tipos",
+  requireEditor,
+  validarCorpo("tipos"),
+  async (req, res) => {
+    const { nome, camadas_mapa } = req.body;
+
+    try {
+      const { id } = await auditar(
+        { entidade: "tipos", acao: "criar", usuario: req.usuario },
+        async (tx) => {
+          const resultado = await tx.execute({
+            sql: "INSERT INTO tipos_compensacao (nome, camadas_mapa) VALUES (?, ?)",
+            args: [nome, camadas_mapa],
+          });
+          await atribuirSlug(tx, "tipos", resultado.lastInsertRowid);
+          return resultado;
+        }
+      );
+      res.status(201).json({
+        message: "Tipo de compensação criado com sucesso",
+        id,
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para atualizar um tipo de compensação
+app.put(
+  "/api/v2/tipos/:id",
+  requireEditor,
+  validarCorpo("tipos"),
+  async (req, res) => {
+    const { nome, camadas_mapa } = req.body;
+
+    try {
+      const revisao = await auditar(
+        {
+          entidade: "tipos",
+          acao: "atualizar",
+          id: req.params.id,
+          usuario: req.usuario,
+        },
+        (tx) =>
+          tx.execute({
+            sql: "UPDATE tipos_compensacao SET nome = ?, camadas_mapa = ? WHERE id = ?",
+            args: [nome, camadas_mapa, req.params.id],
+          })
+      );
+
+      if (!revisao) {
+        return res.status(404).json({ error: "Tipo não encontrado" });
+      }
+      res.status(200).json({ message: "Tipo atualizado com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
 
 // --- NORMAS-TIPOS COMPENSAÇÃO ---
-// Rota para associar normas a um tipo de compensação
-app.post("/api/v2/normas-tipos-compensacao", async (req, res) => {
-  const { tipo_id, norma_id } = req.body;
+// Os vínculos fazem parte do tipo: cada alteração gera uma revisão do tipo no histórico.
 
+// Os vínculos de um tipo na lixeira só voltam a ser editáveis depois da restauração
+const recusarTipoNaLixeira = async (req, res, next) => {
   try {
-    await db.execute({
-      sql: "INSERT INTO normas_tipos_compensacao (tipo_id, norma_id) VALUES (?, ?)",
-      args: [tipo_id, norma_id],
+    const { rows } = await db.execute({
+      sql: "SELECT nome, excluido_em FROM tipos_compensacao WHERE id = ?",
+      args: [req.params.id],
     });
-    res.status(201).json({ message: "Associação criada com sucesso" });
+    if (rows[0]?.excluido_em) {
+      return res.status(409).json({
+        error: `O tipo "${rows[0].nome}" está na lixeira. Restaure-o primeiro.`,
+      });
+    }
+    next();
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
-});
+};
 
-// --- MODALIDADES ---
-// Rota para criar uma nova modalidade de compensação
-app.post("/api/v2/modalidades", async (req, res) => {
-  const sql = `INSERT INTO modalidades (tipo_id, nome, proporcao, forma, especificidades, vantagens, desvantagens, observacao, documentos) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-  const p = req.body;
+// Valida norma_ids do corpo: ids numéricos de normas fora da lixeira
+const validarNormaIds = async (req, res, next) => {
+  const erro = (message) =>
+    res.status(400).json({ errors: [{ field: "norma_ids", message }] });
+
+  const { norma_ids } = req.body ?? {};
+  if (!Array.isArray(norma_ids)) {
+    return erro("Deve ser uma lista de ids de normas.");
+  }
+  const ids = [...new Set(norma_ids.map(Number))];
+  if (!ids.every(Number.isInteger)) {
+    return erro("Deve conter apenas ids numéricos.");
+  }
 
   try {
-    const result = await db.execute({
-      sql,
-      args: [
-        p.tipo_id,
-        p.nome,
-        p.proporcao,
-        p.forma,
-        p.especificidades,
-        p.vantagens,
-        p.desvantagens,
-        p.observacao,
-        p.documentos,
-      ],
-    });
-    res.status(201).json({ message: "Modalidade criada com sucesso" });
+    if (ids.length > 0) {
+      const { rows } = await db.execute({
+        sql: `SELECT id FROM normas
+              WHERE id IN (${ids
+                .map(() => "?")
+                .join(", ")}) AND excluido_em IS NULL`,
+        args: ids,
+      });
+      const inexistentes = ids.filter((id) => !rows.some((r) => r.id == id));
+      if (inexistentes.length > 0) {
+        return erro(`Normas não encontradas: ${inexistentes.join(", ")}.`);
+      }
+    }
+    req.body.norma_ids = ids;
+    next();
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
-});
+};
 
-// Rota para atualizar uma modalidade de compensação
-app.put("/api/v2/modalidades/:id", async (req, res) => {
-  const sql = `UPDATE modalidades SET tipo_id = ?, nome = ?, proporcao = ?, forma = ?, especificidades = ?, vantagens = ?, desvantagens = ?, observacao = ?, documentos = ? WHERE id = ?`;
-  const p = req.body;
+// Rota para associar normas a um tipo de compensação (tipo e norma fora da lixeira)
+app.post(
+  "/api/v2/normas-tipos-compensacao",
+  requireEditor,
+  validarCorpo("normas_tipos"),
+  async (req, res) => {
+    const { tipo_id, norma_id } = req.body;
+
+    try {
+      // Uma associação já existente é ignorada em vez de duplicada.
+      const revisao = await auditar(
+        {
+          entidade: "tipos",
+          acao: "atualizar",
+          id: tipo_id,
+          usuario: req.usuario,
+        },
+        (tx) =>
+          tx.execute({
+            sql: "INSERT OR IGNORE INTO normas_tipos_compensacao (tipo_id, norma_id) VALUES (?, ?)",
+            args: [tipo_id, norma_id],
+          })
+      );
+
+      if (!revisao) {
+        return res.status(404).json({ error: "Tipo não encontrado" });
+      }
+      res.status(201).json({ message: "Associação criada com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para substituir todas as normas vinculadas a um tipo (ex: { "norma_ids": [1, 4] }).
+// A remoção dos vínculos antigos e a criação dos novos acontecem em uma única transação.
+app.put(
+  "/api/v2/tipos/:id/normas",
+  requireEditor,
+  recusarTipoNaLixeira,
+  validarNormaIds,
+  async (req, res) => {
+    const ids = req.body.norma_ids;
+
+    try {
+      const revisao = await auditar(
+        {
+          entidade: "tipos",
+          acao: "atualizar",
+          id: req.params.id,
+          usuario: req.usuario,
+        },
+        async (tx) => {
+          // Vínculos com normas na lixeira são preservados para quando elas forem restauradas
+          await tx.execute({
+            sql: "DELETE FROM normas_tipos_compensacao WHERE tipo_id = ? AND norma_id NOT IN (SELECT id FROM normas WHERE excluido_em IS NOT NULL)",
+            args: [req.params.id],
+          });
+          for (const normaId of ids) {
+            await tx.execute({
+              sql: "INSERT INTO normas_tipos_compensacao (tipo_id, norma_id) VALUES (?, ?)",
+              args: [req.params.id, normaId],
+            });
+          }
+        }
+      );
+
+      if (!revisao) {
+        return res.status(404).json({ error: "Tipo não encontrado" });
+      }
+      res.status(200).json({
+        message: "Normas do tipo atualizadas com sucesso",
+        norma_ids: ids,
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para desvincular uma norma de um tipo de compensação
+app.delete(
+  "/api/v2/tipos/:id/normas/:normaId",
+  requireEditor,
+  recusarTipoNaLixeira,
+  async (req, res) => {
+    try {
+      let removidas = 0;
+      await auditar(
+        {
+          entidade: "tipos",
+          acao: "atualizar",
+          id: req.params.id,
+          usuario: req.usuario,
+        },
+        async (tx) => {
+          const result = await tx.execute({
+            sql: "DELETE FROM normas_tipos_compensacao WHERE tipo_id = ? AND norma_id = ?",
+            args: [req.params.id, req.params.normaId],
+          });
+          removidas = result.rowsAffected;
+        }
+      );
+
+      if (removidas === 0) {
+        return res.status(404).json({ error: "Associação não encontrada" });
+      }
+      res.status(200).json({ message: "Associação removida com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
 
-  try {
-    await db.execute({
-      sql,
-      args: [
-        p.tipo_id,
-        p.nome,
-        p.proporcao,
-        p.forma,
-        p.especificidades,
-        p.vantagens,
-        p.desvantagens,
-        p.observacao,
-        p.documentos,
-        req.params.id,
-      ],
-    });
-    res.status(200).json({ message: "Modalidade atualizada com sucesso" });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+// --- MODALIDADES ---
+// Rota para criar uma nova modalidade de compensação
+app.post(
+  "/api/v2/modalidades",
+  requireEditor,
+  validarCorpo("modalidades"),
+  async (req, res) => {
+    const sql = `INSERT INTO modalidades (tipo_id, nome, proporcao, proporcao_regra, forma, especificidades, vantagens, desvantagens, observacao, documentos, camadas_mapa) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const p = req.body;
+
+    try {
+      const { id } = await auditar(
+        { entidade: "modalidades", acao: "criar", usuario: req.usuario },
+        async (tx) => {
+          const resultado = await tx.execute({
+            sql,
+            args: [
+              p.tipo_id,
+              p.nome,
+              p.proporcao,
+              p.proporcao_regra,
+              p.forma,
+              p.especificidades,
+              p.vantagens,
+              p.desvantagens,
+              p.observacao,
+              p.documentos,
+              p.camadas_mapa,
+            ],
+          });
+          await atribuirSlug(tx, "modalidades", resultado.lastInsertRowid);
+          return resultado;
+        }
+      );
+      res.status(201).json({ message: "Modalidade criada com sucesso", id });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
-// Rota para deletar uma modalidade de compensação
-app.delete("/api/v2/modalidades/:id", async (req, res) => {
-  try {
-    await db.execute({
-      sql: "DELETE FROM modalidades WHERE id = ?",
-      args: [req.params.id],
-    });
-    res.status(200).json({ message: "Modalidade deletada com sucesso" });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+// Rota para atualizar uma modalidade de compensação
+app.put(
+  "/api/v2/modalidades/:id",
+  requireEditor,
+  validarCorpo("modalidades"),
+  async (req, res) => {
+    try {
+      // Uma modalidade já publicada continua no ar até a nova versão ser aprovada
+      const revisao = await auditar(
+        {
+          entidade: "modalidades",
+          acao: "atualizar",
+          id: req.params.id,
+          usuario: req.usuario,
+        },
+        (tx, atual) =>
+          gravarVersao(tx, "modalidades", req.params.id, req.body, atual)
+      );
+
+      if (!revisao) {
+        return res.status(404).json({ error: "Modalidade não encontrada" });
+      }
+      res.status(200).json({ message: "Modalidade atualizada com sucesso" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
 // --- Servindo os arquivos estáticos do Frontend ---
 const __filename = fileURLToPath(import.meta.url);
@@ -384,10 +941,21 @@ app.get("/env.js", (req, res) => {
 // --- Inicialização do Servidor ---
 const PORT = process.env.PORT || 3000;
 
+// Garante que o esquema do banco esteja na versão mais recente antes de atender requisições.
+await executarMigracoes();
+await garantirAdminInicial();
+await preencherSlugs();
+
+// Verificação periódica dos links das normas (LINKS_VERIFICACAO_HORAS=0 desliga)
+if (verificacaoPeriodicaAtiva) verificadorLinks.iniciar();
+// Resumos periódicos para os assinantes (NOTIFICACOES_MINUTOS=0 desliga)
+if (notificacoesPeriodicasAtivas) notificador.iniciar();
+
 app.listen(PORT, () => {
   console.log(`Servidor rodando em ${clientURL}`);
   console.log(`
 Acesse as novas rotas do IDE SISEMA para testar:
+- Camadas disponíveis: ${clientURL}/api/v2/sisema/layers
 - Unidades de Conservação: ${clientURL}/api/v2/sisema/unidades-conservacao
 - Imóveis de Compensação: ${clientURL}/api/v2/sisema/imoveis-compensacao
 `);
@@ -0,0 +1,195 @@
+import "dotenv/config";
+import axios from "axios";
+
+// A URL base para o GeoServer da IDE SISEMA, onde os serviços OWS estão disponíveis.
+// Pode ser trocada via .env (ex.: apontar para um servidor WFS local nos testes).
+export const WFS_BASE_URL =
+  process.env.SISEMA_WFS_URL || "http://geoserver.meioambiente.mg.gov.br/ows";
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Erros de rede, timeouts e respostas 5xx valem uma nova tentativa; 4xx e
+// respostas inválidas (ver lerFeatureCollection) não.
+const deveTentarNovamente = (error) =>
+  !error.respostaInvalida && (!error.response || error.response.status >= 500);
+
+// O GeoServer responde alguns erros com HTTP 200 (ex: um ExceptionReport em XML
+// ou { exceptions: [...] } em JSON). Só uma FeatureCollection conta como
+// resposta boa; o resto é tratado como falha e nunca vai para o cache.
+const lerFeatureCollection = (data) => {
+  if (data && typeof data === "object" && Array.isArray(data.features)) {
+    return data;
+  }
+  const detalhe =
+    typeof data === "string"
+      ? data.match(/<ows:ExceptionText>([\s\S]*?)<\/ows:ExceptionText>/)?.[1]
+      : data?.exceptions?.[0]?.text;
+  const error = new Error(
+    `Resposta inválida do GeoServer${detalhe ? `: ${detalhe.trim()}` : ""}`
+  );
+  error.respostaInvalida = true;
+  throw error;
+};
+
+// Cria um cliente WFS com cache em memória.
+//
+// - ttl: por quanto tempo (ms) uma resposta é servida sem consultar o GeoServer;
+// - staleTtl: depois do ttl, por quanto tempo a resposta antiga ainda é servida
+//   imediatamente enquanto uma atualização roda em segundo plano (stale-while-revalidate);
+// - se o GeoServer falhar, a última resposta boa é servida mesmo após o staleTtl.
+//
+// consultar() resolve com { data, cache, atualizadoEm }, onde cache é
+// "HIT" (do cache), "MISS" (recém-buscado) ou "STALE" (desatualizado).
+export const criarClienteWfs = ({
+  baseUrl = WFS_BASE_URL,
+  ttl = 5 * 60 * 1000,
+  staleTtl = 60 * 60 * 1000,
+  timeout = 10000,
+  tentativas = 3,
+  backoff = 500,
+  maxEntradas = 200,
+  http = axios,
+} = {}) => {
+  const cache = new Map();
+  const emAndamento = new Map();
+
+  // params traz os parâmetros do GetFeature já validados (typeNames, bbox,
+  // cql_filter, count, ...). Todos são codificados, então nenhum valor consegue
+  // injetar parâmetros extras na URL do GeoServer.
+  const montarUrl = (params) => {
+    // Solicitamos a versão 2.0.0 do WFS e a saída em formato GeoJSON.
+    const query = new URLSearchParams({
+      service: "WFS",
+      version: "2.0.0",
+      request: "GetFeature",
+      outputFormat: "application/json",
+    });
+    for (const [nome, valor] of Object.entries(params)) {
+      if (valor !== undefined && valor !== null && valor !== "")
+        query.set(nome, String(valor));
+    }
+    return `${baseUrl}?${query}`;
+  };
+
+  // A chave do cache independe da ordem em que os parâmetros foram informados.
+  const chave = (params) =>
+    JSON.stringify(
+      Object.entries(params)
+        .filter(([, valor]) => valor !== undefined && valor !== "")
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+
+  const guardar = (key, data) => {
+    // Reinsere a chave para que o Map fique em ordem de atualização;
+    // ao passar do limite, a entrada mais antiga é descartada.
+    cache.delete(key);
+    cache.set(key, { data, atualizadoEm: Date.now() });
+
+    if (cache.size > maxEntradas) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  // Faz a requisição com timeout e novas tentativas com espera exponencial.
+  const buscarComRetry = async (wfsUrl) => {
+    for (let tentativa = 1; ; tentativa++) {
+      try {
+        const response = await http.get(wfsUrl, { timeout });
+        return lerFeatureCollection(response.data);
+      } catch (error) {
+        if (tentativa >= tentativas || !deveTentarNovamente(error)) throw error;
+        await esperar(backoff * 2 ** (tentativa - 1));
+      }
+    }
+  };
+
+  // Evita disparar a mesma consulta várias vezes em paralelo.
+  const atualizar = (key, params) => {
+    if (!emAndamento.has(key)) {
+      const wfsUrl = montarUrl(params);
+      console.log(`Consultando WFS: ${wfsUrl}`);
+
+      const promessa = buscarComRetry(wfsUrl)
+        .then((data) => {
+          guardar(key, data);
+          return data;
+        })
+        .finally(() => emAndamento.delete(key));
+
+      emAndamento.set(key, promessa);
+    }
+    return emAndamento.get(key);
+  };
+
+  const consultar = async (params) => {
+    const key = chave(params);
+    const entrada = cache.get(key);
+    const idade = entrada ? Date.now() - entrada.atualizadoEm : Infinity;
+
+    if (idade < ttl) {
+      return {
+        data: entrada.data,
+        cache: "HIT",
+        atualizadoEm: entrada.atualizadoEm,
+      };
+    }
+
+    if (idade < ttl + staleTtl) {
+      atualizar(key, params).catch((error) =>
+        console.error("Erro ao revalidar cache do SISEMA:", error.message)
+      );
+      return {
+        data: entrada.data,
+        cache: "STALE",
+        atualizadoEm: entrada.atualizadoEm,
+      };
+    }
+
+    try {
+      const data = await atualizar(key, params);
+      return { data, cache: "MISS", atualizadoEm: Date.now() };
+    } catch (error) {
+      // Último recurso: a última resposta boa, por mais antiga que seja.
+      if (entrada) {
+        console.error(
+          "SISEMA indisponível, servindo cache antigo:",
+          error.message
+        );
+        return {
+          data: entrada.data,
+          cache: "STALE",
+          atualizadoEm: entrada.atualizadoEm,
+        };
+      }
+      throw error;
+    }
+  };
+
+  const limparCache = () => cache.clear();
+
+  return { consultar, limparCache, montarUrl };
+};
+
+// Cliente padrão usado pelas rotas, configurável via .env.
+export const clienteWfs = criarClienteWfs({
+  ttl: (Number(process.env.SISEMA_CACHE_TTL_SEGUNDOS) || 300) * 1000,
+  staleTtl: (Number(process.env.SISEMA_CACHE_STALE_SEGUNDOS) || 3600) * 1000,
+  timeout: Number(process.env.SISEMA_TIMEOUT_MS) || 10000,
+  tentativas: Number(process.env.SISEMA_TENTATIVAS) || 3,
+});
+
+// Escreve a resposta de consultar() no Express, com cabeçalhos que indicam
+// a origem dos dados. X-Cache: STALE marca uma resposta desatualizada.
+export const enviarRespostaWfs = (res, resultado) => {
+  const idadeSegundos = Math.floor(
+    (Date.now() - resultado.atualizadoEm) / 1000
+  );
+
+  res.setHeader("X-Cache", resultado.cache);
+  res.setHeader("Age", String(Math.max(idadeSegundos, 0)));
+  res.setHeader(
+    "X-Cache-Atualizado-Em",
+    new Date(resultado.atualizadoEm).toISOString()
+  );
+  res.json(resultado.data);
+};
@@ -0,0 +1,109 @@
+import express from "express";
+import { db } from "./db.js";
+import { MODALIDADE_VISIVEL_AO_PUBLICO, versaoPublica } from "./publicacao.js";
+import { TABELAS } from "./validacao.js";
+import { anexarLinks } from "./links.js";
+import { anexarAnexos } from "./anexos.js";
+
+// ===============================================
+// === SLUGS DE TIPOS E MODALIDADES ==============
+// ===============================================
+// Identificadores legíveis usados nos endereços compartilháveis do guia
+// (ex: index.html?tipo=snuc&modalidade=doacao-de-area-em-uc). O slug é gerado
+// a partir do nome na criação do registro e não muda quando ele é renomeado,
+// para que os links já compartilhados continuem funcionando (migração 016).
+
+// "Doação de Área em UC" -> "doacao-de-area-em-uc"
+export const gerarSlug = (texto) =>
+  String(texto ?? "")
+    .normalize("NFD")
+    .replace(/[̀-ͯ]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 80)
+    .replace(/-$/, "");
+
+// Atribui um slug ao registro, se ele ainda não tiver um. Usa `preferido` (ex:
+// o slug que o registro tinha antes de ser apagado) quando estiver livre; senão,
+// o gerado a partir do nome, com um sufixo numérico em caso de colisão.
+export const atribuirSlug = async (client, entidade, id, preferido = null) => {
+  const tabela = TABELAS[entidade];
+  const { rows } = await client.execute({
+    sql: `SELECT nome, slug FROM ${tabela} WHERE id = ?`,
+    args: [id],
+  });
+  if (rows.length === 0 || rows[0].slug) return rows[0]?.slug ?? null;
+
+  const base = preferido || gerarSlug(rows[0].nome) || entidade.slice(0, -1);
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    const { rows: ocupado } = await client.execute({
+      sql: `SELECT 1 FROM ${tabela} WHERE slug = ?`,
+      args: [slug],
+    });
+    if (ocupado.length > 0) continue;
+
+    await client.execute({
+      sql: `UPDATE ${tabela} SET slug = ? WHERE id = ?`,
+      args: [slug, id],
+    });
+    return slug;
+  }
+};
+
+// Gera os slugs dos registros que ainda não têm (os anteriores à migração 016
+// e os inseridos direto no banco, como os do seed). Roda na inicialização.
+export const preencherSlugs = async (client = db) => {
+  for (const entidade of ["tipos", "modalidades"]) {
+    const { rows } = await client.execute(
+      `SELECT id FROM ${TABELAS[entidade]} WHERE slug IS NULL ORDER BY id`
+    );
+    for (const { id } of rows) {
+      await atribuirSlug(client, entidade, id);
+    }
+  }
+};
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const slugsRouter = express.Router();
+
+// Rota pública que resolve um endereço do guia: /api/v2/slugs/snuc ou
+// /api/v2/slugs/snuc/doacao-de-area-em-uc. Devolve { tipo, modalidade }, com a
+// modalidade no mesmo formato de GET /api/v2/modalidades.
+// A modalidade é encontrada só pelo próprio slug, então o link continua válido
+// mesmo que ela tenha mudado de tipo; nesse caso, `tipo` é o atual.
+slugsRouter.get("/slugs/:tipo{/:modalidade}", async (req, res) => {
+  try {
+    let modalidade = null;
+    if (req.params.modalidade) {
+      const { rows } = await db.execute({
+        sql: `SELECT * FROM modalidades WHERE slug = ? AND ${MODALIDADE_VISIVEL_AO_PUBLICO}`,
+        args: [req.params.modalidade],
+      });
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Modalidade não encontrada" });
+      }
+      [modalidade] = await anexarAnexos(
+        await anexarLinks([versaoPublica(rows[0])]),
+        "modalidades"
+      );
+    }
+
+    const { rows } = await db.execute({
+      sql: modalidade
+        ? "SELECT * FROM tipos_compensacao WHERE id = ? AND excluido_em IS NULL"
+        : "SELECT * FROM tipos_compensacao WHERE slug = ? AND excluido_em IS NULL",
+      args: [modalidade ? modalidade.tipo_id : req.params.tipo],
+    });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Tipo não encontrado" });
+    }
+
+    res.status(200).json({ data: { tipo: rows[0], modalidade } });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
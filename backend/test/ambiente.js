@@ -0,0 +1,18 @@
+// Importado antes dos módulos do backend em cada arquivo de teste: aponta a
+// conexão de db.js para um banco "file:" novo em uma pasta temporária.
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const pastaTemporaria = fs.mkdtempSync(
+  path.join(os.tmpdir(), "guia-teste-")
+);
+export const urlDoBanco = `file:${path.join(pastaTemporaria, "guia.db")}`;
+
+process.env.NODE_ENV = "test";
+process.env.DATABASE_URI_DEV = urlDoBanco;
+
+// Remove a pasta ao fim do processo (cada arquivo de teste roda no seu)
+process.on("exit", () =>
+  fs.rmSync(pastaTemporaria, { recursive: true, force: true })
+);
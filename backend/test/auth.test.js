@@ -0,0 +1,56 @@
+import { urlDoBanco } from "./ambiente.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createClient } from "@libsql/client";
+import { executarMigracoes } from "../migrate.js";
+import { authRouter, hashSenha } from "../auth.js";
+
+const client = createClient({ url: urlDoBanco });
+let servidor;
+let base;
+
+before(async () => {
+  await executarMigracoes(client);
+  await client.execute({
+    sql: "INSERT INTO usuarios (email, senha_hash, papel) VALUES ('editora@exemplo.com', ?, 'editor')",
+    args: [await hashSenha("senha-teste")],
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use("/auth", authRouter);
+  await new Promise((resolve) => {
+    servidor = app.listen(0, "127.0.0.1", resolve);
+  });
+  base = `http://127.0.0.1:${servidor.address().port}/auth`;
+});
+
+after(() => {
+  servidor.close();
+  client.close();
+});
+
+test("o login apaga as sessões expiradas", async () => {
+  await client.execute(`INSERT INTO sessoes (token_hash, usuario_id, expira_em) VALUES
+    ('expirada', 1, datetime('now', '-1 hours')),
+    ('valida', 1, datetime('now', '+1 hours'))`);
+
+  const response = await fetch(`${base}/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      email: "editora@exemplo.com",
+      senha: "senha-teste",
+    }),
+  });
+  assert.equal(response.status, 200);
+
+  const { rows } = await client.execute(
+    "SELECT token_hash FROM sessoes ORDER BY expira_em"
+  );
+  const restantes = rows.map((s) => s.token_hash);
+  assert.equal(restantes.length, 2);
+  assert.ok(!restantes.includes("expirada"));
+  assert.equal(restantes[0], "valida");
+});
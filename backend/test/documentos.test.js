@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { gerarDocx, gerarPdf } from "../documentos.js";
+
+const blocos = [
+  { tipo: "titulo", texto: "Doação de área\u0001 em UC" },
+  { tipo: "texto", texto: "Área ≥ 2 ha e ≤ 10 ha;\u000b ﬁm − início\u0000" },
+  {
+    tipo: "link",
+    texto: "Lei 9.985/2000",
+    url: "https://exemplo.gov.br/a?b=1&c=2",
+  },
+];
+
+// Os trechos de texto do PDF, decodificados do hexadecimal em Windows-1252
+const textosDoPdf = (pdf) =>
+  [...pdf.toString("latin1").matchAll(/<([0-9a-f]+)> Tj/g)].map(([, hex]) =>
+    new TextDecoder("windows-1252").decode(Buffer.from(hex, "hex"))
+  );
+
+test("PDF: símbolos fora do WinAnsi são aproximados e os de controle saem", () => {
+  const textos = textosDoPdf(gerarPdf(blocos, { titulo: "Dossiê ≥" }));
+
+  assert.ok(textos.includes("Doação de área em UC"));
+  assert.ok(textos.includes("Área >= 2 ha e <= 10 ha; fim - início"));
+  assert.ok(textos.includes("Dossiê >= · Página 1 de 1"));
+  assert.ok(textos.includes("https://exemplo.gov.br/a?b=1&c=2"));
+  assert.equal(textos.filter((texto) => texto.includes("?")).length, 1);
+});
+
+test("DOCX: o XML não leva caracteres de controle", async () => {
+  const zip = await JSZip.loadAsync(await gerarDocx(blocos));
+  const documento = await zip.file("word/document.xml").async("string");
+  const relacoes = await zip
+    .file("word/_rels/document.xml.rels")
+    .async("string");
+
+  assert.doesNotMatch(documento, /[\x00-\x08\x0b\x0c\x0e-\x1f]/);
+  assert.match(documento, /Doação de área em UC/);
+  assert.match(documento, /Área ≥ 2 ha e ≤ 10 ha; ﬁm − início</);
+  assert.match(relacoes, /Target="https:\/\/exemplo\.gov\.br\/a\?b=1&amp;c=2"/);
+});
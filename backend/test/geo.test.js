@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  analisarProximidade,
+  kmlParaGeoJSON,
+  lerAreaConsulta,
+} from "../geo.js";
+
+const fixture = (nome) =>
+  fs.readFileSync(new URL(`./fixtures/${nome}`, import.meta.url), "utf8");
+
+// Parque A (com um buraco no meio), Reserva B a ~10 km a leste e a Estação C a
+// mais de 200 km
+const ucs = JSON.parse(fixture("ucs.geojson")).features;
+
+const analisar = (corpo) => {
+  const { area, errors } = lerAreaConsulta(corpo);
+  assert.deepEqual(errors, []);
+  return analisarProximidade(area, ucs).map(
+    ({ properties, distancia_m, relacao }) => [
+      properties.nome,
+      relacao,
+      distancia_m,
+    ]
+  );
+};
+
+test("ponto dentro de uma UC e longe das demais", () => {
+  const resultado = analisar({ lat: -19.98, lon: -43.98 });
+
+  assert.deepEqual(resultado[0], ["Parque Estadual A", "dentro", 0]);
+  assert.equal(resultado[1][0], "Reserva B");
+  assert.equal(resultado[1][1], "proxima");
+  // 0,18° de longitude a 19,98°S
+  assert.ok(Math.abs(resultado[1][2] - 18810) < 50);
+  // A Estação C passa do limite de 50 km
+  assert.equal(resultado.length, 2);
+});
+
+test("ponto no buraco do polígono fica na zona de amortecimento", () => {
+  const [parque] = analisar({ lat: "-19.95", lon: "-43.95" });
+
+  assert.equal(parque[1], "zona_amortecimento");
+  // 0,01° até a borda do buraco
+  assert.ok(Math.abs(parque[2] - 1045) < 10);
+});
+
+test("KML com polígono, buraco e ponto", () => {
+  const geojson = kmlParaGeoJSON(fixture("empreendimento.kml"));
+
+  assert.equal(geojson.type, "GeometryCollection");
+  assert.deepEqual(
+    geojson.geometries.map((g) => g.type),
+    ["Polygon", "Point"]
+  );
+  const [poligono, ponto] = geojson.geometries;
+  assert.equal(poligono.coordinates.length, 2);
+  assert.equal(poligono.coordinates[0].length, 5);
+  // A altitude é descartada
+  assert.deepEqual(poligono.coordinates[0][0], [-43.92, -19.96]);
+  assert.deepEqual(ponto.coordinates, [-43.85, -19.95]);
+
+  // A poligonal cruza a borda leste do Parque A
+  const resultado = analisar({ kml: fixture("empreendimento.kml") });
+  assert.deepEqual(resultado[0], ["Parque Estadual A", "intersecta", 0]);
+  assert.equal(resultado[1][0], "Reserva B");
+  assert.equal(resultado[1][1], "proxima");
+});
+
+test("GeoJSON como texto e raio de amortecimento maior", () => {
+  const geojson = JSON.stringify({
+    type: "Feature",
+    properties: {},
+    geometry: { type: "Point", coordinates: [-43.84, -19.95] },
+  });
+  const { area } = lerAreaConsulta({ geojson });
+
+  const relacoes = analisarProximidade(area, ucs, {
+    raioAmortecimento: 7000,
+  }).map((r) => [r.properties.nome, r.relacao]);
+  assert.deepEqual(relacoes, [
+    ["Reserva B", "zona_amortecimento"],
+    ["Parque Estadual A", "zona_amortecimento"],
+  ]);
+});
+
+test("áreas inválidas viram erros de validação, não exceções", () => {
+  const casos = [
+    [{ geojson: { type: "Polygon", coordinates: 5 } }, "area"],
+    [{ geojson: { type: "Polygon", coordinates: [] } }, "area"],
+    [{ geojson: { type: "Polygon", coordinates: [[1, 2, 3, 4]] } }, "area"],
+    [
+      {
+        geojson: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [0, 0],
+              [1, 1],
+            ],
+          ],
+        },
+      },
+      "area",
+    ],
+    [{ geojson: { type: "Point" } }, "area"],
+    [{ geojson: { type: "Point", coordinates: [200, 0] } }, "area"],
+    [{ geojson: { type: "MultiPolygon", coordinates: "x" } }, "geojson"],
+    [{ geojson: "{nao e json" }, "geojson"],
+    [{ geojson: { type: "LineString", coordinates: [] } }, "area"],
+    [{ kml: "<kml></kml>" }, "area"],
+    [{}, "area"],
+  ];
+
+  for (const [corpo, campo] of casos) {
+    const { area, errors } = lerAreaConsulta(corpo);
+    assert.deepEqual(area, [], JSON.stringify(corpo));
+    assert.deepEqual(
+      errors.map((e) => e.field),
+      [campo],
+      JSON.stringify(corpo)
+    );
+  }
+});
+
+test("lat/lon vazios ou não numéricos não viram o ponto (0, 0)", () => {
+  assert.deepEqual(
+    lerAreaConsulta({ lat: "", lon: "" }).errors.map((e) => e.field),
+    ["lat", "lon"]
+  );
+  assert.deepEqual(
+    lerAreaConsulta({ lat: "-19,9", lon: -43.9 }).errors.map((e) => e.field),
+    ["lat"]
+  );
+  assert.deepEqual(
+    lerAreaConsulta({ lat: -19.9 }).errors.map((e) => e.field),
+    ["lon"]
+  );
+  assert.deepEqual(
+    lerAreaConsulta({ lat: 95, lon: null }).errors.map((e) => e.field),
+    ["lat", "lon"]
+  );
+  assert.deepEqual(lerAreaConsulta({ lat: " -19.9 ", lon: "-43.9" }).area, [
+    { tipo: "Point", coords: [-43.9, -19.9] },
+  ]);
+});
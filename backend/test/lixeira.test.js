@@ -0,0 +1,60 @@
+import { urlDoBanco } from "./ambiente.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "@libsql/client";
+import { executarMigracoes } from "../migrate.js";
+import { buscarDependentes } from "../lixeira.js";
+
+const client = createClient({ url: urlDoBanco });
+
+const inserir = async (sql, args = []) =>
+  Number((await client.execute({ sql, args })).lastInsertRowid);
+
+before(() => executarMigracoes(client));
+after(() => client.close());
+
+test("perguntas do assistente e assinaturas contam como dependentes", async () => {
+  const tipoId = await inserir(
+    "INSERT INTO tipos_compensacao (nome) VALUES ('Florestal')"
+  );
+  const normaId = await inserir("INSERT INTO normas (nome) VALUES ('Lei A')");
+  const perguntaId = await inserir(
+    "INSERT INTO assistente_perguntas (texto, ordem) VALUES ('Houve supressão de vegetação?', 1)"
+  );
+  await inserir(
+    "INSERT INTO assistente_perguntas_tipos (pergunta_id, tipo_id) VALUES (?, ?)",
+    [perguntaId, tipoId]
+  );
+  const assinar = (destino, coluna, alvo) =>
+    inserir(
+      `INSERT INTO assinaturas (canal, destino, ${coluna}, token)
+       VALUES ('email', ?, ?, ?)`,
+      [destino, alvo, `token-${destino}`]
+    );
+  await assinar("tipo@exemplo.com", "tipo_id", tipoId);
+  await assinar("norma@exemplo.com", "norma_id", normaId);
+
+  const doTipo = await buscarDependentes("tipos", tipoId, client);
+  assert.deepEqual(
+    doTipo.perguntas.map((p) => p.nome),
+    ["Houve supressão de vegetação?"]
+  );
+  assert.deepEqual(
+    doTipo.assinaturas.map((a) => a.nome),
+    ["tipo@exemplo.com"]
+  );
+
+  const daNorma = await buscarDependentes("normas", normaId, client);
+  assert.deepEqual(Object.keys(daNorma), ["assinaturas"]);
+  assert.deepEqual(
+    daNorma.assinaturas.map((a) => a.nome),
+    ["norma@exemplo.com"]
+  );
+});
+
+test("sem dependentes, a lista volta vazia", async () => {
+  const tipoId = await inserir(
+    "INSERT INTO tipos_compensacao (nome) VALUES ('Hídrica')"
+  );
+  assert.deepEqual(await buscarDependentes("tipos", tipoId, client), {});
+});
@@ -0,0 +1,91 @@
+import { urlDoBanco } from "./ambiente.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createClient } from "@libsql/client";
+import { executarMigracoes, listarMigracoes } from "../migrate.js";
+import { TIPOS } from "../seed.js";
+
+const backend = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const rodar = (script) =>
+  promisify(execFile)(process.execPath, [script], {
+    cwd: backend,
+    env: { ...process.env, DATABASE_URI_DEV: urlDoBanco },
+  });
+
+test("seed.js aplica as migrações e carrega os dados padrão", async () => {
+  await rodar("seed.js");
+  const client = createClient({ url: urlDoBanco });
+
+  const { rows } = await client.execute(
+    "SELECT versao FROM schema_version ORDER BY versao"
+  );
+  const migracoes = await listarMigracoes();
+  assert.deepEqual(
+    rows.map((r) => Number(r.versao)),
+    migracoes.map((m) => m.versao)
+  );
+
+  const { rows: tipos } = await client.execute(
+    "SELECT COUNT(*) AS total FROM tipos_compensacao"
+  );
+  assert.equal(Number(tipos[0].total), TIPOS.length);
+  client.close();
+});
+
+test("migrate.js e seed.js podem rodar de novo sem alterar nada", async () => {
+  const { stdout } = await rodar("migrate.js");
+  assert.match(stdout, /já atualizado/);
+  await rodar("seed.js");
+
+  const client = createClient({ url: urlDoBanco });
+  const { rows } = await client.execute(
+    "SELECT COUNT(*) AS total FROM tipos_compensacao"
+  );
+  assert.equal(Number(rows[0].total), TIPOS.length);
+  assert.deepEqual(await executarMigracoes(client), []);
+  client.close();
+});
+
+test("chaves estrangeiras: RESTRICT em modalidades e CASCADE nos vínculos", async () => {
+  const client = createClient({ url: urlDoBanco });
+  const { rows } = await client.execute(
+    `SELECT tipo_id, norma_id FROM normas_tipos_compensacao LIMIT 1`
+  );
+  const { tipo_id, norma_id } = rows[0];
+
+  await client.execute({
+    sql: "INSERT INTO modalidades (tipo_id, nome) VALUES (?, 'Teste')",
+    args: [tipo_id],
+  });
+  // Um tipo com modalidades não pode ser removido
+  await assert.rejects(
+    client.execute({
+      sql: "DELETE FROM tipos_compensacao WHERE id = ?",
+      args: [tipo_id],
+    }),
+    /FOREIGN KEY/
+  );
+  // Nem uma modalidade pode apontar para um tipo inexistente
+  await assert.rejects(
+    client.execute(
+      "INSERT INTO modalidades (tipo_id, nome) VALUES (9999, 'X')"
+    ),
+    /FOREIGN KEY/
+  );
+
+  // Remover a norma remove os seus vínculos com os tipos
+  await client.execute({
+    sql: "DELETE FROM normas WHERE id = ?",
+    args: [norma_id],
+  });
+  const { rows: vinculos } = await client.execute({
+    sql: "SELECT COUNT(*) AS total FROM normas_tipos_compensacao WHERE norma_id = ?",
+    args: [norma_id],
+  });
+  assert.equal(Number(vinculos[0].total), 0);
+  client.close();
+});
@@ -0,0 +1,246 @@
+import { urlDoBanco } from "./ambiente.js";
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createClient } from "@libsql/client";
+import { executarMigracoes } from "../migrate.js";
+import { criarNotificador, enderecoPublico } from "../notificacoes.js";
+import { auditar } from "../auditoria.js";
+import {
+  descartarVersao,
+  marcaDeInclusao,
+  marcarEdicao,
+  publicarVersao,
+  removerVinculo,
+} from "../publicacao.js";
+
+const client = createClient({ url: urlDoBanco });
+
+// Entregas registradas pelos transportes falsos
+let webhooks = [];
+let emails = [];
+const notificador = criarNotificador({
+  client,
+  http: { post: async (url, corpo, opcoes) => webhooks.push({ url, opcoes }) },
+  email: { enviar: async (mensagem) => emails.push(mensagem) },
+});
+
+let tipoId;
+
+const assinar = async (canal, destino, confirmada = true, alvo = {}) => {
+  const resultado = await client.execute({
+    sql: `INSERT INTO assinaturas (canal, destino, tipo_id, norma_id, token, confirmada_em)
+          VALUES (?, ?, ?, ?, ?, CASE WHEN ? THEN datetime('now') END)`,
+    args: [
+      canal,
+      destino,
+      alvo.norma_id ? null : alvo.tipo_id ?? tipoId,
+      alvo.norma_id ?? null,
+      crypto.randomUUID(),
+      confirmada ? 1 : 0,
+    ],
+  });
+  return Number(resultado.lastInsertRowid);
+};
+
+const lerAssinatura = async (id) =>
+  (
+    await client.execute({
+      sql: "SELECT * FROM assinaturas WHERE id = ?",
+      args: [id],
+    })
+  ).rows[0];
+
+before(async () => {
+  await executarMigracoes(client);
+  const resultado = await client.execute(
+    "INSERT INTO tipos_compensacao (nome) VALUES ('Compensação florestal')"
+  );
+  tipoId = Number(resultado.lastInsertRowid);
+});
+after(() => client.close());
+beforeEach(async () => {
+  webhooks = [];
+  emails = [];
+  await client.execute("DELETE FROM assinaturas");
+  // Uma alteração publicada no tipo acompanhado
+  const estado = (nome) =>
+    JSON.stringify({ id: tipoId, nome, publicado_em: "2026-10-01 12:00:00" });
+  await client.execute({
+    sql: `INSERT INTO auditoria (entidade, entidade_id, acao, antes, depois)
+          VALUES ('tipos', ?, 'atualizar', ?, ?)`,
+    args: [tipoId, estado("Compensação florestal"), estado("Florestal")],
+  });
+});
+
+test("endereços internos e reservados não são públicos", () => {
+  for (const endereco of [
+    "127.0.0.1",
+    "10.0.0.8",
+    "172.20.1.1",
+    "192.168.0.10",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "255.255.255.255",
+    "::",
+    "::1",
+    "fd12::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:a00:1",
+  ]) {
+    assert.equal(enderecoPublico(endereco), false, endereco);
+  }
+  for (const endereco of ["93.184.215.14", "2606:4700::1", "::ffff:8.8.8.8"]) {
+    assert.equal(enderecoPublico(endereco), true, endereco);
+  }
+});
+
+test("e-mail não confirmado não recebe avisos", async () => {
+  const pendente = await assinar("email", "pendente@exemplo.com", false);
+  const confirmada = await assinar("email", "confirmada@exemplo.com");
+
+  const resumo = await notificador.enviarResumos();
+
+  assert.equal(resumo.assinaturas, 1);
+  assert.deepEqual(
+    emails.map((e) => e.para),
+    ["confirmada@exemplo.com"]
+  );
+  assert.match(emails[0].texto, /Tipo de compensação alterado: Florestal/);
+  assert.equal((await lerAssinatura(pendente)).ultimo_envio_em, null);
+  assert.notEqual((await lerAssinatura(confirmada)).ultimo_envio_em, null);
+});
+
+test("webhook para a rede interna não é chamado", async () => {
+  const internos = [
+    await assinar("webhook", "http://127.0.0.1:8080/gancho"),
+    await assinar("webhook", "http://[::ffff:169.254.169.254]/latest"),
+  ];
+  const publico = await assinar("webhook", "https://93.184.215.14/gancho");
+
+  const resumo = await notificador.enviarResumos();
+
+  assert.deepEqual(resumo, { assinaturas: 3, enviados: 1, falhas: 2 });
+  assert.deepEqual(
+    webhooks.map((w) => w.url),
+    ["https://93.184.215.14/gancho"]
+  );
+  // Sem seguir redirecionamentos e com os agentes que conferem o DNS
+  assert.equal(webhooks[0].opcoes.maxRedirects, 0);
+  assert.ok(webhooks[0].opcoes.httpsAgent);
+  for (const id of internos) {
+    assert.match((await lerAssinatura(id)).ultimo_erro, /endereço público/);
+  }
+  assert.equal((await lerAssinatura(publico)).ultimo_erro, null);
+});
+
+// Registros publicados, como os do catálogo existente
+const publicado = async (tabela, colunas) => {
+  const campos = Object.keys(colunas);
+  const resultado = await client.execute({
+    sql: `INSERT INTO ${tabela} (${campos.join(", ")}, status, publicado_em)
+          VALUES (${campos
+            .map(() => "?")
+            .join(", ")}, 'publicado', datetime('now'))`,
+    args: Object.values(colunas),
+  });
+  return Number(resultado.lastInsertRowid);
+};
+
+// Edição pelo histórico, como nas rotas de relacoes.js e links.js
+const editar = (entidade, id, alterar) =>
+  auditar({ entidade, acao: "atualizar", id }, alterar);
+
+const revisar = (entidade, id, aprovado) =>
+  auditar(
+    { entidade, acao: aprovado ? "aprovar" : "descartar", id },
+    (tx, atual) =>
+      aprovado
+        ? publicarVersao(tx, entidade, id, atual, {
+            comentario: null,
+            usuario: { email: "revisor@exemplo.com" },
+          })
+        : descartarVersao(tx, entidade, id)
+  );
+
+test("relação pendente só é avisada quando aprovada", async () => {
+  const normaId = await publicado("normas", { nome: "Lei A" });
+  const revogada = await publicado("normas", { nome: "Lei B" });
+  await assinar("email", "norma@exemplo.com", true, { norma_id: normaId });
+  await notificador.enviarResumos();
+  emails = [];
+
+  const incluirRelacao = () =>
+    editar("normas", normaId, async (tx, atual) => {
+      await tx.execute({
+        sql: `INSERT INTO normas_relacoes (norma_id, tipo, norma_relacionada_id, pendente)
+              VALUES (?, 'revoga', ?, ?)`,
+        args: [normaId, revogada, marcaDeInclusao(atual)],
+      });
+      return marcarEdicao(tx, "normas", normaId, atual);
+    });
+
+  // Incluída e descartada: o público nunca a viu
+  await incluirRelacao();
+  await notificador.enviarResumos();
+  await revisar("normas", normaId, false);
+  await notificador.enviarResumos();
+  assert.deepEqual(emails, []);
+
+  // Incluída e aprovada: um aviso, na aprovação
+  await incluirRelacao();
+  await notificador.enviarResumos();
+  assert.deepEqual(emails, []);
+  await revisar("normas", normaId, true);
+  await notificador.enviarResumos();
+
+  assert.equal(emails.length, 1);
+  assert.match(
+    emails[0].texto,
+    /Norma alterada: Lei A \(Relações com outras normas\)/
+  );
+});
+
+test("link pendente só é avisado quando aprovado", async () => {
+  const modalidadeId = await publicado("modalidades", {
+    tipo_id: tipoId,
+    nome: "Doação de área",
+  });
+  const link = await client.execute({
+    sql: `INSERT INTO modalidades_links (modalidade_id, rotulo, url, tipo)
+          VALUES (?, 'Calculadora', 'https://exemplo.gov.br/a', 'calculadora')`,
+    args: [modalidadeId],
+  });
+  await assinar("email", "tipo@exemplo.com");
+  await notificador.enviarResumos();
+  emails = [];
+
+  // Troca do link publicado, como no PUT de links.js
+  await editar("modalidades", modalidadeId, async (tx, atual) => {
+    await removerVinculo(
+      tx,
+      "modalidades_links",
+      "modalidades",
+      modalidadeId,
+      Number(link.lastInsertRowid),
+      atual
+    );
+    return tx.execute({
+      sql: `INSERT INTO modalidades_links (modalidade_id, rotulo, url, tipo, pendente)
+            VALUES (?, 'Calculadora', 'https://exemplo.gov.br/b', 'calculadora', 'inclusao')`,
+      args: [modalidadeId],
+    });
+  });
+  await notificador.enviarResumos();
+  assert.deepEqual(emails, []);
+
+  await revisar("modalidades", modalidadeId, true);
+  await notificador.enviarResumos();
+  assert.equal(emails.length, 1);
+  assert.match(
+    emails[0].texto,
+    /Modalidade alterada: Doação de área \(Links\)/
+  );
+});
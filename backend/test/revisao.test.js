@@ -0,0 +1,246 @@
+import { urlDoBanco, pastaTemporaria } from "./ambiente.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import net from "net";
+import path from "path";
+import { createClient } from "@libsql/client";
+import { executarMigracoes } from "../migrate.js";
+
+// O fluxo de publicação pelas rotas de verdade: o servidor roda em outro
+// processo, sobre o banco temporário deste arquivo.
+const client = createClient({ url: urlDoBanco });
+let servidor;
+let base;
+const tokens = {};
+
+const portaLivre = () =>
+  new Promise((resolve) => {
+    const sonda = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = sonda.address();
+      sonda.close(() => resolve(port));
+    });
+  });
+
+const api = async (quem, metodo, caminho, corpo) => {
+  const response = await fetch(`${base}${caminho}`, {
+    method: metodo,
+    headers: {
+      "Content-Type": "application/json",
+      ...(quem ? { Authorization: `Bearer ${tokens[quem]}` } : {}),
+    },
+    body: corpo === undefined ? undefined : JSON.stringify(corpo),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const entrar = async (quem, senha = "senha-teste") => {
+  const { body } = await api(null, "POST", "/auth/login", {
+    email: `${quem}@exemplo.com`,
+    senha,
+  });
+  tokens[quem] = body.token;
+};
+
+let tipoId;
+
+// Nomes das modalidades do tipo no guia e na pré-visualização
+const publicas = async () =>
+  (await api(null, "GET", `/modalidades?tipo_id=${tipoId}`)).body.data.map(
+    (m) => m.nome
+  );
+const naPrevia = async () =>
+  (
+    await api("autora", "GET", `/previa/modalidades?tipo_id=${tipoId}`)
+  ).body.data.map((m) => m.nome);
+
+const enviar = (quem, id) =>
+  api(quem, "POST", `/modalidades/${id}/enviar-revisao`);
+const aprovar = (quem, id) =>
+  api(quem, "POST", `/modalidades/${id}/aprovar`, {});
+
+before(async () => {
+  await executarMigracoes(client);
+  const port = await portaLivre();
+  base = `http://127.0.0.1:${port}/api/v2`;
+
+  servidor = spawn(process.execPath, ["server.js"], {
+    cwd: path.join(import.meta.dirname, ".."),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ADMIN_EMAIL: "autora@exemplo.com",
+      ADMIN_SENHA: "senha-teste",
+      NOTIFICACOES_MINUTOS: "0",
+      LINKS_VERIFICACAO_HORAS: "0",
+      EMAILS_DIR: path.join(pastaTemporaria, "emails"),
+      ANEXOS_DIR: path.join(pastaTemporaria, "anexos"),
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    servidor.stdout.on("data", (dados) => {
+      if (String(dados).includes("Servidor rodando")) resolve();
+    });
+    servidor.on("exit", () => reject(new Error("O servidor não subiu.")));
+  });
+
+  // A autora (admin inicial), dois revisores e um editor
+  await entrar("autora");
+  for (const [quem, papel] of [
+    ["revisor", "admin"],
+    ["outro", "admin"],
+    ["editor", "editor"],
+  ]) {
+    await api("autora", "POST", "/usuarios", {
+      email: `${quem}@exemplo.com`,
+      senha: "senha-teste",
+      papel,
+    });
+    await entrar(quem);
+  }
+
+  const { rows } = await client.execute(
+    "INSERT INTO tipos_compensacao (nome) VALUES ('Florestal') RETURNING id"
+  );
+  tipoId = Number(rows[0].id);
+});
+
+after(() => {
+  servidor.kill();
+  client.close();
+});
+
+test("rascunho só aparece na pré-visualização até ser aprovado", async () => {
+  const { body } = await api("autora", "POST", "/modalidades", {
+    tipo_id: tipoId,
+    nome: "Doação de área",
+  });
+  const id = body.id;
+
+  assert.deepEqual(await publicas(), []);
+  assert.deepEqual(await naPrevia(), ["Doação de área"]);
+
+  // Aprovar exige que o item esteja em revisão
+  assert.equal((await aprovar("revisor", id)).status, 409);
+  assert.equal((await enviar("autora", id)).status, 200);
+
+  // Quem enviou não aprova, e editores não revisam
+  assert.equal((await aprovar("autora", id)).status, 403);
+  assert.equal((await aprovar("editor", id)).status, 403);
+  assert.deepEqual(await publicas(), []);
+
+  assert.equal((await aprovar("revisor", id)).status, 200);
+  assert.deepEqual(await publicas(), ["Doação de área"]);
+});
+
+test("edição pendente não aparece no guia; quem editou não a aprova", async () => {
+  const [{ id }] = (await api(null, "GET", `/modalidades?tipo_id=${tipoId}`))
+    .body.data;
+
+  await api("autora", "PUT", `/modalidades/${id}`, {
+    tipo_id: tipoId,
+    nome: "Doação de área em UC",
+  });
+  assert.deepEqual(await publicas(), ["Doação de área"]);
+  assert.deepEqual(await naPrevia(), ["Doação de área em UC"]);
+
+  // Outra pessoa envia a edição da autora: nem ela nem quem enviou aprovam
+  assert.equal((await enviar("revisor", id)).status, 200);
+  const recusa = await aprovar("autora", id);
+  assert.equal(recusa.status, 403);
+  assert.match(recusa.body.error, /Quem editou ou enviou/);
+  assert.equal((await aprovar("revisor", id)).status, 403);
+  assert.deepEqual(await publicas(), ["Doação de área"]);
+
+  assert.equal((await aprovar("outro", id)).status, 200);
+  assert.deepEqual(await publicas(), ["Doação de área em UC"]);
+
+  // Depois da publicação, a autora volta a poder revisar as edições dos outros
+  await api("editor", "PUT", `/modalidades/${id}`, {
+    tipo_id: tipoId,
+    nome: "Doação de área em unidade de conservação",
+  });
+  await enviar("editor", id);
+  assert.equal((await aprovar("autora", id)).status, 200);
+});
+
+test("edição depois do envio devolve o item para rascunho e barra a aprovação", async () => {
+  const [{ id }] = (await api(null, "GET", `/modalidades?tipo_id=${tipoId}`))
+    .body.data;
+
+  await api("editor", "PUT", `/modalidades/${id}`, {
+    tipo_id: tipoId,
+    nome: "Versão enviada",
+  });
+  await enviar("editor", id);
+  await api("editor", "PUT", `/modalidades/${id}`, {
+    tipo_id: tipoId,
+    nome: "Versão não revisada",
+  });
+
+  assert.equal((await aprovar("revisor", id)).status, 409);
+  assert.deepEqual(await publicas(), [
+    "Doação de área em unidade de conservação",
+  ]);
+  await api("editor", "POST", `/modalidades/${id}/descartar`);
+});
+
+test("rejeitar devolve para rascunho e descartar volta à versão publicada", async () => {
+  const [{ id }] = (await api(null, "GET", `/modalidades?tipo_id=${tipoId}`))
+    .body.data;
+
+  await api("editor", "PUT", `/modalidades/${id}`, {
+    tipo_id: tipoId,
+    nome: "Nome rejeitado",
+  });
+  await enviar("editor", id);
+
+  const semMotivo = await api(
+    "revisor",
+    "POST",
+    `/modalidades/${id}/rejeitar`,
+    {}
+  );
+  assert.equal(semMotivo.status, 400);
+  assert.equal(
+    (
+      await api("revisor", "POST", `/modalidades/${id}/rejeitar`, {
+        comentario: "Nome fora do padrão",
+      })
+    ).status,
+    200
+  );
+  const [rejeitada] = (
+    await api("autora", "GET", `/previa/modalidades?tipo_id=${tipoId}`)
+  ).body.data;
+  assert.equal(rejeitada.status, "rascunho");
+  assert.equal(rejeitada.comentario_revisao, "Nome fora do padrão");
+  assert.equal(rejeitada.nome, "Nome rejeitado");
+
+  assert.equal(
+    (await api("editor", "POST", `/modalidades/${id}/descartar`)).status,
+    200
+  );
+  const publicada = ["Doação de área em unidade de conservação"];
+  assert.deepEqual(await publicas(), publicada);
+  assert.deepEqual(await naPrevia(), publicada);
+  assert.equal(
+    (await api("editor", "POST", `/modalidades/${id}/descartar`)).status,
+    409
+  );
+});
+
+test("norma em rascunho não aparece nas rotas públicas", async () => {
+  const { body } = await api("editor", "POST", "/normas", {
+    nome: "Decreto em elaboração",
+  });
+
+  const nomes = async () =>
+    (await api(null, "GET", "/normas")).body.data.map((n) => n.nome);
+  assert.ok(!(await nomes()).includes("Decreto em elaboração"));
+
+  await api("editor", "POST", `/normas/${body.id}/enviar-revisao`);
+  await api("revisor", "POST", `/normas/${body.id}/aprovar`, {});
+  assert.ok((await nomes()).includes("Decreto em elaboração"));
+});
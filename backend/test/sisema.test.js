@@ -0,0 +1,173 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { criarClienteWfs, enviarRespostaWfs } from "../sisema.js";
+
+// Servidor WFS falso: cada requisição consome a próxima resposta da fila
+// (a última se repete) e fica registrada em `recebidas`.
+let respostas = [];
+let recebidas = [];
+let baseUrl;
+
+const colecao = (nome) => ({
+  type: "FeatureCollection",
+  features: [{ type: "Feature", properties: { nome }, geometry: null }],
+});
+const json = (corpo, status = 200) => ({
+  status,
+  tipo: "application/json",
+  corpo: JSON.stringify(corpo),
+});
+
+const servidor = http.createServer((req, res) => {
+  recebidas.push({ url: req.url, em: Date.now() });
+  const resposta = respostas.length > 1 ? respostas.shift() : respostas[0];
+  res.writeHead(resposta.status, { "Content-Type": resposta.tipo });
+  res.end(resposta.corpo);
+});
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const criarCliente = (opcoes = {}) =>
+  criarClienteWfs({
+    baseUrl,
+    ttl: 100,
+    staleTtl: 200,
+    backoff: 40,
+    timeout: 1000,
+    ...opcoes,
+  });
+
+const PARAMS = { typeNames: "ide_sisema:ucs", count: 10 };
+
+before(async () => {
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${servidor.address().port}/ows`;
+});
+after(() => servidor.close());
+beforeEach(() => {
+  respostas = [json(colecao("A"))];
+  recebidas = [];
+});
+
+test("dentro do ttl a resposta vem do cache (MISS e depois HIT)", async () => {
+  const cliente = criarCliente();
+
+  const primeira = await cliente.consultar(PARAMS);
+  assert.equal(primeira.cache, "MISS");
+  assert.equal(primeira.data.features[0].properties.nome, "A");
+
+  // A ordem dos parâmetros não muda a chave do cache
+  const segunda = await cliente.consultar({ count: 10, ...PARAMS });
+  assert.equal(segunda.cache, "HIT");
+  assert.equal(recebidas.length, 1);
+  assert.match(recebidas[0].url, /request=GetFeature/);
+  assert.match(recebidas[0].url, /typeNames=ide_sisema%3Aucs/);
+});
+
+test("depois do ttl, serve o antigo e revalida em segundo plano", async () => {
+  const cliente = criarCliente();
+  await cliente.consultar(PARAMS);
+  respostas = [json(colecao("B"))];
+  await esperar(120);
+
+  const antiga = await cliente.consultar(PARAMS);
+  assert.equal(antiga.cache, "STALE");
+  assert.equal(antiga.data.features[0].properties.nome, "A");
+
+  await esperar(50);
+  const nova = await cliente.consultar(PARAMS);
+  assert.equal(nova.cache, "HIT");
+  assert.equal(nova.data.features[0].properties.nome, "B");
+  assert.equal(recebidas.length, 2);
+});
+
+test("depois do staleTtl, consulta o servidor antes de responder", async () => {
+  const cliente = criarCliente();
+  await cliente.consultar(PARAMS);
+  respostas = [json(colecao("B"))];
+  await esperar(320);
+
+  const resultado = await cliente.consultar(PARAMS);
+  assert.equal(resultado.cache, "MISS");
+  assert.equal(resultado.data.features[0].properties.nome, "B");
+});
+
+test("erros 5xx são repetidos com espera exponencial", async () => {
+  respostas = [
+    json({ erro: 1 }, 503),
+    json({ erro: 2 }, 502),
+    json(colecao("A")),
+  ];
+  const cliente = criarCliente({ tentativas: 3 });
+
+  const resultado = await cliente.consultar(PARAMS);
+  assert.equal(resultado.cache, "MISS");
+  assert.equal(recebidas.length, 3);
+  // Esperas de 40 ms e depois 80 ms entre as tentativas
+  assert.ok(recebidas[1].em - recebidas[0].em >= 35);
+  assert.ok(recebidas[2].em - recebidas[1].em >= 75);
+});
+
+test("erros 4xx não são repetidos", async () => {
+  respostas = [json({ erro: "requisição inválida" }, 400)];
+  const cliente = criarCliente({ tentativas: 3 });
+
+  await assert.rejects(cliente.consultar(PARAMS));
+  assert.equal(recebidas.length, 1);
+});
+
+test("com o servidor fora do ar, serve a última resposta boa com X-Cache: STALE", async () => {
+  const cliente = criarCliente({ tentativas: 2 });
+  await cliente.consultar(PARAMS);
+  respostas = [json({ erro: "fora do ar" }, 500)];
+  await esperar(320);
+
+  const resultado = await cliente.consultar(PARAMS);
+  assert.equal(resultado.cache, "STALE");
+  assert.equal(resultado.data.features[0].properties.nome, "A");
+
+  const cabecalhos = {};
+  let corpo;
+  enviarRespostaWfs(
+    {
+      setHeader: (nome, valor) => (cabecalhos[nome] = valor),
+      json: (dados) => (corpo = dados),
+    },
+    resultado
+  );
+  assert.equal(cabecalhos["X-Cache"], "STALE");
+  assert.ok(Number(cabecalhos.Age) >= 0);
+  assert.equal(corpo.features[0].properties.nome, "A");
+});
+
+test("ExceptionReport com HTTP 200 é falha e não entra no cache", async () => {
+  respostas = [
+    {
+      status: 200,
+      tipo: "application/xml",
+      corpo: `<?xml version="1.0"?><ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows/1.1">
+        <ows:Exception exceptionCode="InvalidParameterValue">
+          <ows:ExceptionText>Feature type ucs unknown</ows:ExceptionText>
+        </ows:Exception></ows:ExceptionReport>`,
+    },
+  ];
+  const cliente = criarCliente({ tentativas: 3 });
+
+  await assert.rejects(cliente.consultar(PARAMS), /Feature type ucs unknown/);
+  // Não é repetida (o erro não é transitório) nem guardada
+  assert.equal(recebidas.length, 1);
+  respostas = [json(colecao("A"))];
+  assert.equal((await cliente.consultar(PARAMS)).cache, "MISS");
+});
+
+test("JSON sem features com HTTP 200 cai na última resposta boa", async () => {
+  const cliente = criarCliente();
+  await cliente.consultar(PARAMS);
+  respostas = [json({ exceptions: [{ text: "Erro interno" }] })];
+  await esperar(320);
+
+  const resultado = await cliente.consultar(PARAMS);
+  assert.equal(resultado.cache, "STALE");
+  assert.equal(resultado.data.features[0].properties.nome, "A");
+});
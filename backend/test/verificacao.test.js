@@ -0,0 +1,162 @@
+import { urlDoBanco } from "./ambiente.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createClient } from "@libsql/client";
+import { executarMigracoes } from "../migrate.js";
+import { criarVerificadorLinks } from "../verificacao.js";
+
+// Servidor com as situações que o verificador precisa reconhecer. /instavel
+// responde com o status de `statusInstavel`, trocado ao longo dos testes.
+let statusInstavel = 200;
+const servidor = http.createServer((req, res) => {
+  const rotas = {
+    "/ok": () => res.writeHead(200).end("ok"),
+    "/antigo": () => res.writeHead(301, { Location: "/movido" }).end(),
+    "/movido": () => res.writeHead(302, { Location: "ok" }).end(),
+    "/ciclo": () => res.writeHead(302, { Location: "/ciclo" }).end(),
+    "/ausente": () => res.writeHead(404).end("não encontrado"),
+    "/lento": () => setTimeout(() => res.writeHead(200).end("ok"), 500),
+    "/instavel": () => res.writeHead(statusInstavel).end(),
+  };
+  (rotas[req.url] || rotas["/ausente"])();
+});
+
+let base;
+const client = createClient({ url: urlDoBanco });
+const verificador = criarVerificadorLinks({
+  client,
+  timeout: 150,
+  maxRedirecionamentos: 3,
+});
+
+const cadastrarNorma = async (caminho) => {
+  const result = await client.execute({
+    sql: "INSERT INTO normas (nome, link) VALUES (?, ?)",
+    args: [`Norma ${caminho}`, `${base}${caminho}`],
+  });
+  return { id: Number(result.lastInsertRowid), link: `${base}${caminho}` };
+};
+
+const lerVerificacao = async (normaId) => {
+  const { rows } = await client.execute({
+    sql: "SELECT * FROM normas_links_verificacao WHERE norma_id = ?",
+    args: [normaId],
+  });
+  return rows[0];
+};
+
+before(async () => {
+  await executarMigracoes(client);
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+after(() => {
+  servidor.closeAllConnections();
+  servidor.close();
+  client.close();
+});
+
+test("link que responde 200", async () => {
+  const norma = await cadastrarNorma("/ok");
+  const resultado = await verificador.verificarNorma(norma);
+
+  assert.equal(resultado.status, 200);
+  assert.equal(resultado.quebrado, false);
+  const gravado = await lerVerificacao(norma.id);
+  assert.equal(gravado.status, 200);
+  assert.equal(gravado.quebrado, 0);
+  assert.equal(gravado.falhas_consecutivas, 0);
+  assert.equal(gravado.redirecionamentos, "[]");
+  assert.equal(gravado.url_final, norma.link);
+});
+
+test("cadeia de redirecionamentos, com Location relativo", async () => {
+  const norma = await cadastrarNorma("/antigo");
+  const resultado = await verificador.verificarNorma(norma);
+
+  assert.equal(resultado.status, 200);
+  assert.equal(resultado.quebrado, false);
+  assert.deepEqual(resultado.redirecionamentos, [
+    { status: 301, url: `${base}/antigo` },
+    { status: 302, url: `${base}/movido` },
+  ]);
+  assert.equal(resultado.url_final, `${base}/ok`);
+  const gravado = await lerVerificacao(norma.id);
+  assert.deepEqual(
+    JSON.parse(gravado.redirecionamentos),
+    resultado.redirecionamentos
+  );
+  assert.equal(gravado.url_final, `${base}/ok`);
+});
+
+test("redirecionamentos em ciclo param no limite", async () => {
+  const norma = await cadastrarNorma("/ciclo");
+  const resultado = await verificador.verificarNorma(norma);
+
+  assert.equal(resultado.quebrado, true);
+  assert.equal(resultado.erro, "Redirecionamentos demais.");
+  assert.equal(resultado.redirecionamentos.length, 4);
+});
+
+test("link que responde 404", async () => {
+  const norma = await cadastrarNorma("/ausente");
+  const resultado = await verificador.verificarNorma(norma);
+
+  assert.equal(resultado.status, 404);
+  assert.equal(resultado.quebrado, true);
+  assert.equal(resultado.erro, null);
+  const gravado = await lerVerificacao(norma.id);
+  assert.equal(gravado.quebrado, 1);
+  assert.equal(gravado.falhas_consecutivas, 1);
+});
+
+test("link que passa do tempo limite", async () => {
+  const norma = await cadastrarNorma("/lento");
+  const resultado = await verificador.verificarNorma(norma);
+
+  assert.equal(resultado.status, null);
+  assert.equal(resultado.quebrado, true);
+  assert.match(resultado.erro, /^ECONNABORTED: timeout/);
+  const gravado = await lerVerificacao(norma.id);
+  assert.equal(gravado.status, null);
+  assert.equal(gravado.quebrado, 1);
+});
+
+test("falhas_consecutivas sobe a cada falha e zera no primeiro sucesso", async () => {
+  const norma = await cadastrarNorma("/instavel");
+  const falhas = async () =>
+    (await lerVerificacao(norma.id)).falhas_consecutivas;
+
+  statusInstavel = 503;
+  await verificador.verificarNorma(norma);
+  assert.equal(await falhas(), 1);
+  statusInstavel = 500;
+  await verificador.verificarNorma(norma);
+  assert.equal(await falhas(), 2);
+
+  statusInstavel = 200;
+  await verificador.verificarNorma(norma);
+  assert.equal(await falhas(), 0);
+  assert.equal((await lerVerificacao(norma.id)).quebrado, 0);
+
+  statusInstavel = 404;
+  await verificador.verificarNorma(norma);
+  assert.equal(await falhas(), 1);
+});
+
+test("verificarTodos consulta as normas fora da lixeira", async () => {
+  const naLixeira = await cadastrarNorma("/ausente");
+  await client.execute({
+    sql: "UPDATE normas SET excluido_em = datetime('now') WHERE id = ?",
+    args: [naLixeira.id],
+  });
+  statusInstavel = 200;
+
+  // As normas dos testes anteriores: /ok, /antigo e /instavel estão no ar
+  assert.deepEqual(await verificador.verificarTodos(), {
+    verificados: 6,
+    quebrados: 3,
+  });
+  assert.equal(await lerVerificacao(naLixeira.id), undefined);
+});
@@ -0,0 +1,225 @@
+import { db } from "./db.js";
+import { buscarCamada } from "./camadas.js";
+import { lerRegraProporcao } from "./calculadora.js";
+
+// Regras de validação por entidade do catálogo.
+// - obrigatorio: o campo não pode faltar nem ser vazio
+// - max: tamanho máximo do texto
+// - url: deve ser um endereço http(s) bem formado
+// - referencia: o valor deve ser o id de um registro existente (fora da lixeira) na tabela indicada
+// - camadas: lista de ids de camadas do SISEMA (camadas.js) separados por vírgula
+// - data: data no formato AAAA-MM-DD
+// - opcoes: o valor deve ser um dos listados
+// - padrao: valor usado quando o campo vem vazio
+// - inteiro: número inteiro
+// - proporcao: regra de proporção estruturada, em JSON (ver calculadora.js)
+export const REGRAS = {
+  normas: {
+    nome: { obrigatorio: true, max: 255 },
+    link: { url: true, max: 2048 },
+    preambulo: { max: 5000 },
+    data_publicacao: { data: true },
+    inicio_vigencia: { data: true },
+    situacao: {
+      opcoes: ["vigente", "revogada", "alterada"],
+      padrao: "vigente",
+    },
+  },
+  tipos: {
+    nome: { obrigatorio: true, max: 120 },
+    camadas_mapa: { camadas: true, max: 255 },
+  },
+  modalidades: {
+    tipo_id: { obrigatorio: true, referencia: "tipos_compensacao" },
+    nome: { obrigatorio: true, max: 255 },
+    proporcao: { max: 100 },
+    proporcao_regra: { proporcao: true },
+    forma: { max: 255 },
+    especificidades: { max: 10000 },
+    vantagens: { max: 10000 },
+    desvantagens: { max: 10000 },
+    observacao: { max: 10000 },
+    documentos: { max: 10000 },
+    camadas_mapa: { camadas: true, max: 255 },
+  },
+  // Links das modalidades (ver links.js); não são uma entidade do catálogo
+  links: {
+    rotulo: { obrigatorio: true, max: 120 },
+    url: { obrigatorio: true, url: true, max: 2048 },
+    tipo: {
+      obrigatorio: true,
+      opcoes: ["calculadora", "formulario", "modelo_documento"],
+    },
+  },
+  // Perguntas do assistente de decisão (ver assistente.js)
+  perguntas: {
+    texto: { obrigatorio: true, max: 500 },
+    ajuda: { max: 2000 },
+    ordem: { inteiro: true, padrao: 0 },
+  },
+  // Assinaturas de avisos de alteração (ver notificacoes.js). O formato do
+  // destino (e-mail ou URL) depende do canal e é conferido na rota.
+  assinaturas: {
+    canal: { obrigatorio: true, opcoes: ["email", "webhook"] },
+    destino: { obrigatorio: true, max: 2048 },
+    tipo_id: { referencia: "tipos_compensacao" },
+    norma_id: { referencia: "normas" },
+  },
+  // Vínculo avulso entre norma e tipo (POST /api/v2/normas-tipos-compensacao)
+  normas_tipos: {
+    tipo_id: { obrigatorio: true, referencia: "tipos_compensacao" },
+    norma_id: { obrigatorio: true, referencia: "normas" },
+  },
+};
+
+// Tabela do banco de cada entidade do catálogo.
+export const TABELAS = {
+  normas: "normas",
+  tipos: "tipos_compensacao",
+  modalidades: "modalidades",
+};
+
+const vazio = (valor) =>
+  valor === undefined || valor === null || String(valor).trim() === "";
+
+const dataValida = (valor) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(valor)) return false;
+  // Rejeita datas inexistentes como 2023-02-30, que o Date "corrige" para março
+  const data = new Date(`${valor}T00:00:00Z`);
+  return !isNaN(data) && data.toISOString().startsWith(valor);
+};
+
+export const urlValida = (valor) => {
+  try {
+    const url = new URL(valor);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// Valida os dados de uma entidade e devolve a lista de erros no formato
+// [{ field, message }]. Uma lista vazia significa que os dados são válidos.
+export const validarDados = async (entidade, dados = {}, client = db) => {
+  const errors = [];
+
+  for (const [field, regra] of Object.entries(REGRAS[entidade])) {
+    const valor = dados[field];
+
+    if (vazio(valor)) {
+      if (regra.obrigatorio)
+        errors.push({ field, message: "Campo obrigatório." });
+      continue;
+    }
+
+    if (regra.max && String(valor).length > regra.max) {
+      errors.push({
+        field,
+        message: `Deve ter no máximo ${regra.max} caracteres.`,
+      });
+    }
+
+    if (regra.url && !urlValida(String(valor).trim())) {
+      errors.push({
+        field,
+        message: "Informe uma URL válida (http:// ou https://).",
+      });
+    }
+
+    if (regra.data && !dataValida(String(valor).trim())) {
+      errors.push({
+        field,
+        message: "Informe uma data válida (AAAA-MM-DD).",
+      });
+    }
+
+    if (regra.inteiro && !Number.isInteger(Number(valor))) {
+      errors.push({ field, message: "Deve ser um número inteiro." });
+    }
+
+    if (regra.opcoes && !regra.opcoes.includes(String(valor).trim())) {
+      errors.push({
+        field,
+        message: `Valor inválido. Use: ${regra.opcoes.join(", ")}.`,
+      });
+    }
+
+    if (regra.camadas) {
+      const desconhecidas = String(valor)
+        .split(",")
+        .map((id) => id.trim())
+        .filter((id) => id && !buscarCamada(id));
+      if (desconhecidas.length > 0) {
+        errors.push({
+          field,
+          message: `Camadas desconhecidas: ${desconhecidas.join(", ")}`,
+        });
+      }
+    }
+
+    if (regra.proporcao) {
+      for (const message of lerRegraProporcao(valor).errors) {
+        errors.push({ field, message });
+      }
+    }
+
+    if (regra.referencia) {
+      if (!Number.isInteger(Number(valor))) {
+        errors.push({ field, message: "Deve ser um id numérico." });
+        continue;
+      }
+
+      const result = await client.execute({
+        sql: `SELECT 1 FROM ${regra.referencia} WHERE id = ? AND excluido_em IS NULL`,
+        args: [Number(valor)],
+      });
+      if (result.rows.length === 0) {
+        errors.push({ field, message: "Registro não encontrado." });
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Normaliza os campos conhecidos da entidade: textos sem espaços nas pontas,
+// vazios viram null e referências viram números.
+export const normalizarDados = (entidade, dados = {}) => {
+  const normalizado = {};
+
+  for (const [field, regra] of Object.entries(REGRAS[entidade])) {
+    const valor = dados[field];
+
+    if (vazio(valor)) normalizado[field] = regra.padrao ?? null;
+    else if (regra.referencia || regra.inteiro)
+      normalizado[field] = Number(valor);
+    else if (regra.proporcao)
+      normalizado[field] = JSON.stringify(lerRegraProporcao(valor).regra);
+    else if (regra.camadas)
+      normalizado[field] = String(valor)
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+        .join(",");
+    else normalizado[field] = String(valor).trim();
+  }
+
+  return normalizado;
+};
+
+// Middleware para as rotas POST/PUT: responde 400 com { errors: [...] } quando
+// os dados são inválidos; caso contrário, substitui req.body pelos dados normalizados.
+export const validarCorpo = (entidade) => async (req, res, next) => {
+  try {
+    const errors = await validarDados(entidade, req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    req.body = { ...req.body, ...normalizarDados(entidade, req.body) };
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
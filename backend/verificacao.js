@@ -0,0 +1,273 @@
+import axios from "axios";
+import express from "express";
+import { db } from "./db.js";
+import { requireEditor } from "./auth.js";
+
+// ===============================================
+// === VERIFICAÇÃO DOS LINKS DAS NORMAS ==========
+// ===============================================
+// Os links das normas (almg.gov.br, siam.mg.gov.br, ...) saem do ar sem aviso.
+// Uma tarefa em segundo plano consulta periodicamente o link de cada norma fora
+// da lixeira e grava o resultado em normas_links_verificacao (migração 014).
+// Nas normas publicadas o link verificado é o que está no ar, e não o das
+// alterações pendentes.
+
+// Status a partir do qual o link é considerado quebrado; erros de rede e
+// timeouts também contam.
+const STATUS_QUEBRADO = 400;
+
+// Consulta uma URL seguindo os redirecionamentos um a um, para registrá-los.
+// Usa GET (muitos servidores do governo recusam HEAD) e descarta o corpo.
+// Devolve { status, erro, redirecionamentos: [{ status, url }], url_final, quebrado }.
+const consultarUrl = async (url, { http, timeout, maxRedirecionamentos }) => {
+  const redirecionamentos = [];
+  let atual = url;
+
+  try {
+    for (;;) {
+      const response = await http.get(atual, {
+        timeout,
+        maxRedirects: 0,
+        responseType: "stream",
+        validateStatus: () => true,
+        headers: { "User-Agent": "GuiaCompensacaoMG-VerificadorDeLinks/1.0" },
+      });
+      response.data?.destroy?.();
+
+      const { status } = response;
+      const destino = response.headers?.location;
+      if (status < 300 || status >= 400 || !destino) {
+        return {
+          status,
+          erro: null,
+          redirecionamentos,
+          url_final: atual,
+          quebrado: status >= STATUS_QUEBRADO,
+        };
+      }
+
+      redirecionamentos.push({ status, url: atual });
+      if (redirecionamentos.length > maxRedirecionamentos) {
+        throw new Error("Redirecionamentos demais.");
+      }
+      atual = new URL(destino, atual).href;
+    }
+  } catch (error) {
+    return {
+      status: null,
+      erro: error.code ? `${error.code}: ${error.message}` : error.message,
+      redirecionamentos,
+      url_final: atual,
+      quebrado: true,
+    };
+  }
+};
+
+// Cria o verificador. Os parâmetros permitem testá-lo contra um servidor HTTP
+// local (basta cadastrar normas com links para ele) ou com um `http` falso.
+//
+// - intervalo: de quanto em quanto tempo (ms) todos os links são verificados;
+// - concorrencia: quantos links são consultados ao mesmo tempo.
+export const criarVerificadorLinks = ({
+  client = db,
+  http = axios,
+  timeout = 15000,
+  maxRedirecionamentos = 10,
+  concorrencia = 4,
+  intervalo = 24 * 60 * 60 * 1000,
+} = {}) => {
+  let emAndamento = null;
+  let timer = null;
+
+  const gravar = (normaId, url, resultado) =>
+    client.execute({
+      sql: `INSERT INTO normas_links_verificacao
+              (norma_id, url, status, erro, redirecionamentos, url_final, quebrado, falhas_consecutivas, verificado_em)
+            VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?7, datetime('now'))
+            ON CONFLICT (norma_id) DO UPDATE SET
+              url = ?2, status = ?3, erro = ?4, redirecionamentos = ?5, url_final = ?6,
+              quebrado = ?7, verificado_em = datetime('now'),
+              falhas_consecutivas = CASE WHEN ?7 THEN falhas_consecutivas + 1 ELSE 0 END`,
+      args: [
+        normaId,
+        url,
+        resultado.status,
+        resultado.erro,
+        JSON.stringify(resultado.redirecionamentos),
+        resultado.url_final,
+        resultado.quebrado ? 1 : 0,
+      ],
+    });
+
+  // Verifica o link de uma norma e grava o resultado
+  const verificarNorma = async ({ id, link }) => {
+    const resultado = await consultarUrl(link, {
+      http,
+      timeout,
+      maxRedirecionamentos,
+    });
+    await gravar(id, link, resultado);
+    return resultado;
+  };
+
+  // Verifica todos os links. Se uma verificação já estiver rodando, devolve a
+  // mesma em vez de começar outra. Resolve com { verificados, quebrados }.
+  const verificarTodos = () => {
+    if (!emAndamento) {
+      emAndamento = (async () => {
+        const { rows } = await client.execute(
+          "SELECT id, link FROM normas WHERE excluido_em IS NULL AND TRIM(COALESCE(link, '')) <> ''"
+        );
+        const fila = [...rows];
+        let quebrados = 0;
+
+        const trabalhador = async () => {
+          while (fila.length > 0) {
+            const resultado = await verificarNorma(fila.shift());
+            if (resultado.quebrado) quebrados++;
+          }
+        };
+        await Promise.all(
+          Array.from({ length: Math.min(concorrencia, fila.length) }, () =>
+            trabalhador()
+          )
+        );
+
+        return { verificados: rows.length, quebrados };
+      })().finally(() => {
+        emAndamento = null;
+      });
+    }
+    return emAndamento;
+  };
+
+  const executar = () =>
+    verificarTodos()
+      .then(({ verificados, quebrados }) =>
+        console.log(
+          `Verificação de links: ${verificados} verificados, ${quebrados} quebrados.`
+        )
+      )
+      .catch((error) =>
+        console.error("Erro na verificação de links:", error.message)
+      );
+
+  // Agenda as verificações periódicas. A primeira roda após `atraso` (ms), para
+  // não disputar com a inicialização do servidor. Os timers não impedem o
+  // processo de terminar.
+  const iniciar = ({ atraso = 60 * 1000 } = {}) => {
+    parar();
+    timer = setTimeout(() => {
+      executar();
+      timer = setInterval(executar, intervalo);
+      timer.unref();
+    }, atraso);
+    timer.unref();
+  };
+
+  const parar = () => {
+    clearTimeout(timer);
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    verificarNorma,
+    verificarTodos,
+    iniciar,
+    parar,
+    emAndamento: () => emAndamento !== null,
+  };
+};
+
+// Verificador usado pelo servidor. LINKS_VERIFICACAO_HORAS define o intervalo
+// (padrão 24; 0 desliga a verificação periódica, mas não a manual).
+const HORAS = Number(process.env.LINKS_VERIFICACAO_HORAS ?? 24);
+export const verificadorLinks = criarVerificadorLinks({
+  intervalo: (HORAS || 24) * 60 * 60 * 1000,
+});
+export const verificacaoPeriodicaAtiva = HORAS > 0;
+
+// ===============================================
+// === ROTAS ====================================
+// ===============================================
+export const verificacaoRouter = express.Router();
+
+// Relatório: as normas fora da lixeira com o resultado da última verificação
+// do link (verificacao: null se ainda não verificado). Os quebrados vêm
+// primeiro; ?quebrados=true lista só eles.
+verificacaoRouter.get("/verificacao-links", requireEditor, async (req, res) => {
+  const filtro = req.query.quebrados === "true" ? "AND v.quebrado = 1" : "";
+
+  try {
+    const { rows } = await db.execute(
+      `SELECT n.id, n.nome, n.link, v.url, v.status, v.erro, v.redirecionamentos,
+              v.url_final, v.quebrado, v.falhas_consecutivas, v.verificado_em
+       FROM normas n LEFT JOIN normas_links_verificacao v ON v.norma_id = n.id
+       WHERE n.excluido_em IS NULL ${filtro}
+       ORDER BY v.quebrado DESC, n.nome`
+    );
+    const data = rows.map(({ id, nome, link, verificado_em, ...v }) => ({
+      id,
+      nome,
+      link,
+      verificacao: verificado_em
+        ? {
+            url: v.url,
+            status: v.status,
+            erro: v.erro,
+            redirecionamentos: JSON.parse(v.redirecionamentos),
+            url_final: v.url_final,
+            quebrado: Boolean(v.quebrado),
+            falhas_consecutivas: v.falhas_consecutivas,
+            verificado_em,
+            // O link foi editado depois da última verificação
+            desatualizada: v.url !== link,
+          }
+        : null,
+    }));
+    res
+      .status(200)
+      .json({ data, em_andamento: verificadorLinks.emAndamento() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rota para verificar todos os links agora (aguarda o fim da verificação)
+verificacaoRouter.post(
+  "/verificacao-links",
+  requireEditor,
+  async (req, res) => {
+    try {
+      const resumo = await verificadorLinks.verificarTodos();
+      res.status(200).json({ message: "Verificação concluída", ...resumo });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Rota para verificar o link de uma norma
+verificacaoRouter.post(
+  "/verificacao-links/:normaId",
+  requireEditor,
+  async (req, res) => {
+    try {
+      const { rows } = await db.execute({
+        sql: "SELECT id, link FROM normas WHERE id = ? AND excluido_em IS NULL",
+        args: [req.params.normaId],
+      });
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Norma não encontrada" });
+      }
+      if (!String(rows[0].link ?? "").trim()) {
+        return res.status(400).json({ error: "A norma não tem link." });
+      }
+      const resultado = await verificadorLinks.verificarNorma(rows[0]);
+      res.status(200).json({ data: resultado });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
@@ -7,16 +7,38 @@ document.addEventListener("DOMContentLoaded", () => {
 
   let editState = { type: null, id: null };
 
+  // Sessão do usuário logado. O token fica no sessionStorage e é descartado ao fechar a aba.
+  let authToken = sessionStorage.getItem("authToken");
+  let usuarioAtual = null;
+  let allUsuarios = [];
+  let allPerguntas = [];
+  let verificacaoLinks = [];
+  let assinaturas = [];
+  let lixeira = { normas: [], tipos: [], modalidades: [] };
+
   // Seletores de Formulários
   const forms = {
     normas: document.getElementById("norma-form"),
     tipos: document.getElementById("tipo-form"),
     modalidades: document.getElementById("modalidade-form"),
+    usuarios: document.getElementById("usuario-form"),
+    perguntas: document.getElementById("pergunta-form"),
   };
 
   // Funções Genéricas da API
+  const authHeaders = () =>
+    authToken ? { Authorization: `Bearer ${authToken}` } : {};
+
+  // Qualquer 401 significa que a sessão expirou: volta para a tela de login.
+  const checkAuth = (response) => {
+    if (response.status === 401) encerrarSessao();
+    return response;
+  };
+
   const fetchData = async (endpoint) =>
-    (await fetch(`${API_BASE_URL}/${endpoint}`)).json();
+    (
+      await fetch(`${API_BASE_URL}/${endpoint}`, { headers: authHeaders() })
+    ).json();
 
   const sendData = async (endpoint, data, id = null) => {
     const method = id ? "PUT" : "POST";
@@ -25,30 +47,93 @@ document.addEventListener("DOMContentLoaded", () => {
       ? `${API_BASE_URL}/${endpoint}/${id}`
       : `${API_BASE_URL}/${endpoint}`;
 
-    return fetch(url, {
-      method,
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(data),
-    });
+    return checkAuth(
+      await fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify(data),
+      })
+    );
   };
 
+  // PUT direto em um endpoint completo (ex: "tipos/3/normas")
+  const putData = async (endpoint, data) =>
+    checkAuth(
+      await fetch(`${API_BASE_URL}/${endpoint}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify(data),
+      })
+    );
+
   const deleteData = async (endpoint, id) =>
-    fetch(`${API_BASE_URL}/${endpoint}/${id}`, { method: "DELETE" });
+    checkAuth(
+      await fetch(`${API_BASE_URL}/${endpoint}/${id}`, {
+        method: "DELETE",
+        headers: authHeaders(),
+      })
+    );
 
   // Funções de Renderização
   const createButton = (className, text, type, id) =>
     `<button class="${className}" data-type="${type}" data-id="${id}">${text}</button>`;
 
+  // Fluxo de publicação de normas e modalidades: rascunho -> em revisão -> publicado
+  const ROTULOS_STATUS = {
+    rascunho: "Rascunho",
+    em_revisao: "Em revisão",
+    publicado: "Publicado",
+  };
+
+  const renderStatus = (item) =>
+    `<span class="status-badge status-${item.status}">${
+      ROTULOS_STATUS[item.status]
+    }</span>${
+      item.publicado_em && item.alteracoes_pendentes
+        ? '<span class="status-badge status-pendente">Alterações pendentes</span>'
+        : ""
+    }${
+      item.status === "rascunho" && item.comentario_revisao
+        ? `<br><small class="comentario-revisao">Revisão: ${escapeHtml(
+            item.comentario_revisao
+          )}</small>`
+        : ""
+    }`;
+
+  const botoesPublicacao = (type, item) => {
+    const ehRevisor = usuarioAtual && usuarioAtual.papel === "admin";
+    let botoes = "";
+
+    if (item.status === "rascunho") {
+      botoes += createButton("revisao-btn", "Enviar p/ revisão", type, item.id);
+    }
+    if (item.status === "em_revisao" && ehRevisor) {
+      botoes += createButton("aprovar-btn", "Aprovar", type, item.id);
+      botoes += createButton("rejeitar-btn", "Rejeitar", type, item.id);
+    }
+    if (item.publicado_em && item.alteracoes_pendentes) {
+      botoes += createButton("descartar-btn", "Descartar", type, item.id);
+    }
+    return botoes;
+  };
+
   const renderNormas = () => {
     document.getElementById("normas-list").innerHTML =
       allNormas
         .map(
           (n) =>
-            `<li><span>${n.nome}</span><div>${createButton(
+            `<li><span>${n.nome} ${renderStatus(
+              n
+            )}</span><div>${botoesPublicacao("normas", n)}${createButton(
               "edit-btn",
               "Editar",
               "normas",
               n.id
+            )}${createButton(
+              "historico-btn",
+              "Histórico",
+              "normas",
+              n.id
             )}${createButton("delete-btn", "X", "normas", n.id)}</div></li>`
         )
         .join("") || "<li>Nenhuma norma cadastrada.</li>";
@@ -73,6 +158,11 @@ document.addEventListener("DOMContentLoaded", () => {
               "Editar",
               "tipos",
               t.id
+            )}${createButton(
+              "historico-btn",
+              "Histórico",
+              "tipos",
+              t.id
             )}${createButton("delete-btn", "X", "tipos", t.id)}</div></li>`
         )
         .join("") || "<li>Nenhum tipo cadastrado.</li>";
@@ -82,6 +172,15 @@ document.addEventListener("DOMContentLoaded", () => {
       allTipos
         .map((t) => `<option value="${t.id}">${t.nome}</option>`)
         .join("");
+
+    document.getElementById("pergunta-tipos-checkboxes").innerHTML =
+      '<label>Tipos indicados pela resposta "sim":</label>' +
+      allTipos
+        .map(
+          (t) =>
+            `<div><input type="checkbox" id="pergunta-tipo-${t.id}" value="${t.id}"><label for="pergunta-tipo-${t.id}">${t.nome}</label></div>`
+        )
+        .join("");
   };
 
   const renderModalidades = () => {
@@ -89,18 +188,308 @@ document.addEventListener("DOMContentLoaded", () => {
       allModalidades
         .map((m) => {
           const tipo = allTipos.find((t) => t.id == m.tipo_id);
-          return `<li><span><strong>${m.nome}</strong> (Tipo: ${
-            tipo ? tipo.nome : "N/A"
-          })</span><div>${createButton(
+          const tipoExcluido = lixeira.tipos.find((t) => t.id == m.tipo_id);
+          const nomeTipo = tipo
+            ? tipo.nome
+            : tipoExcluido
+            ? `${tipoExcluido.nome} — na lixeira`
+            : "N/A";
+          return `<li><span><strong>${
+            m.nome
+          }</strong> (Tipo: ${nomeTipo}) ${renderStatus(
+            m
+          )}</span><div>${botoesPublicacao("modalidades", m)}${createButton(
+            "previa-btn",
+            "Pré-visualizar",
+            "modalidades",
+            m.id
+          )}${createButton(
             "edit-btn",
             "Editar",
             "modalidades",
             m.id
+          )}${createButton(
+            "historico-btn",
+            "Histórico",
+            "modalidades",
+            m.id
           )}${createButton("delete-btn", "X", "modalidades", m.id)}</div></li>`;
         })
         .join("") || "<li>Nenhuma modalidade cadastrada.</li>";
   };
 
+  const renderLixeira = () => {
+    const rotulos = {
+      normas: "Norma",
+      tipos: "Tipo",
+      modalidades: "Modalidade",
+    };
+
+    document.getElementById("lixeira-list").innerHTML =
+      Object.entries(lixeira)
+        .flatMap(([type, itens]) =>
+          itens.map(
+            (item) =>
+              `<li><span><strong>${item.nome}</strong> (${rotulos[type]}${
+                item.tipo_nome ? ` de ${item.tipo_nome}` : ""
+              }, excluído em ${new Date(
+                `${item.excluido_em.replace(" ", "T")}Z`
+              ).toLocaleString("pt-BR")})</span><div>${createButton(
+                "restaurar-lixeira-btn",
+                "Restaurar",
+                type,
+                item.id
+              )}${createButton(
+                "excluir-definitivo-btn",
+                "Excluir de vez",
+                type,
+                item.id
+              )}</div></li>`
+          )
+        )
+        .join("") || "<li>A lixeira está vazia.</li>";
+  };
+
+  // Relatório dos links das normas (ver backend/verificacao.js)
+  const formatarDataHora = (valor) =>
+    new Date(`${valor.replace(" ", "T")}Z`).toLocaleString("pt-BR");
+
+  const renderVerificacaoLinks = () => {
+    document.getElementById("verificacao-links-list").innerHTML =
+      verificacaoLinks
+        .map(({ id, nome, link, verificacao: v }) => {
+          let situacao = '<span class="status-badge">Não verificado</span>';
+          let detalhes = link ? escapeHtml(link) : "Norma sem link.";
+
+          if (v) {
+            situacao = v.quebrado
+              ? '<span class="status-badge link-quebrado">Quebrado</span>'
+              : '<span class="status-badge status-publicado">OK</span>';
+            detalhes = `${v.status ? `HTTP ${v.status}` : escapeHtml(v.erro)}${
+              v.redirecionamentos.length > 0
+                ? ` após ${
+                    v.redirecionamentos.length
+                  } redirecionamento(s) para ${escapeHtml(v.url_final)}`
+                : ""
+            } · verificado em ${formatarDataHora(v.verificado_em)}${
+              v.quebrado && v.falhas_consecutivas > 1
+                ? ` · quebrado há ${v.falhas_consecutivas} verificações`
+                : ""
+            }${v.desatualizada ? " · o link mudou desde então" : ""}`;
+          }
+
+          return `<li><span><strong>${escapeHtml(
+            nome
+          )}</strong> ${situacao}<br><small>${detalhes}</small></span><div>${
+            link
+              ? createButton("verificar-link-btn", "Verificar", "normas", id)
+              : ""
+          }</div></li>`;
+        })
+        .join("") || "<li>Nenhuma norma cadastrada.</li>";
+  };
+
+  const verificarLinks = async (id = null) => {
+    const response = checkAuth(
+      await fetch(`${API_BASE_URL}/verificacao-links${id ? `/${id}` : ""}`, {
+        method: "POST",
+        headers: authHeaders(),
+      })
+    );
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      alert(body.error || "Erro ao verificar os links.");
+    }
+    ({ data: verificacaoLinks } = await fetchData("verificacao-links"));
+    renderVerificacaoLinks();
+  };
+
+  // Assinaturas dos avisos de alteração (ver backend/notificacoes.js)
+  const renderAssinaturas = () => {
+    document.getElementById("assinaturas-list").innerHTML =
+      assinaturas
+        .map((a) => {
+          const canal = a.canal === "email" ? "e-mail" : "webhook";
+          const alvo = `${a.tipo_id ? "Tipo" : "Norma"}: ${escapeHtml(
+            a.alvo_nome
+          )}`;
+          const envio = !a.confirmada_em
+            ? "aguardando confirmação do e-mail"
+            : a.ultimo_envio_em
+            ? `último aviso em ${formatarDataHora(a.ultimo_envio_em)}`
+            : "nenhum aviso enviado";
+          const erro = a.ultimo_erro
+            ? ` · <span class="link-quebrado">falha: ${escapeHtml(
+                a.ultimo_erro
+              )}</span>`
+            : "";
+
+          return `<li><span><strong>${escapeHtml(
+            a.destino
+          )}</strong> (${canal})<br><small>${alvo} · ${envio}${erro}</small></span><div>${createButton(
+            "delete-btn",
+            "Remover",
+            "assinaturas",
+            a.id
+          )}</div></li>`;
+        })
+        .join("") || "<li>Nenhuma assinatura.</li>";
+  };
+
+  // Exclusão definitiva: se houver dependentes, o backend responde 409 com a lista,
+  // e só com a confirmação do usuário a exclusão é refeita em cascata.
+  const excluirDefinitivamente = async (type, id) => {
+    let response = checkAuth(
+      await fetch(`${API_BASE_URL}/${type}/${id}?permanente=true`, {
+        method: "DELETE",
+        headers: authHeaders(),
+      })
+    );
+
+    if (response.status === 409) {
+      const { dependentes } = await response.json();
+      const rotulos = {
+        normas: "Normas vinculadas",
+        tipos: "Tipos vinculados",
+        modalidades: "Modalidades (serão excluídas)",
+        perguntas: "Perguntas do assistente (deixarão de indicar o tipo)",
+        assinaturas: "Assinaturas de avisos (serão canceladas)",
+      };
+      const lista = Object.entries(dependentes)
+        .map(
+          ([chave, itens]) =>
+            `${rotulos[chave]}:\n${itens.map((i) => ` - ${i.nome}`).join("\n")}`
+        )
+        .join("\n");
+
+      if (
+        !confirm(
+          `Este item possui registros dependentes:\n${lista}\n\nExcluir assim mesmo?`
+        )
+      )
+        return;
+
+      response = checkAuth(
+        await fetch(
+          `${API_BASE_URL}/${type}/${id}?permanente=true&cascata=true`,
+          { method: "DELETE", headers: authHeaders() }
+        )
+      );
+    }
+
+    if (response.ok) {
+      alert("Item excluído definitivamente.");
+      carregarTudo();
+    } else {
+      const body = await response.json().catch(() => ({}));
+      alert(body.error || "Erro ao excluir o item.");
+    }
+  };
+
+  // Ações do fluxo de publicação. Rejeitar exige um comentário; aprovar aceita um opcional.
+  const executarRevisao = async (type, id, acao) => {
+    let comentario = null;
+    if (acao === "rejeitar" || acao === "aprovar") {
+      comentario = prompt(
+        acao === "rejeitar"
+          ? "Motivo da rejeição:"
+          : "Comentário da aprovação (opcional):"
+      );
+      if (comentario === null) return;
+    }
+    if (
+      acao === "descartar" &&
+      !confirm("Descartar as alterações ainda não publicadas?")
+    )
+      return;
+
+    const response = checkAuth(
+      await fetch(`${API_BASE_URL}/${type}/${id}/${acao}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ comentario }),
+      })
+    );
+    const body = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      alert(body.message);
+      carregarTudo();
+    } else {
+      alert(
+        body.error ||
+          (body.errors || []).map((e) => e.message).join("\n") ||
+          "Erro ao executar a ação."
+      );
+    }
+  };
+
+  // Abre a ferramenta pública mostrando a versão de trabalho da modalidade.
+  // Sem "noopener", para que a nova aba herde o sessionStorage com o token.
+  const preVisualizar = (id) => {
+    const modalidade = allModalidades.find((m) => m.id == id);
+    if (!modalidade) return;
+    window.open(
+      `index.html?previa=1&tipo=${modalidade.tipo_id}&modalidade=${modalidade.id}`,
+      "_blank"
+    );
+  };
+
+  const restaurarDaLixeira = async (type, id) => {
+    const response = checkAuth(
+      await fetch(`${API_BASE_URL}/${type}/${id}/restaurar`, {
+        method: "POST",
+        headers: authHeaders(),
+      })
+    );
+    const body = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      alert("Item restaurado com sucesso!");
+      carregarTudo();
+    } else {
+      alert(body.error || "Erro ao restaurar o item.");
+    }
+  };
+
+  const renderUsuarios = () => {
+    document.getElementById("usuarios-list").innerHTML =
+      allUsuarios
+        .map(
+          (u) =>
+            `<li><span><strong>${u.email}</strong> (${
+              u.papel
+            })</span><div>${createButton(
+              "edit-btn",
+              "Editar",
+              "usuarios",
+              u.id
+            )}${createButton("delete-btn", "X", "usuarios", u.id)}</div></li>`
+        )
+        .join("") || "<li>Nenhum usuário cadastrado.</li>";
+  };
+
+  // Perguntas do assistente de decisão do guia, com os tipos que cada "sim" indica
+  const renderPerguntas = () => {
+    document.getElementById("perguntas-list").innerHTML =
+      allPerguntas
+        .map((p) => {
+          const tipos = allTipos
+            .filter((t) => p.tipo_ids.includes(t.id))
+            .map((t) => t.nome)
+            .join(", ");
+          return `<li><span>${p.ordem}. ${p.texto} <small>(${
+            tipos || "nenhum tipo"
+          })</small></span><div>${createButton(
+            "edit-btn",
+            "Editar",
+            "perguntas",
+            p.id
+          )}${createButton("delete-btn", "X", "perguntas", p.id)}</div></li>`;
+        })
+        .join("") || "<li>Nenhuma pergunta cadastrada.</li>";
+  };
+
   // Funções de Gerenciamento de Formulário
   const resetForm = (form) => {
     form.reset();
@@ -108,9 +497,263 @@ document.addEventListener("DOMContentLoaded", () => {
     form.querySelector('button[type="submit"]').textContent = `Salvar`;
     const cancelButton = form.querySelector(".cancel-edit-btn");
     if (cancelButton) cancelButton.remove();
+    limparErros(form);
+    if (type === "normas")
+      document.getElementById("norma-relacoes").hidden = true;
+    if (type === "modalidades")
+      document.getElementById("modalidade-links").hidden = true;
+    if (PREFIXOS_ANEXO[type])
+      document.getElementById(`${PREFIXOS_ANEXO[type]}-anexos`).hidden = true;
     editState = { type: null, id: null };
   };
 
+  // Funções da Proporção Estruturada (ver backend/calculadora.js)
+  // Na base "valor" a razão é digitada em porcentagem e guardada como fração.
+  // As condições são digitadas uma por linha, no formato "descrição = fator".
+  const chaveDaCondicao = (descricao) =>
+    descricao
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 50);
+
+  const lerRegraProporcao = (form) => {
+    const base = form.elements["modalidade-regra-base"].value;
+    if (!base) return null;
+
+    const razao = Number(form.elements["modalidade-regra-razao"].value);
+    const condicoes = form.elements["modalidade-regra-condicoes"].value
+      .split("\n")
+      .filter((linha) => linha.trim())
+      .map((linha) => {
+        const separador = linha.lastIndexOf("=");
+        const descricao = (
+          separador < 0 ? linha : linha.slice(0, separador)
+        ).trim();
+        return {
+          chave: chaveDaCondicao(descricao),
+          descricao,
+          fator: Number(linha.slice(separador + 1).replace(",", ".")),
+        };
+      });
+
+    return {
+      base,
+      razao: base === "valor" ? razao / 100 : razao,
+      unidade:
+        base === "valor"
+          ? "R$"
+          : form.elements["modalidade-regra-unidade"].value,
+      condicoes,
+    };
+  };
+
+  const preencherRegraProporcao = (form, item) => {
+    if (!item.proporcao_regra) return;
+    const regra = JSON.parse(item.proporcao_regra);
+
+    form.elements["modalidade-regra-base"].value = regra.base;
+    form.elements["modalidade-regra-razao"].value =
+      regra.base === "valor" ? regra.razao * 100 : regra.razao;
+    if (regra.base === "area")
+      form.elements["modalidade-regra-unidade"].value = regra.unidade;
+    form.elements["modalidade-regra-condicoes"].value = regra.condicoes
+      .map((c) => `${c.descricao} = ${c.fator}`)
+      .join("\n");
+  };
+
+  // Funções de Relações entre Normas
+  // Cada relação pertence à norma de origem ("A revoga B"): é por ela que se remove.
+  const ROTULOS_RELACAO = {
+    ativa: { revoga: "Revoga", altera: "Altera", regulamenta: "Regulamenta" },
+    passiva: {
+      revoga: "Revogada por",
+      altera: "Alterada por",
+      regulamenta: "Regulamentada por",
+    },
+  };
+
+  const renderRelacoesNorma = (norma) => {
+    document.getElementById("norma-relacoes").hidden = false;
+
+    document.getElementById("norma-relacoes-lista").innerHTML =
+      norma.relacoes
+        .map(
+          (r) =>
+            `<li><span>${ROTULOS_RELACAO[r.sentido][r.tipo]} ${escapeHtml(
+              r.nome
+            )}</span><button type="button" class="delete-btn" data-norma="${
+              r.sentido === "ativa" ? norma.id : r.norma_id
+            }" data-relacao="${r.id}">X</button></li>`
+        )
+        .join("") || "<li>Nenhuma relação cadastrada.</li>";
+
+    document.getElementById("norma-relacao-alvo").innerHTML = allNormas
+      .filter((n) => n.id != norma.id)
+      .map((n) => `<option value="${n.id}">${escapeHtml(n.nome)}</option>`)
+      .join("");
+  };
+
+  // Depois de alterar relações ou links, recarrega os dados e redesenha a
+  // lista do item que continua em edição.
+  const recarregarEdicao = async (response, lista, render) => {
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      alert(
+        body.error ||
+          (body.errors || []).map((e) => e.message).join("\n") ||
+          "Erro ao salvar."
+      );
+      return false;
+    }
+
+    const id = editState.id;
+    await carregarTudo();
+    const item = lista().find((i) => i.id == id);
+    if (item && editState.id == id) render(item);
+    return true;
+  };
+
+  const atualizarRelacoes = (response) =>
+    recarregarEdicao(response, () => allNormas, renderRelacoesNorma);
+
+  // Funções de Links das Modalidades (ver backend/links.js)
+  const ROTULOS_LINK = {
+    calculadora: "Calculadora",
+    formulario: "Formulário",
+    modelo_documento: "Modelo de documento",
+  };
+
+  const renderLinksModalidade = (modalidade) => {
+    document.getElementById("modalidade-links").hidden = false;
+
+    document.getElementById("modalidade-links-lista").innerHTML =
+      modalidade.links
+        .map(
+          (l) =>
+            `<li><span>${ROTULOS_LINK[l.tipo]}: <a href="${escapeHtml(
+              l.url
+            )}" target="_blank">${escapeHtml(
+              l.rotulo
+            )}</a></span><button type="button" class="delete-btn" data-link="${
+              l.id
+            }">X</button></li>`
+        )
+        .join("") || "<li>Nenhum link cadastrado.</li>";
+  };
+
+  const atualizarLinks = (response) =>
+    recarregarEdicao(response, () => allModalidades, renderLinksModalidade);
+
+  // Funções de Anexos de Normas e Modalidades (ver backend/anexos.js)
+  const PREFIXOS_ANEXO = { normas: "norma", modalidades: "modalidade" };
+  const MIME_ANEXO = {
+    pdf: "application/pdf",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  };
+
+  const formatarTamanho = (bytes) =>
+    bytes < 1024 * 1024
+      ? `${Math.ceil(bytes / 1024)} KB`
+      : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+  const renderAnexos = (type, item) => {
+    const prefixo = PREFIXOS_ANEXO[type];
+    document.getElementById(`${prefixo}-anexos`).hidden = false;
+
+    document.getElementById(`${prefixo}-anexos-lista`).innerHTML =
+      item.anexos
+        .map(
+          (a) =>
+            `<li><span><a href="#" data-baixar="${
+              a.id
+            }" data-nome="${escapeHtml(a.nome_arquivo)}">${escapeHtml(
+              a.nome_arquivo
+            )}</a> (${formatarTamanho(
+              a.tamanho
+            )})</span><button type="button" class="delete-btn" data-anexo="${
+              a.id
+            }">X</button></li>`
+        )
+        .join("") || "<li>Nenhum anexo enviado.</li>";
+  };
+
+  const LISTAS_ANEXO = {
+    normas: () => allNormas,
+    modalidades: () => allModalidades,
+  };
+
+  const atualizarAnexos = (type, response) =>
+    recarregarEdicao(response, LISTAS_ANEXO[type], (item) =>
+      renderAnexos(type, item)
+    );
+
+  // O download passa pela rota de pré-visualização, que aceita rascunhos
+  const baixarAnexo = async (id, nome) => {
+    const response = checkAuth(
+      await fetch(`${API_BASE_URL}/previa/anexos/${id}`, {
+        headers: authHeaders(),
+      })
+    );
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      alert(body.error || "Erro ao baixar o anexo.");
+      return;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = nome;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Funções de Erros de Validação
+  // O backend responde { errors: [{ field, message }] }; cada field corresponde
+  // a um input "<prefixo>-<field>" do formulário (tipo_id usa o select de tipo).
+  const campoDoErro = (form, field) => {
+    const prefix = form.id.split("-")[0];
+    const id =
+      field === "tipo_id"
+        ? `${prefix}-tipo-select`
+        : `${prefix}-${field.replace(/_/g, "-")}`;
+    return form.elements[id];
+  };
+
+  const limparErros = (form) => {
+    form
+      .querySelectorAll(".campo-invalido")
+      .forEach((el) => el.classList.remove("campo-invalido"));
+    form.querySelectorAll(".campo-erro").forEach((el) => el.remove());
+  };
+
+  const exibirErros = async (form, response) => {
+    limparErros(form);
+    const body = await response.json().catch(() => ({}));
+
+    if (!body.errors) {
+      alert(body.error || "Erro ao salvar o item.");
+      return;
+    }
+
+    body.errors.forEach(({ field, message }) => {
+      const campo = campoDoErro(form, field);
+      if (!campo) return;
+
+      campo.classList.add("campo-invalido");
+      const aviso = document.createElement("p");
+      aviso.className = "campo-erro";
+      aviso.textContent = message;
+      campo.insertAdjacentElement("afterend", aviso);
+    });
+
+    const primeiroInvalido = form.querySelector(".campo-invalido");
+    if (primeiroInvalido) primeiroInvalido.focus();
+  };
+
   const populateFormForEdit = (type, id) => {
     const form = forms[type];
 
@@ -118,6 +761,8 @@ document.addEventListener("DOMContentLoaded", () => {
       normas: allNormas,
       tipos: allTipos,
       modalidades: allModalidades,
+      usuarios: allUsuarios,
+      perguntas: allPerguntas,
     };
 
     const item = dataMap[type].find((i) => i.id == id);
@@ -131,7 +776,11 @@ document.addEventListener("DOMContentLoaded", () => {
       "norma-nome": "nome",
       "norma-link": "link",
       "norma-preambulo": "preambulo",
+      "norma-data-publicacao": "data_publicacao",
+      "norma-inicio-vigencia": "inicio_vigencia",
+      "norma-situacao": "situacao",
       "tipo-nome": "nome",
+      "tipo-camadas-mapa": "camadas_mapa",
       "modalidade-tipo-select": "tipo_id",
       "modalidade-nome": "nome",
       "modalidade-proporcao": "proporcao",
@@ -141,24 +790,46 @@ document.addEventListener("DOMContentLoaded", () => {
       "modalidade-desvantagens": "desvantagens",
       "modalidade-observacao": "observacao",
       "modalidade-documentos": "documentos",
+      "modalidade-camadas-mapa": "camadas_mapa",
+      "usuario-email": "email",
+      "usuario-nome": "nome",
+      "usuario-papel": "papel",
+      "pergunta-texto": "texto",
+      "pergunta-ajuda": "ajuda",
+      "pergunta-ordem": "ordem",
     };
 
     for (const element of form.elements) {
       const dataKey = fieldMapping[element.id];
 
       if (dataKey) {
-        element.value = item[dataKey] || "";
+        element.value = item[dataKey] ?? "";
       }
     }
 
     if (type === "tipos") {
-      const ids = (item.norma_ids || "").split(",");
+      const ids = (item.norma_ids || []).map(String);
 
       form
         .querySelectorAll("#tipo-normas-checkboxes input")
         .forEach((cb) => (cb.checked = ids.includes(cb.value)));
     }
 
+    if (type === "perguntas") {
+      const ids = item.tipo_ids.map(String);
+
+      form
+        .querySelectorAll("#pergunta-tipos-checkboxes input")
+        .forEach((cb) => (cb.checked = ids.includes(cb.value)));
+    }
+
+    if (type === "normas") renderRelacoesNorma(item);
+    if (PREFIXOS_ANEXO[type]) renderAnexos(type, item);
+    if (type === "modalidades") {
+      preencherRegraProporcao(form, item);
+      renderLinksModalidade(item);
+    }
+
     form.querySelector('button[type="submit"]').textContent = "Atualizar";
     const cancelButton = document.createElement("button");
     cancelButton.type = "button";
@@ -173,14 +844,28 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       [{ data: allNormas }, { data: allTipos }, { data: allModalidades }] =
         await Promise.all([
-          fetchData("normas"),
-          fetchData("tipos"),
-          fetchData("modalidades"),
+          // Versões de trabalho, com rascunhos e alterações ainda não publicadas
+          fetchData("previa/normas"),
+          fetchData("previa/tipos"),
+          fetchData("previa/modalidades"),
         ]);
+      ({ data: lixeira } = await fetchData("lixeira"));
+      ({ data: allPerguntas } = await fetchData("perguntas"));
+      ({ data: verificacaoLinks } = await fetchData("verificacao-links"));
+      ({ data: assinaturas } = await fetchData("assinaturas"));
 
       renderNormas();
       renderTipos();
       renderModalidades();
+      renderLixeira();
+      renderPerguntas();
+      renderVerificacaoLinks();
+      renderAssinaturas();
+
+      if (usuarioAtual && usuarioAtual.papel === "admin") {
+        ({ data: allUsuarios } = await fetchData("usuarios"));
+        renderUsuarios();
+      }
     } catch (error) {
       alert("Não foi possível carregar os dados do servidor.");
     }
@@ -198,11 +883,15 @@ document.addEventListener("DOMContentLoaded", () => {
         nome: form.elements["norma-nome"].value,
         link: form.elements["norma-link"].value,
         preambulo: form.elements["norma-preambulo"].value,
+        data_publicacao: form.elements["norma-data-publicacao"].value,
+        inicio_vigencia: form.elements["norma-inicio-vigencia"].value,
+        situacao: form.elements["norma-situacao"].value,
       };
 
     if (type === "tipos") {
       data = {
         nome: form.elements["tipo-nome"].value,
+        camadas_mapa: form.elements["tipo-camadas-mapa"].value,
       };
 
       const normasAssociadas = Array.from(
@@ -214,21 +903,22 @@ document.addEventListener("DOMContentLoaded", () => {
       if (response.ok) {
         const tipoId = editState.id || (await response.json()).id;
 
-        // Create associations with normas
-        await Promise.all(
-          normasAssociadas.map(async (normaId) => {
-            await sendData("normas-tipos-compensacao", {
-              tipo_id: tipoId,
-              norma_id: normaId,
-            });
-          })
-        );
+        // Substitui o conjunto de normas vinculadas (desmarcadas são removidas)
+        const normasResponse = await putData(`tipos/${tipoId}/normas`, {
+          norma_ids: normasAssociadas,
+        });
+
+        if (!normasResponse.ok) {
+          alert("Tipo salvo, mas houve erro ao vincular as normas.");
+          carregarTudo();
+          return;
+        }
 
         alert(`Item ${editState.id ? "atualizado" : "salvo"} com sucesso!`);
         resetForm(form);
         carregarTudo();
       } else {
-        alert("Erro ao salvar o item.");
+        await exibirErros(form, response);
       }
 
       return;
@@ -239,12 +929,32 @@ document.addEventListener("DOMContentLoaded", () => {
         tipo_id: form.elements["modalidade-tipo-select"].value,
         nome: form.elements["modalidade-nome"].value,
         proporcao: form.elements["modalidade-proporcao"].value,
+        proporcao_regra: lerRegraProporcao(form),
         forma: form.elements["modalidade-forma"].value,
         especificidades: form.elements["modalidade-especificidades"].value,
         vantagens: form.elements["modalidade-vantagens"].value,
         desvantagens: form.elements["modalidade-desvantagens"].value,
         observacao: form.elements["modalidade-observacao"].value,
         documentos: form.elements["modalidade-documentos"].value,
+        camadas_mapa: form.elements["modalidade-camadas-mapa"].value,
+      };
+
+    if (type === "usuarios")
+      data = {
+        email: form.elements["usuario-email"].value,
+        nome: form.elements["usuario-nome"].value,
+        senha: form.elements["usuario-senha"].value,
+        papel: form.elements["usuario-papel"].value,
+      };
+
+    if (type === "perguntas")
+      data = {
+        texto: form.elements["pergunta-texto"].value,
+        ajuda: form.elements["pergunta-ajuda"].value,
+        ordem: form.elements["pergunta-ordem"].value,
+        tipo_ids: Array.from(
+          form.querySelectorAll("#pergunta-tipos-checkboxes input:checked")
+        ).map((checkbox) => Number(checkbox.value)),
       };
 
     const response = await sendData(type, data, editState.id);
@@ -254,14 +964,509 @@ document.addEventListener("DOMContentLoaded", () => {
       resetForm(form);
       carregarTudo();
     } else {
-      alert("Erro ao salvar o item.");
+      await exibirErros(form, response);
+    }
+  };
+
+  // Funções de Importação/Exportação em Planilha
+  // A importação é feita em dois passos: a prévia (sem gravar nada) e, se não
+  // houver erros, a confirmação, que aplica tudo em uma única transação.
+  const MIME_PLANILHA = {
+    csv: "text/csv",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  };
+
+  const escapeHtml = (valor) =>
+    String(valor ?? "").replace(
+      /[&<>"']/g,
+      (c) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[c])
+    );
+
+  const enviarPlanilha = async (confirmar) => {
+    const form = document.getElementById("planilha-form");
+    const arquivo = form.elements["planilha-arquivo"].files[0];
+    const entidade = form.elements["planilha-entidade"].value;
+    const extensao = arquivo.name.split(".").pop().toLowerCase();
+
+    return checkAuth(
+      await fetch(
+        `${API_BASE_URL}/importacao/${entidade}${
+          confirmar ? "?confirmar=true" : ""
+        }`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": MIME_PLANILHA[extensao] || MIME_PLANILHA.csv,
+            ...authHeaders(),
+          },
+          body: arquivo,
+        }
+      )
+    );
+  };
+
+  const renderPrevia = (plano) => {
+    const { resumo } = plano;
+    const item = ({ linha, dados, alteracoes }) =>
+      `<li>Linha ${linha}: ${escapeHtml(dados.nome)}${
+        alteracoes ? ` (${alteracoes.map(escapeHtml).join(", ")})` : ""
+      }</li>`;
+
+    const erros = plano.erros
+      .map(
+        ({ linha, nome, errors }) =>
+          `<li>Linha ${linha}${nome ? ` (${escapeHtml(nome)})` : ""}:
+            ${errors
+              .map(
+                (e) =>
+                  `<p class="campo-erro">${escapeHtml(e.field)}: ${escapeHtml(
+                    e.message
+                  )}</p>`
+              )
+              .join("")}</li>`
+      )
+      .join("");
+
+    document.getElementById("planilha-previa").innerHTML = `
+      <p><strong>${resumo.criar}</strong> a criar, <strong>${
+      resumo.atualizar
+    }</strong> a atualizar, ${resumo.inalterados} sem alteração, <strong>${
+      resumo.erros
+    }</strong> com erro.</p>
+      ${
+        plano.criar.length
+          ? `<h4>Criar</h4><ul>${plano.criar.map(item).join("")}</ul>`
+          : ""
+      }
+      ${
+        plano.atualizar.length
+          ? `<h4>Atualizar</h4><ul>${plano.atualizar.map(item).join("")}</ul>`
+          : ""
+      }
+      ${erros ? `<h4>Erros</h4><ul>${erros}</ul>` : ""}`;
+  };
+
+  const importarPlanilha = async (confirmar) => {
+    const erro = document.getElementById("planilha-erro");
+    const botaoConfirmar = document.getElementById("planilha-confirmar");
+    erro.textContent = "";
+    botaoConfirmar.disabled = true;
+
+    const response = await enviarPlanilha(confirmar);
+    const body = await response.json().catch(() => ({}));
+
+    if (!body.resumo) {
+      erro.textContent = body.error || "Não foi possível ler a planilha.";
+      return;
+    }
+
+    renderPrevia(body);
+
+    if (body.confirmado) {
+      alert("Importação concluída com sucesso!");
+      document.getElementById("planilha-form").reset();
+      carregarTudo();
+      return;
+    }
+
+    if (body.resumo.erros > 0) {
+      erro.textContent = "Corrija os erros na planilha antes de importar.";
+    } else {
+      botaoConfirmar.disabled = body.resumo.criar + body.resumo.atualizar === 0;
+    }
+  };
+
+  // Os downloads exigem o token, então o arquivo é baixado via fetch.
+  const exportarPlanilha = async (entidade) => {
+    const response = checkAuth(
+      await fetch(`${API_BASE_URL}/exportacao/${entidade}`, {
+        headers: authHeaders(),
+      })
+    );
+    if (!response.ok) return alert("Não foi possível exportar a planilha.");
+
+    const nome =
+      (response.headers.get("Content-Disposition") || "").match(
+        /filename="(.+)"/
+      )?.[1] || entidade;
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = nome;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  document.getElementById("planilha-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    importarPlanilha(false);
+  });
+
+  document
+    .getElementById("planilha-confirmar")
+    .addEventListener("click", () => importarPlanilha(true));
+
+  // Qualquer troca de arquivo ou entidade exige uma nova prévia
+  document
+    .getElementById("planilha-form")
+    .addEventListener(
+      "change",
+      () => (document.getElementById("planilha-confirmar").disabled = true)
+    );
+
+  document
+    .querySelector(".planilha-exportar")
+    .addEventListener("click", (e) => {
+      const { exportar } = e.target.dataset;
+      if (exportar) exportarPlanilha(exportar);
+    });
+
+  // Funções de Histórico
+  // Cada revisão lista os campos alterados (antes → depois) e pode ser restaurada.
+  const historicoDialog = document.getElementById("historico-dialog");
+  let historicoAtual = { type: null, id: null };
+
+  const ACOES_HISTORICO = {
+    criar: "Criação",
+    atualizar: "Alteração",
+    excluir: "Exclusão",
+    restaurar: "Restauração",
+    enviar_revisao: "Envio para revisão",
+    aprovar: "Aprovação",
+    rejeitar: "Rejeição",
+    descartar: "Descarte de alterações",
+  };
+
+  const formatarValor = (valor) =>
+    valor === null || valor === undefined || valor === ""
+      ? "<em>(vazio)</em>"
+      : escapeHtml(
+          Array.isArray(valor)
+            ? valor.join(", ")
+            : typeof valor === "object"
+            ? JSON.stringify(valor)
+            : valor
+        );
+
+  const renderHistorico = (revisoes) => {
+    document.getElementById("historico-lista").innerHTML =
+      revisoes
+        .map(
+          (r) => `<div class="historico-revisao">
+            <p><strong>${ACOES_HISTORICO[r.acao]}</strong> em ${new Date(
+            `${r.criado_em.replace(" ", "T")}Z`
+          ).toLocaleString("pt-BR")} por ${escapeHtml(
+            r.usuario || "desconhecido"
+          )}
+            <button type="button" class="restaurar-btn" data-revisao="${
+              r.id
+            }">Restaurar esta versão</button></p>
+            <table class="historico-diff">
+              <tr><th>Campo</th><th>Antes</th><th>Depois</th></tr>
+              ${r.alteracoes
+                .map(
+                  (a) =>
+                    `<tr><td>${escapeHtml(a.campo)}</td><td>${formatarValor(
+                      a.antes
+                    )}</td><td>${formatarValor(a.depois)}</td></tr>`
+                )
+                .join("")}
+            </table>
+          </div>`
+        )
+        .join("") || "<p>Nenhuma alteração registrada.</p>";
+  };
+
+  const abrirHistorico = async (type, id) => {
+    historicoAtual = { type, id };
+    const response = checkAuth(
+      await fetch(`${API_BASE_URL}/historico/${type}/${id}`, {
+        headers: authHeaders(),
+      })
+    );
+    if (!response.ok) return alert("Não foi possível carregar o histórico.");
+
+    const dataMap = {
+      normas: allNormas,
+      tipos: allTipos,
+      modalidades: allModalidades,
+    };
+    const item = dataMap[type].find((i) => i.id == id);
+    document.getElementById("historico-titulo").textContent = `Histórico: ${
+      item ? item.nome : `#${id}`
+    }`;
+
+    renderHistorico((await response.json()).data);
+    if (!historicoDialog.open) historicoDialog.showModal();
+  };
+
+  historicoDialog.addEventListener("click", async (e) => {
+    const { revisao } = e.target.dataset;
+    if (!revisao || !confirm("Restaurar o item para esta versão?")) return;
+
+    const { type, id } = historicoAtual;
+    const response = checkAuth(
+      await fetch(
+        `${API_BASE_URL}/historico/${type}/${id}/revisoes/${revisao}/restaurar`,
+        { method: "POST", headers: authHeaders() }
+      )
+    );
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const detalhes = (body.errors || [])
+        .map((erro) => `${erro.field}: ${erro.message}`)
+        .join("\n");
+      alert(`${body.error || "Erro ao restaurar a versão."}\n${detalhes}`);
+      return;
+    }
+
+    alert("Versão restaurada com sucesso!");
+    carregarTudo();
+    abrirHistorico(type, id);
+  });
+
+  document
+    .getElementById("historico-fechar")
+    .addEventListener("click", () => historicoDialog.close());
+
+  // Funções de Sessão
+  const iniciarSessao = (usuario) => {
+    usuarioAtual = usuario;
+    document.body.classList.remove("nao-autenticado");
+    document.body.classList.toggle("papel-admin", usuario.papel === "admin");
+    document.getElementById("usuario-logado").textContent = `${
+      usuario.nome || usuario.email
+    } (${usuario.papel})`;
+    carregarTudo();
+  };
+
+  const encerrarSessao = () => {
+    authToken = null;
+    usuarioAtual = null;
+    sessionStorage.removeItem("authToken");
+    document.body.classList.add("nao-autenticado");
+    document.body.classList.remove("papel-admin");
+  };
+
+  // Restaura a sessão salva, se o token ainda for válido.
+  const verificarSessao = async () => {
+    if (!authToken) return encerrarSessao();
+
+    const response = await fetch(`${API_BASE_URL}/auth/me`, {
+      headers: authHeaders(),
+    });
+
+    if (response.ok) {
+      iniciarSessao((await response.json()).data);
+    } else {
+      encerrarSessao();
     }
   };
 
+  document
+    .getElementById("login-form")
+    .addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const form = e.target;
+      const erro = document.getElementById("login-erro");
+      erro.textContent = "";
+
+      const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: form.elements["login-email"].value,
+          senha: form.elements["login-senha"].value,
+        }),
+      });
+      const body = await response.json();
+
+      if (!response.ok) {
+        erro.textContent = body.error || "Não foi possível entrar.";
+        return;
+      }
+
+      authToken = body.token;
+      sessionStorage.setItem("authToken", authToken);
+      form.reset();
+      iniciarSessao(body.usuario);
+    });
+
+  document.getElementById("logout-btn").addEventListener("click", async () => {
+    await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: "POST",
+      headers: authHeaders(),
+    });
+    encerrarSessao();
+  });
+
   Object.values(forms).forEach((form) =>
     form.addEventListener("submit", handleFormSubmit)
   );
 
+  document
+    .getElementById("norma-relacao-adicionar")
+    .addEventListener("click", async () => {
+      const response = checkAuth(
+        await fetch(`${API_BASE_URL}/normas/${editState.id}/relacoes`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...authHeaders() },
+          body: JSON.stringify({
+            tipo: document.getElementById("norma-relacao-tipo").value,
+            norma_relacionada_id: Number(
+              document.getElementById("norma-relacao-alvo").value
+            ),
+          }),
+        })
+      );
+      atualizarRelacoes(response);
+    });
+
+  document
+    .getElementById("norma-relacoes-lista")
+    .addEventListener("click", async (e) => {
+      const { norma, relacao } = e.target.dataset;
+      if (!relacao || !confirm("Remover esta relação?")) return;
+
+      const response = checkAuth(
+        await fetch(`${API_BASE_URL}/normas/${norma}/relacoes/${relacao}`, {
+          method: "DELETE",
+          headers: authHeaders(),
+        })
+      );
+      atualizarRelacoes(response);
+    });
+
+  document
+    .getElementById("modalidade-link-adicionar")
+    .addEventListener("click", async () => {
+      const campos = {
+        rotulo: document.getElementById("modalidade-link-rotulo"),
+        url: document.getElementById("modalidade-link-url"),
+        tipo: document.getElementById("modalidade-link-tipo"),
+      };
+      const response = checkAuth(
+        await fetch(`${API_BASE_URL}/modalidades/${editState.id}/links`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...authHeaders() },
+          body: JSON.stringify({
+            rotulo: campos.rotulo.value,
+            url: campos.url.value,
+            tipo: campos.tipo.value,
+          }),
+        })
+      );
+      if (await atualizarLinks(response)) {
+        campos.rotulo.value = "";
+        campos.url.value = "";
+      }
+    });
+
+  document
+    .getElementById("modalidade-links-lista")
+    .addEventListener("click", async (e) => {
+      const { link } = e.target.dataset;
+      if (!link || !confirm("Remover este link?")) return;
+
+      const response = checkAuth(
+        await fetch(
+          `${API_BASE_URL}/modalidades/${editState.id}/links/${link}`,
+          { method: "DELETE", headers: authHeaders() }
+        )
+      );
+      atualizarLinks(response);
+    });
+
+  document
+    .getElementById("verificar-links-btn")
+    .addEventListener("click", async (e) => {
+      e.target.disabled = true;
+      e.target.textContent = "Verificando...";
+      await verificarLinks();
+      e.target.disabled = false;
+      e.target.textContent = "Verificar todos agora";
+    });
+
+  document
+    .getElementById("enviar-avisos-btn")
+    .addEventListener("click", async (e) => {
+      e.target.disabled = true;
+      const response = checkAuth(
+        await fetch(`${API_BASE_URL}/notificacoes/enviar`, {
+          method: "POST",
+          headers: authHeaders(),
+        })
+      );
+      const body = await response.json().catch(() => ({}));
+      alert(
+        response.ok
+          ? `${body.enviados} resumo(s) enviado(s), ${body.falhas} falha(s).`
+          : body.error || "Erro ao enviar os resumos."
+      );
+      e.target.disabled = false;
+      ({ data: assinaturas } = await fetchData("assinaturas"));
+      renderAssinaturas();
+    });
+
+  Object.entries(PREFIXOS_ANEXO).forEach(([type, prefixo]) => {
+    const arquivoInput = document.getElementById(`${prefixo}-anexo-arquivo`);
+
+    document
+      .getElementById(`${prefixo}-anexo-enviar`)
+      .addEventListener("click", async () => {
+        const arquivo = arquivoInput.files[0];
+        if (!arquivo) {
+          alert("Selecione um arquivo PDF ou DOCX.");
+          return;
+        }
+
+        const extensao = arquivo.name.split(".").pop().toLowerCase();
+        const response = checkAuth(
+          await fetch(
+            `${API_BASE_URL}/${type}/${
+              editState.id
+            }/anexos?nome=${encodeURIComponent(arquivo.name)}`,
+            {
+              method: "POST",
+              headers: {
+                "Content-Type": MIME_ANEXO[extensao] || arquivo.type,
+                ...authHeaders(),
+              },
+              body: arquivo,
+            }
+          )
+        );
+        if (await atualizarAnexos(type, response)) arquivoInput.value = "";
+      });
+
+    document
+      .getElementById(`${prefixo}-anexos-lista`)
+      .addEventListener("click", async (e) => {
+        const { anexo, baixar, nome } = e.target.dataset;
+
+        if (baixar) {
+          e.preventDefault();
+          baixarAnexo(baixar, nome);
+        }
+        if (!anexo || !confirm("Remover este anexo?")) return;
+
+        const response = checkAuth(
+          await fetch(`${API_BASE_URL}/anexos/${anexo}`, {
+            method: "DELETE",
+            headers: authHeaders(),
+          })
+        );
+        atualizarAnexos(type, response);
+      });
+  });
+
   document
     .querySelector(".admin-container")
     .addEventListener("click", async (e) => {
@@ -273,13 +1478,64 @@ document.addEventListener("DOMContentLoaded", () => {
         populateFormForEdit(type, id);
       }
 
+      if (button.classList.contains("historico-btn")) {
+        abrirHistorico(type, id);
+      }
+
+      if (button.classList.contains("revisao-btn")) {
+        executarRevisao(type, id, "enviar-revisao");
+      }
+
+      if (button.classList.contains("aprovar-btn")) {
+        executarRevisao(type, id, "aprovar");
+      }
+
+      if (button.classList.contains("rejeitar-btn")) {
+        executarRevisao(type, id, "rejeitar");
+      }
+
+      if (button.classList.contains("descartar-btn")) {
+        executarRevisao(type, id, "descartar");
+      }
+
+      if (button.classList.contains("previa-btn")) {
+        preVisualizar(id);
+      }
+
+      if (button.classList.contains("verificar-link-btn")) {
+        button.disabled = true;
+        verificarLinks(id);
+      }
+
+      if (button.classList.contains("restaurar-lixeira-btn")) {
+        restaurarDaLixeira(type, id);
+      }
+
+      if (
+        button.classList.contains("excluir-definitivo-btn") &&
+        confirm(
+          "Excluir este item definitivamente? Não será possível desfazer."
+        )
+      ) {
+        excluirDefinitivamente(type, id);
+      }
+
       if (
         button.classList.contains("delete-btn") &&
-        confirm("Tem certeza que deseja deletar este item?")
+        confirm(
+          // Usuários, perguntas e assinaturas não vão para a lixeira
+          ["usuarios", "perguntas", "assinaturas"].includes(type)
+            ? "Tem certeza que deseja deletar este item?"
+            : "Mover este item para a lixeira?"
+        )
       ) {
         const response = await deleteData(type, id);
         if (response.ok) {
-          alert("Item deletado com sucesso!");
+          alert(
+            ["usuarios", "perguntas", "assinaturas"].includes(type)
+              ? "Item deletado com sucesso!"
+              : "Item movido para a lixeira."
+          );
 
           if (editState.id == id) {
             const formType = editState.type;
@@ -292,5 +1548,5 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     });
 
-  carregarTudo();
+  verificarSessao();
 });
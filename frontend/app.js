@@ -3,7 +3,11 @@ document.addEventListener("DOMContentLoaded", async () => {
   const modalidadesList = document.getElementById("lista-modalidades");
   const detalhesDiv = document.getElementById("detalhes-modalidade");
   const normasDiv = document.getElementById("normas-relacionadas");
-  const siscalBtnContainer = document.getElementById("siscal-btn-container");
+  const linksDiv = document.getElementById("links-modalidade");
+  const buscaInput = document.getElementById("busca-input");
+  const resultadosBusca = document.getElementById("resultados-busca");
+  const mapaContainer = document.getElementById("mapa-container");
+  const calculadora = document.getElementById("calculadora");
 
   if (!tipoSelect) {
     console.error(
@@ -18,14 +22,60 @@ document.addEventListener("DOMContentLoaded", async () => {
     ? window.env.API_URL_PROD
     : window.env.API_URL_DEV;
 
+  // Pré-visualização aberta pelo painel administrativo (index.html?previa=1&tipo=&modalidade=):
+  // o catálogo vem das rotas /previa, com rascunhos, usando o token do editor logado.
+  const params = new URLSearchParams(window.location.search);
+  const emPrevia = params.get("previa") === "1";
+  const ROTAS_COM_PREVIA = /^(tipos|modalidades|normas)(\/|$)/;
+
+  // `modalidades` são só as do tipo selecionado (ver displayModalidades)
   let tipos = [],
     modalidades = [],
     normas = [];
 
+  // Criado só na primeira vez em que uma modalidade com camadas é aberta
+  let mapa = null;
+
+  // Camadas do SISEMA da modalidade; sem configuração própria, valem as do tipo
+  const exibirMapa = (modalidade, tipo) => {
+    const camadas = (modalidade.camadas_mapa || tipo.camadas_mapa || "")
+      .split(",")
+      .filter(Boolean);
+
+    if (camadas.length === 0 || !window.L) {
+      mapaContainer.style.display = "none";
+      return;
+    }
+
+    mapaContainer.style.display = "block";
+    if (!mapa)
+      mapa = window.criarMapaSisema(
+        document.getElementById("mapa"),
+        document.getElementById("mapa-status"),
+        API_BASE_URL
+      );
+    mapa
+      .exibirCamadas(camadas)
+      .catch((error) => console.error("Falha ao exibir o mapa:", error));
+  };
+
   const fetchData = async (endpoint) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/${endpoint}`);
+      const previa = emPrevia && ROTAS_COM_PREVIA.test(endpoint);
+      const response = await fetch(
+        `${API_BASE_URL}/${previa ? `previa/${endpoint}` : endpoint}`,
+        previa
+          ? {
+              headers: {
+                Authorization: `Bearer ${sessionStorage.getItem("authToken")}`,
+              },
+            }
+          : {}
+      );
       if (!response.ok) throw new Error(`Erro HTTP: ${response.status}`);
+      // Cópia guardada pelo service worker (sw.js) por falta de conexão
+      if (response.headers.get("X-Offline"))
+        exibirAvisoOffline(response.headers.get("X-Salvo-Em"));
       return (await response.json()).data;
     } catch (error) {
       console.error(`Falha ao buscar ${endpoint}:`, error);
@@ -34,10 +84,38 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   };
 
+  // --- Uso offline (ver sw.js) ---
+  // O aviso mostra a data dos dados guardados mais antigos em uso na página.
+  let avisoOffline = null;
+  let dadosOfflineDe = null;
+
+  const exibirAvisoOffline = (salvoEm) => {
+    const data = new Date(salvoEm);
+    if (dadosOfflineDe && dadosOfflineDe <= data) return;
+    dadosOfflineDe = data;
+
+    if (!avisoOffline) {
+      avisoOffline = document.createElement("p");
+      avisoOffline.className = "aviso-offline";
+      document.querySelector(".container").prepend(avisoOffline);
+    }
+    const quando = data.toLocaleString("pt-BR", {
+      dateStyle: "short",
+      timeStyle: "short",
+    });
+    avisoOffline.textContent = `Offline — dados de ${quando}`;
+  };
+
+  // Pede ao service worker os dados que a página ainda não buscou, para que
+  // também fiquem guardados (ex: as normas e as modalidades de cada tipo)
+  const guardarParaOffline = (endpoints) =>
+    endpoints.forEach((endpoint) =>
+      fetch(`${API_BASE_URL}/${endpoint}`).catch(() => {})
+    );
+
   const loadInitialData = async () => {
-    [tipos, modalidades, normas] = await Promise.all([
+    [tipos, normas] = await Promise.all([
       fetchData("tipos"),
-      fetchData("modalidades"),
       fetchData("normas"),
     ]);
 
@@ -51,21 +129,74 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   };
 
+  // Situação e relações das normas (ver backend/relacoes.js)
+  const situacoesNorma = { revogada: "Revogada", alterada: "Alterada" };
+  const relacoesPassivas = {
+    revoga: "Revogada por",
+    altera: "Alterada por",
+    regulamenta: "Regulamentada por",
+  };
+
+  // Anexos PDF/DOCX das normas e modalidades (ver backend/anexos.js). Na
+  // pré-visualização o download usa a rota /previa, que aceita rascunhos.
+  const baixarAnexoPrevia = async (anexo) => {
+    const response = await fetch(`${API_BASE_URL}/previa/anexos/${anexo.id}`, {
+      headers: {
+        Authorization: `Bearer ${sessionStorage.getItem("authToken")}`,
+      },
+    });
+    if (!response.ok) return;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = anexo.nome_arquivo;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const criarListaAnexos = (anexos) => {
+    const lista = document.createElement("ul");
+    lista.className = "lista-anexos";
+
+    anexos.forEach((anexo) => {
+      const li = document.createElement("li");
+      const a = document.createElement("a");
+      a.href = `${API_BASE_URL}/anexos/${anexo.id}`;
+      a.download = anexo.nome_arquivo;
+      a.textContent = anexo.nome_arquivo;
+      if (emPrevia)
+        a.addEventListener("click", (e) => {
+          e.preventDefault();
+          baixarAnexoPrevia(anexo);
+        });
+      li.appendChild(a);
+      li.append(` (${anexo.tipo_mime === "application/pdf" ? "PDF" : "DOCX"})`);
+      lista.appendChild(li);
+    });
+    return lista;
+  };
+
+  // "2009-09-18" -> "18/09/2009"
+  const formatarData = (data) => data.split("-").reverse().join("/");
+
   const displayModalidades = async (tipoId) => {
     detalhesDiv.style.display = "none";
+    mapaContainer.style.display = "none";
+    comparacaoResultado.style.display = "none";
     modalidadesList.innerHTML = "";
 
-    // Always hide button here
-    siscalBtnContainer.style.display = "none";
-    siscalBtnContainer.innerHTML = "";
+    linksDiv.style.display = "none";
+    linksDiv.innerHTML = "";
 
-    const filteredModalidades = modalidades.filter((m) => m.tipo_id == tipoId);
-    if (filteredModalidades.length === 0) {
+    modalidades = tipoId
+      ? await fetchData(`modalidades?tipo_id=${tipoId}`)
+      : [];
+    if (modalidades.length === 0) {
       if (tipoId)
         modalidadesList.innerHTML =
           "<li>Nenhuma modalidade encontrada para este tipo.</li>";
     } else {
-      filteredModalidades.forEach((modalidade) => {
+      modalidades.forEach((modalidade) => {
         const li = document.createElement("li");
         li.textContent = modalidade.nome;
         li.dataset.id = modalidade.id;
@@ -76,14 +207,19 @@ document.addEventListener("DOMContentLoaded", async () => {
             .forEach((item) => item.classList.remove("active"));
           li.classList.add("active");
           displayDetalhes(modalidade.id);
+          atualizarEndereco(tipoId, modalidade.id);
         });
 
         modalidadesList.appendChild(li);
       });
     }
 
+    prepararCalculadora(modalidades);
+    prepararComparacao(modalidades);
+
     if (!tipoId) {
       normasDiv.style.display = "none";
+      avisos.style.display = "none";
       return;
     }
 
@@ -103,12 +239,51 @@ document.addEventListener("DOMContentLoaded", async () => {
         a.textContent = norma.nome;
         a.target = "_blank";
         li.appendChild(a);
+
+        if (norma.situacao && norma.situacao !== "vigente") {
+          const badge = document.createElement("span");
+          badge.className = `norma-situacao situacao-${norma.situacao}`;
+          badge.textContent = situacoesNorma[norma.situacao];
+          li.appendChild(badge);
+        }
+
+        // Normas que revogaram, alteraram ou regulamentaram esta
+        (norma.relacoes || [])
+          .filter((relacao) => relacao.sentido === "passiva")
+          .forEach((relacao) => {
+            const p = document.createElement("p");
+            p.className = "norma-relacao";
+            p.textContent = `${relacoesPassivas[relacao.tipo]} `;
+            const link = document.createElement(relacao.link ? "a" : "span");
+            if (relacao.link) {
+              link.href = relacao.link;
+              link.target = "_blank";
+            }
+            link.textContent = relacao.nome;
+            p.appendChild(link);
+            li.appendChild(p);
+          });
+
+        if (norma.inicio_vigencia) {
+          const vigencia = document.createElement("p");
+          vigencia.className = "norma-relacao";
+          vigencia.textContent = `Vigência a partir de ${formatarData(
+            norma.inicio_vigencia
+          )}`;
+          li.appendChild(vigencia);
+        }
+
+        if (norma.anexos && norma.anexos.length > 0)
+          li.appendChild(criarListaAnexos(norma.anexos));
+
         normasListUl.appendChild(li);
       });
       normasDiv.style.display = "block";
     } else {
       normasDiv.style.display = "none";
     }
+
+    prepararAvisos(tipo, normasRelacionadas);
   };
 
   const displayDetalhes = (modalidadeId) => {
@@ -137,27 +312,767 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
 
     detalhesDiv.innerHTML = detalhesHtml;
+    if (modalidade.anexos && modalidade.anexos.length > 0) {
+      const titulo = document.createElement("strong");
+      titulo.textContent = "Modelos e Documentos para Download:";
+      detalhesDiv.append(titulo, criarListaAnexos(modalidade.anexos));
+    }
+    // O dossiê é gerado a partir da versão publicada (ver backend/dossie.js)
+    if (modalidade.publicado_em)
+      detalhesDiv.appendChild(criarDossie(modalidade));
     detalhesDiv.style.display = "block";
+    comparacaoResultado.style.display = "none";
+
+    displayLinks(modalidade.links || []);
+    exibirMapa(modalidade, tipo);
+  };
+
+  // Botões para baixar a orientação da modalidade em PDF ou DOCX
+  const criarDossie = (modalidade) => {
+    const div = document.createElement("div");
+    div.className = "dossie";
+    div.append("Baixar dossiê: ");
+    ["pdf", "docx"].forEach((formato) => {
+      const a = document.createElement("a");
+      a.href = `${API_BASE_URL}/modalidades/${modalidade.id}/dossie?formato=${formato}`;
+      a.className = "dossie-botao";
+      a.textContent = formato.toUpperCase();
+      div.appendChild(a);
+    });
+    return div;
+  };
+
+  // --- Avisos de alteração (ver backend/notificacoes.js) ---
+  const avisos = document.getElementById("avisos");
+  const avisosAlvo = document.getElementById("avisos-alvo");
+  const avisosCanal = document.getElementById("avisos-canal");
+  const avisosDestino = document.getElementById("avisos-destino");
+  const avisosResultado = document.getElementById("avisos-resultado");
+  const avisosFeed = document.getElementById("avisos-feed");
+
+  // O tipo selecionado e cada uma das suas normas podem ser acompanhados.
+  // Na pré-visualização o painel fica oculto: rascunhos não podem ser assinados.
+  const prepararAvisos = (tipo, normasDoTipo) => {
+    avisos.style.display = emPrevia ? "none" : "block";
+    avisosResultado.textContent = "";
+    avisosAlvo.innerHTML = "";
+    avisosAlvo.add(new Option(`Tipo: ${tipo.nome}`, `tipo_id:${tipo.id}`));
+    normasDoTipo.forEach((norma) =>
+      avisosAlvo.add(new Option(`Norma: ${norma.nome}`, `norma_id:${norma.id}`))
+    );
+    avisosFeed.href = `${API_BASE_URL}/novidades.atom?tipo_id=${tipo.id}`;
+  };
+
+  avisosCanal.addEventListener("change", () => {
+    avisosDestino.placeholder =
+      avisosCanal.value === "email" ? "seu@email.com" : "https://...";
+  });
+
+  document
+    .getElementById("avisos-form")
+    .addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const [campo, id] = avisosAlvo.value.split(":");
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/assinaturas`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            canal: avisosCanal.value,
+            destino: avisosDestino.value,
+            [campo]: Number(id),
+          }),
+        });
+        const resposta = await response.json();
+
+        if (!response.ok) {
+          avisosResultado.textContent = resposta.errors
+            ? resposta.errors.map((erro) => erro.message).join(" ")
+            : resposta.error;
+          return;
+        }
+        // O e-mail só recebe avisos depois de confirmar a assinatura
+        avisosResultado.textContent =
+          avisosCanal.value === "email"
+            ? resposta.message
+            : "Assinatura cadastrada. Cada aviso traz um link para cancelá-la.";
+        avisosDestino.value = "";
+      } catch (error) {
+        console.error("Falha ao assinar os avisos:", error);
+        avisosResultado.textContent =
+          "Não foi possível cadastrar a assinatura.";
+      }
+    });
+
+  // Links cadastrados no painel para a modalidade (ver backend/links.js)
+  const tiposLink = {
+    calculadora: "Calculadora",
+    formulario: "Formulário",
+    modelo_documento: "Modelo de documento",
+  };
 
-    // Show button ONLY if SNUC and Pagamento are selected
-    siscalBtnContainer.style.display = "none";
-    siscalBtnContainer.innerHTML = "";
+  const displayLinks = (links) => {
+    linksDiv.innerHTML = "";
+    linksDiv.style.display = links.length > 0 ? "flex" : "none";
 
-    if (
-      tipo &&
-      tipo.nome.trim().toUpperCase() === "SNUC" &&
-      modalidade.nome.trim().toUpperCase() === "PAGAMENTO"
-    ) {
-      siscalBtnContainer.innerHTML = `
-        <a href="https://siscal.netlify.app/" target="_blank" class="siscal-btn" style="display:inline-block;padding:10px 20px;background:#1976d2;color:#fff;border:none;border-radius:4px;text-decoration:none;font-weight:bold;">Cálculo de Compensação</a>
-      `;
-      siscalBtnContainer.style.display = "block";
+    links.forEach((link) => {
+      const a = document.createElement("a");
+      a.href = link.url;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.className = `link-modalidade link-${link.tipo}`;
+      a.title = tiposLink[link.tipo];
+      a.textContent = link.rotulo;
+      linksDiv.appendChild(a);
+    });
+  };
+
+  // Seleciona um tipo e abre os detalhes de uma de suas modalidades
+  const selecionarModalidade = async (tipoId, modalidadeId) => {
+    tipoSelect.value = tipoId;
+    await displayModalidades(tipoId);
+    const li = modalidadesList.querySelector(`li[data-id="${modalidadeId}"]`);
+    if (li) li.click();
+  };
+
+  // --- Endereço compartilhável (ex: ?tipo=snuc&modalidade=doacao-de-area-em-uc) ---
+  // A seleção fica na URL, com os slugs do backend (ver backend/slugs.js), para
+  // que recarregar a página, voltar/avançar e links enviados a colegas a restaurem.
+  // Ids numéricos também são aceitos (ex: os links de pré-visualização do painel).
+  const tituloOriginal = document.title;
+  let restaurando = false;
+
+  const buscarNaLista = (lista, valor) =>
+    valor
+      ? lista.find((r) => r.slug === valor || String(r.id) === valor)
+      : null;
+
+  const atualizarEndereco = (tipoId, modalidadeId) => {
+    const tipo = tipos.find((t) => t.id == tipoId);
+    const modalidade = modalidades.find((m) => m.id == modalidadeId);
+    const url = new URL(window.location.href);
+
+    for (const [param, registro] of [
+      ["tipo", tipo],
+      ["modalidade", modalidade],
+    ]) {
+      if (registro) url.searchParams.set(param, registro.slug || registro.id);
+      else url.searchParams.delete(param);
+    }
+    document.title = [modalidade?.nome, tipo?.nome, tituloOriginal]
+      .filter(Boolean)
+      .join(" - ");
+
+    if (url.href === window.location.href) return;
+    // Ao restaurar, só normaliza a URL (ex: id -> slug) sem criar outra entrada no histórico
+    history[restaurando ? "replaceState" : "pushState"](null, "", url);
+  };
+
+  // Uma modalidade que mudou de tipo não está entre as do tipo do endereço, mas
+  // continua sendo encontrada pelo próprio slug (ver backend/slugs.js)
+  const localizarPeloSlug = async (slugTipo, valor) => {
+    if (emPrevia) return null;
+    const caminho = [slugTipo || "-", valor].map(encodeURIComponent).join("/");
+    try {
+      const response = await fetch(`${API_BASE_URL}/slugs/${caminho}`);
+      if (!response.ok) return null;
+      const { data } = await response.json();
+      const tipo = tipos.find((t) => t.id == data.tipo.id);
+      return tipo
+        ? { tipoId: tipo.id, modalidadeId: data.modalidade.id }
+        : null;
+    } catch (error) {
+      console.error("Falha ao localizar a modalidade do endereço:", error);
+      return null;
     }
   };
 
-  tipoSelect.addEventListener("change", () =>
-    displayModalidades(tipoSelect.value)
+  const restaurarDoEndereco = async () => {
+    const atual = new URLSearchParams(window.location.search);
+    const tipo = buscarNaLista(tipos, atual.get("tipo"));
+    const valor = atual.get("modalidade");
+
+    restaurando = true;
+    try {
+      tipoSelect.value = tipo ? tipo.id : "";
+      await displayModalidades(tipoSelect.value);
+
+      const modalidade = buscarNaLista(modalidades, valor);
+      const movida =
+        valor && !modalidade
+          ? await localizarPeloSlug(atual.get("tipo"), valor)
+          : null;
+
+      if (modalidade) {
+        modalidadesList.querySelector(`li[data-id="${modalidade.id}"]`).click();
+      } else if (movida) {
+        await selecionarModalidade(movida.tipoId, movida.modalidadeId);
+      } else {
+        atualizarEndereco(tipoSelect.value, null);
+      }
+    } finally {
+      restaurando = false;
+    }
+  };
+
+  window.addEventListener("popstate", restaurarDoEndereco);
+
+  // --- Busca em normas e modalidades (/api/v2/busca) ---
+  const displayResultadosBusca = (resultados) => {
+    resultadosBusca.innerHTML = "";
+
+    if (resultados.length === 0) {
+      resultadosBusca.innerHTML = "<li>Nenhum resultado encontrado.</li>";
+    }
+
+    resultados.forEach((resultado) => {
+      const li = document.createElement("li");
+      // nome_destacado e trecho já chegam com <mark> nos termos encontrados
+      li.innerHTML = `<span class="busca-entidade">${resultado.entidade}</span>
+        <strong>${resultado.nome_destacado}</strong>
+        <span class="busca-trecho">${resultado.trecho}</span>`;
+
+      li.addEventListener("click", () => {
+        if (resultado.entidade === "modalidade") {
+          resultadosBusca.style.display = "none";
+          selecionarModalidade(resultado.tipo_id, resultado.id);
+        } else if (resultado.link) {
+          window.open(resultado.link, "_blank");
+        }
+      });
+
+      resultadosBusca.appendChild(li);
+    });
+
+    resultadosBusca.style.display = "block";
+  };
+
+  let buscaTimeout;
+  buscaInput.addEventListener("input", () => {
+    clearTimeout(buscaTimeout);
+    const termo = buscaInput.value.trim();
+
+    if (termo.length < 2) {
+      resultadosBusca.style.display = "none";
+      return;
+    }
+
+    // Aguarda o usuário parar de digitar antes de consultar o servidor
+    buscaTimeout = setTimeout(async () => {
+      const resultados = await fetchData(
+        `busca?q=${encodeURIComponent(termo)}`
+      );
+      displayResultadosBusca(resultados);
+    }, 300);
+  });
+
+  // --- Assistente de decisão (/api/v2/perguntas e /api/v2/assistente/recomendacao) ---
+  // As perguntas e os tipos que cada "sim" indica são cadastrados no painel administrativo.
+  const assistente = document.getElementById("assistente");
+  const assistentePerguntas = document.getElementById("assistente-perguntas");
+  const assistenteResultado = document.getElementById("assistente-resultado");
+
+  const prepararAssistente = (perguntas) => {
+    assistente.style.display = perguntas.length > 0 ? "block" : "none";
+    assistentePerguntas.innerHTML = "";
+
+    perguntas.forEach((pergunta) => {
+      const div = document.createElement("div");
+      div.className = "assistente-pergunta";
+
+      const texto = document.createElement("p");
+      texto.textContent = pergunta.texto;
+      div.appendChild(texto);
+      if (pergunta.ajuda) {
+        const ajuda = document.createElement("p");
+        ajuda.className = "analise-ajuda";
+        ajuda.textContent = pergunta.ajuda;
+        div.appendChild(ajuda);
+      }
+
+      ["sim", "nao"].forEach((resposta) => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = "radio";
+        input.name = `pergunta-${pergunta.id}`;
+        input.value = resposta === "sim" ? pergunta.id : "";
+        input.checked = resposta === "nao";
+        label.appendChild(input);
+        label.append(resposta === "sim" ? "Sim" : "Não");
+        div.appendChild(label);
+      });
+
+      assistentePerguntas.appendChild(div);
+    });
+  };
+
+  const displayRecomendacao = (recomendados) => {
+    assistenteResultado.innerHTML = "";
+
+    if (recomendados.length === 0) {
+      assistenteResultado.textContent =
+        "Pelas respostas, nenhum tipo de compensação foi indicado.";
+      return;
+    }
+
+    recomendados.forEach((tipo) => {
+      const bloco = document.createElement("div");
+      bloco.className = "assistente-tipo";
+
+      const titulo = document.createElement("h4");
+      const abrir = document.createElement("a");
+      abrir.href = "#";
+      abrir.textContent = tipo.nome;
+      abrir.addEventListener("click", (e) => {
+        e.preventDefault();
+        tipoSelect.value = tipo.id;
+        displayModalidades(tipo.id);
+      });
+      titulo.appendChild(abrir);
+      bloco.appendChild(titulo);
+
+      const motivos = document.createElement("p");
+      motivos.className = "analise-ajuda";
+      motivos.textContent = `Indicado por: ${tipo.motivos.join(" ")}`;
+      bloco.appendChild(motivos);
+
+      if (tipo.modalidades.length > 0) {
+        const lista = document.createElement("ul");
+        tipo.modalidades.forEach((modalidade) => {
+          const li = document.createElement("li");
+          const link = document.createElement("a");
+          link.href = "#";
+          link.textContent = modalidade.nome;
+          link.addEventListener("click", (e) => {
+            e.preventDefault();
+            selecionarModalidade(tipo.id, modalidade.id);
+          });
+          li.append("Modalidade: ", link);
+          lista.appendChild(li);
+        });
+        bloco.appendChild(lista);
+      }
+
+      if (tipo.normas.length > 0) {
+        const lista = document.createElement("ul");
+        tipo.normas.forEach((norma) => {
+          const li = document.createElement("li");
+          const link = document.createElement("a");
+          link.href = norma.link;
+          link.target = "_blank";
+          link.textContent = norma.nome;
+          li.append("Norma: ", link);
+          if (situacoesNorma[norma.situacao])
+            li.append(` (${situacoesNorma[norma.situacao]})`);
+          lista.appendChild(li);
+        });
+        bloco.appendChild(lista);
+      }
+
+      assistenteResultado.appendChild(bloco);
+    });
+  };
+
+  document
+    .getElementById("assistente-form")
+    .addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const sim = Array.from(
+        assistentePerguntas.querySelectorAll("input:checked")
+      )
+        .filter((input) => input.value)
+        .map((input) => Number(input.value));
+
+      assistenteResultado.textContent = "Consultando...";
+
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/assistente/recomendacao`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ sim }),
+          }
+        );
+        const resposta = await response.json();
+
+        if (!response.ok) {
+          assistenteResultado.textContent = resposta.errors
+            ? resposta.errors.map((erro) => erro.message).join(" ")
+            : resposta.error;
+          return;
+        }
+        displayRecomendacao(resposta.data);
+      } catch (error) {
+        console.error("Falha na recomendação do assistente:", error);
+        assistenteResultado.textContent =
+          "Não foi possível obter a recomendação.";
+      }
+    });
+
+  // --- Calculadora de compensação (/api/v2/calculadora) ---
+  // Compara, lado a lado, a compensação exigida em cada modalidade do tipo selecionado.
+  const calculadoraForm = document.getElementById("calculadora-form");
+  const calculadoraCondicoes = document.getElementById("calculadora-condicoes");
+  const calculadoraResultado = document.getElementById("calculadora-resultado");
+
+  // Só aparece se alguma modalidade do tipo tiver proporção estruturada; as
+  // condições oferecidas são as de todas elas (ex: "Área fora da mesma bacia").
+  const prepararCalculadora = (modalidadesDoTipo) => {
+    const regras = modalidadesDoTipo
+      .filter((m) => m.proporcao_regra)
+      .map((m) => JSON.parse(m.proporcao_regra));
+
+    calculadoraResultado.innerHTML = "";
+    calculadora.style.display = regras.length > 0 ? "block" : "none";
+
+    const condicoes = new Map();
+    regras
+      .flatMap((regra) => regra.condicoes)
+      .forEach((c) => condicoes.set(c.chave, c.descricao));
+
+    calculadoraCondicoes.innerHTML = "";
+    condicoes.forEach((descricao, chave) => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = chave;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(descricao));
+      calculadoraCondicoes.appendChild(label);
+    });
+  };
+
+  const formatarCompensacao = ({ resultado, unidade }) =>
+    unidade === "R$"
+      ? resultado.toLocaleString("pt-BR", {
+          style: "currency",
+          currency: "BRL",
+        })
+      : `${resultado.toLocaleString("pt-BR", { maximumFractionDigits: 2 })} ${
+          unidade === "m2" ? "m²" : unidade
+        }`;
+
+  const displayCalculo = (resultados) => {
+    const tabela = document.createElement("table");
+    tabela.className = "calculadora-tabela";
+    tabela.innerHTML =
+      "<tr><th>Modalidade</th><th>Proporção</th><th>Compensação exigida</th></tr>";
+
+    resultados.forEach((item) => {
+      const tr = document.createElement("tr");
+      [item.nome, item.proporcao || "—"].forEach((texto) => {
+        const td = document.createElement("td");
+        td.textContent = texto;
+        tr.appendChild(td);
+      });
+
+      const td = document.createElement("td");
+      if (item.resultado === null) {
+        td.className = "calculadora-motivo";
+        td.textContent = item.motivo;
+      } else {
+        td.textContent = formatarCompensacao(item);
+      }
+      tr.appendChild(td);
+      tabela.appendChild(tr);
+    });
+
+    calculadoraResultado.innerHTML = "";
+    calculadoraResultado.appendChild(tabela);
+  };
+
+  calculadoraForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    calculadoraResultado.textContent = "Calculando...";
+
+    const body = {
+      tipo_id: Number(tipoSelect.value),
+      area: document.getElementById("calculadora-area").value,
+      valor: document.getElementById("calculadora-valor").value,
+      condicoes: Array.from(
+        calculadoraCondicoes.querySelectorAll("input:checked")
+      ).map((input) => input.value),
+    };
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/calculadora`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const resposta = await response.json();
+
+      if (!response.ok) {
+        calculadoraResultado.textContent = resposta.errors
+          ? resposta.errors.map((erro) => erro.message).join(" ")
+          : resposta.error;
+        return;
+      }
+      displayCalculo(resposta.data);
+    } catch (error) {
+      console.error("Falha no cálculo da compensação:", error);
+      calculadoraResultado.textContent = "Não foi possível calcular.";
+    }
+  });
+
+  // --- Comparação de modalidades (/api/v2/modalidades/comparar) ---
+  // Mostra as modalidades selecionadas em colunas, destacando os campos que diferem.
+  const comparacao = document.getElementById("comparacao");
+  const comparacaoForm = document.getElementById("comparacao-form");
+  const comparacaoModalidades = document.getElementById(
+    "comparacao-modalidades"
   );
+  const comparacaoAviso = document.getElementById("comparacao-aviso");
+  const comparacaoResultado = document.getElementById("comparacao-resultado");
+
+  // Só faz sentido com ao menos duas modalidades no tipo
+  const prepararComparacao = (modalidadesDoTipo) => {
+    comparacao.style.display = modalidadesDoTipo.length > 1 ? "block" : "none";
+    comparacaoAviso.textContent = "";
+    comparacaoModalidades.innerHTML = "";
+
+    modalidadesDoTipo.forEach((modalidade) => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = modalidade.id;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(modalidade.nome));
+      comparacaoModalidades.appendChild(label);
+    });
+  };
+
+  const displayComparacao = ({ modalidades: comparadas, campos }, ids) => {
+    comparacaoResultado.innerHTML = "<h3>Comparação de Modalidades</h3>";
+
+    const legenda = document.createElement("p");
+    legenda.className = "analise-ajuda";
+    legenda.textContent = "Os campos destacados diferem entre as modalidades.";
+    comparacaoResultado.appendChild(legenda);
+
+    const tabela = document.createElement("table");
+    tabela.className = "calculadora-tabela comparacao-tabela";
+    const cabecalho = document.createElement("tr");
+    ["", ...comparadas.map((m) => m.nome)].forEach((texto) => {
+      const th = document.createElement("th");
+      th.textContent = texto;
+      cabecalho.appendChild(th);
+    });
+    tabela.appendChild(cabecalho);
+
+    campos.forEach((campo) => {
+      const tr = document.createElement("tr");
+      if (campo.diferente) tr.className = "comparacao-diferente";
+      const th = document.createElement("th");
+      th.textContent = campo.rotulo;
+      tr.appendChild(th);
+      campo.valores.forEach((valor) => {
+        const td = document.createElement("td");
+        td.textContent = valor && valor.trim() !== "" ? valor : "—";
+        tr.appendChild(td);
+      });
+      tabela.appendChild(tr);
+    });
+    comparacaoResultado.appendChild(tabela);
+
+    // A exportação usa a rota pública, então não é oferecida na pré-visualização
+    if (!emPrevia) {
+      const exportar = document.createElement("div");
+      exportar.className = "dossie";
+      exportar.append("Baixar comparação: ");
+      ["csv", "xlsx"].forEach((formato) => {
+        const a = document.createElement("a");
+        a.href = `${API_BASE_URL}/modalidades/comparar?ids=${ids}&formato=${formato}`;
+        a.className = "dossie-botao";
+        a.textContent = formato.toUpperCase();
+        exportar.appendChild(a);
+      });
+      comparacaoResultado.appendChild(exportar);
+    }
+
+    detalhesDiv.style.display = "none";
+    linksDiv.style.display = "none";
+    mapaContainer.style.display = "none";
+    document
+      .querySelectorAll("#lista-modalidades li")
+      .forEach((item) => item.classList.remove("active"));
+    comparacaoResultado.style.display = "block";
+  };
+
+  comparacaoForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const ids = Array.from(
+      comparacaoModalidades.querySelectorAll("input:checked")
+    ).map((input) => input.value);
+
+    if (ids.length < 2) {
+      comparacaoAviso.textContent = "Selecione ao menos duas modalidades.";
+      return;
+    }
+    comparacaoAviso.textContent = "Comparando...";
+
+    const rota = emPrevia
+      ? "previa/modalidades/comparar"
+      : "modalidades/comparar";
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/${rota}?ids=${ids.join(",")}`,
+        emPrevia
+          ? {
+              headers: {
+                Authorization: `Bearer ${sessionStorage.getItem("authToken")}`,
+              },
+            }
+          : {}
+      );
+      const resposta = await response.json();
+
+      if (!response.ok) {
+        comparacaoAviso.textContent = resposta.error;
+        return;
+      }
+      comparacaoAviso.textContent = "";
+      displayComparacao(resposta.data, ids.join(","));
+    } catch (error) {
+      console.error("Falha na comparação de modalidades:", error);
+      comparacaoAviso.textContent = "Não foi possível comparar as modalidades.";
+    }
+  });
+
+  // --- Verificação do empreendimento em relação às UCs (/api/v2/sisema/analise-ucs) ---
+  const analiseForm = document.getElementById("analise-ucs-form");
+  const analiseResultado = document.getElementById("analise-ucs-resultado");
+
+  const relacoesUc = {
+    dentro: "Dentro da UC",
+    intersecta: "Intersecta a UC",
+    zona_amortecimento: "Na zona de amortecimento",
+    proxima: "Próxima",
+  };
+
+  const displayAnaliseUcs = ({ resumo, ucs, raio_amortecimento_m }) => {
+    analiseResultado.innerHTML = "";
+
+    const conclusao = document.createElement("p");
+    if (resumo.dentro || resumo.intersecta) {
+      conclusao.textContent =
+        "A área está dentro de (ou intersecta) Unidade de Conservação estadual.";
+    } else if (resumo.zona_amortecimento) {
+      conclusao.textContent = `A área está fora das UCs, mas a menos de ${raio_amortecimento_m} m de ao menos uma.`;
+    } else {
+      conclusao.textContent = `Nenhuma UC estadual a menos de ${raio_amortecimento_m} m.`;
+    }
+    analiseResultado.appendChild(conclusao);
+
+    if (ucs.length === 0) return;
+
+    const lista = document.createElement("ul");
+    ucs.forEach((uc) => {
+      const li = document.createElement("li");
+      const relacao = document.createElement("span");
+      relacao.className = `analise-relacao-${uc.relacao}`;
+      relacao.textContent = relacoesUc[uc.relacao];
+
+      li.textContent = `${uc.properties.nome || "UC sem nome"} — `;
+      li.appendChild(relacao);
+      if (uc.distancia_m > 0)
+        li.append(` (${(uc.distancia_m / 1000).toFixed(1)} km)`);
+      lista.appendChild(li);
+    });
+    analiseResultado.appendChild(lista);
+  };
+
+  analiseForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const arquivo = document.getElementById("analise-arquivo").files[0];
+    const body = {
+      raio_amortecimento_m: Number(
+        document.getElementById("analise-raio").value || 0
+      ),
+    };
+
+    if (arquivo) {
+      const conteudo = await arquivo.text();
+      if (arquivo.name.toLowerCase().endsWith(".kml")) body.kml = conteudo;
+      else body.geojson = conteudo;
+    } else {
+      body.lat = document.getElementById("analise-lat").value;
+      body.lon = document.getElementById("analise-lon").value;
+    }
+
+    analiseResultado.textContent = "Consultando o SISEMA...";
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/sisema/analise-ucs`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const resposta = await response.json();
+
+      if (!response.ok) {
+        analiseResultado.textContent = resposta.errors
+          ? resposta.errors.map((erro) => erro.message).join(" ")
+          : resposta.error;
+        return;
+      }
+      displayAnaliseUcs(resposta.data);
+    } catch (error) {
+      console.error("Falha na análise de UCs:", error);
+      analiseResultado.textContent = "Não foi possível realizar a verificação.";
+    }
+  });
+
+  tipoSelect.addEventListener("change", () => {
+    displayModalidades(tipoSelect.value);
+    atualizarEndereco(tipoSelect.value, null);
+  });
+
+  if (emPrevia) {
+    const aviso = document.createElement("p");
+    aviso.className = "aviso-previa";
+    aviso.textContent =
+      "Pré-visualização: este conteúdo inclui rascunhos e alterações ainda não publicadas.";
+    document.querySelector(".container").prepend(aviso);
+  }
 
   await loadInitialData();
+  prepararAssistente(await fetchData("perguntas"));
+
+  await restaurarDoEndereco();
+
+  // Com a conexão de volta, recarrega os dados; o service worker os revalida
+  // com ETag/Last-Modified, então só o que mudou é baixado de novo
+  window.addEventListener("online", async () => {
+    if (!avisoOffline) return;
+    avisoOffline.remove();
+    avisoOffline = null;
+    dadosOfflineDe = null;
+    await loadInitialData();
+    await restaurarDoEndereco();
+  });
+
+  if ("serviceWorker" in navigator && !emPrevia) {
+    const porTipo = tipos.flatMap((tipo) => [
+      `tipos/${tipo.id}/normas`,
+      `modalidades?tipo_id=${tipo.id}`,
+    ]);
+    if (navigator.serviceWorker.controller) {
+      guardarParaOffline(porTipo);
+    } else {
+      // Primeira visita: a página carregou antes de o service worker assumir
+      navigator.serviceWorker.addEventListener(
+        "controllerchange",
+        () => guardarParaOffline(["tipos", "normas", "perguntas", ...porTipo]),
+        { once: true }
+      );
+    }
+    navigator.serviceWorker
+      .register("sw.js")
+      .catch((error) =>
+        console.error("Falha ao registrar o service worker:", error)
+      );
+  }
 });
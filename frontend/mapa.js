@@ -0,0 +1,166 @@
+// Mapa das camadas da IDE SISEMA (UCs, imóveis disponíveis para compensação...)
+// exibido junto aos detalhes da modalidade. Depende do Leaflet, carregado no index.html.
+//
+// Uso: const mapa = criarMapaSisema(elemento, statusEl, API_BASE_URL);
+//      mapa.exibirCamadas(["unidades-conservacao", "imoveis-compensacao"]);
+window.criarMapaSisema = (container, statusEl, apiBaseUrl) => {
+  // Centro aproximado de Minas Gerais
+  const mapa = L.map(container).setView([-18.5, -44.5], 6);
+
+  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+    maxZoom: 18,
+    attribution:
+      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> | Dados: IDE-SISEMA',
+  }).addTo(mapa);
+
+  const controleCamadas = L.control.layers(null, null).addTo(mapa);
+
+  let catalogo = null; // camadas descritas por /sisema/layers
+  const ativas = new Map(); // id da camada -> L.geoJSON
+  let controller = null;
+  let debounceTimeout;
+
+  const cores = {
+    "unidades-conservacao": "#2e7d32",
+    "imoveis-compensacao": "#ef6c00",
+  };
+
+  const escapeHtml = (valor) =>
+    String(valor).replace(
+      /[&<>"']/g,
+      (c) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[c])
+    );
+
+  const mostrarStatus = (texto) => {
+    statusEl.textContent = texto;
+    statusEl.style.display = texto ? "block" : "none";
+  };
+
+  // Popup com os atributos da feição (os permitidos pela camada vêm primeiro)
+  const popupHtml = (camada, feature) => {
+    const props = feature.properties || {};
+    const chaves = [
+      ...camada.atributos.filter((a) => a in props),
+      ...Object.keys(props).filter((k) => !camada.atributos.includes(k)),
+    ];
+
+    const linhas = chaves
+      .filter((k) => props[k] !== null && props[k] !== "")
+      .map(
+        (k) =>
+          `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(props[k])}</td></tr>`
+      )
+      .join("");
+
+    return `<strong>${escapeHtml(camada.titulo)}</strong>
+      <table class="mapa-popup">${linhas}</table>`;
+  };
+
+  const criarCamada = (camada) => {
+    const cor = cores[camada.id] || "#1976d2";
+
+    return L.geoJSON(null, {
+      style: { color: cor, weight: 2, fillOpacity: 0.2 },
+      pointToLayer: (feature, latlng) =>
+        L.circleMarker(latlng, {
+          radius: 6,
+          color: cor,
+          fillColor: cor,
+          fillOpacity: 0.8,
+        }),
+      onEachFeature: (feature, layer) =>
+        layer.bindPopup(() => popupHtml(camada, feature)),
+    });
+  };
+
+  // Busca as feições de cada camada ativa dentro da área visível do mapa
+  const carregarVisiveis = async () => {
+    if (ativas.size === 0) return;
+
+    if (controller) controller.abort();
+    controller = new AbortController();
+    const { signal } = controller;
+
+    const b = mapa.getBounds();
+    const bbox = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()]
+      .map((n) => n.toFixed(6))
+      .join(",");
+
+    mostrarStatus("Carregando dados do SISEMA...");
+    const avisos = [];
+
+    await Promise.all(
+      [...ativas.entries()].map(async ([id, layer]) => {
+        const camada = catalogo.find((c) => c.id === id);
+
+        try {
+          const response = await fetch(
+            `${apiBaseUrl}/sisema/layers/${id}?bbox=${bbox},EPSG:4326`,
+            { signal }
+          );
+          if (!response.ok) throw new Error(`Erro HTTP: ${response.status}`);
+
+          const geojson = await response.json();
+          layer.clearLayers();
+          layer.addData(geojson);
+
+          if (response.headers.get("X-Cache") === "STALE") {
+            const data = new Date(
+              response.headers.get("X-Cache-Atualizado-Em")
+            ).toLocaleString("pt-BR");
+            avisos.push(`${camada.titulo}: dados de ${data} (SISEMA instável)`);
+          }
+        } catch (error) {
+          if (error.name === "AbortError") return;
+          console.error(`Falha ao carregar a camada ${id}:`, error);
+          avisos.push(`${camada.titulo}: não foi possível carregar os dados.`);
+        }
+      })
+    );
+
+    if (!signal.aborted) mostrarStatus(avisos.join(" "));
+  };
+
+  mapa.on("moveend", () => {
+    clearTimeout(debounceTimeout);
+    debounceTimeout = setTimeout(carregarVisiveis, 300);
+  });
+
+  // Troca as camadas exibidas pelas informadas (ids de /sisema/layers)
+  const exibirCamadas = async (ids) => {
+    if (!catalogo) {
+      const response = await fetch(`${apiBaseUrl}/sisema/layers`);
+      catalogo = (await response.json()).data;
+    }
+
+    for (const [id, layer] of ativas) {
+      if (!ids.includes(id)) {
+        mapa.removeLayer(layer);
+        controleCamadas.removeLayer(layer);
+        ativas.delete(id);
+      }
+    }
+
+    ids.forEach((id) => {
+      const camada = catalogo.find((c) => c.id === id);
+      if (!camada || ativas.has(id)) return;
+
+      const layer = criarCamada(camada).addTo(mapa);
+      controleCamadas.addOverlay(layer, camada.titulo);
+      ativas.set(id, layer);
+    });
+
+    // O container pode ter acabado de ficar visível
+    mapa.invalidateSize();
+    await carregarVisiveis();
+  };
+
+  return { exibirCamadas };
+};
@@ -0,0 +1,147 @@
+// Service worker do guia público: permite abrir o guia sem conexão (ex: em
+// campo), com os últimos tipos, modalidades e normas baixados.
+//
+// - Arquivos do guia (e o Leaflet do unpkg): da rede, com a cópia guardada
+//   como reserva quando ela falha ou demora.
+// - Dados da API: da rede, enviando o ETag/Last-Modified da cópia guardada, de
+//   modo que o servidor responde 304 quando nada mudou (ver backend/cache.js).
+//   Sem rede, vale a cópia guardada, marcada com o cabeçalho X-Offline e com a
+//   data em X-Salvo-Em para o aviso exibido pelo app.js.
+// A pré-visualização (/previa) e a área administrativa não passam por aqui.
+
+const VERSAO = "v1";
+const CACHE_ARQUIVOS = `guia-arquivos-${VERSAO}`;
+const CACHE_DADOS = `guia-dados-${VERSAO}`;
+
+const ARQUIVOS = [
+  "index.html",
+  "app.js",
+  "mapa.js",
+  "env.js",
+  "css/style.css",
+  "manifest.webmanifest",
+  "icons/icone.svg",
+];
+const ORIGENS_EXTERNAS = ["https://unpkg.com"];
+const DADOS =
+  /\/api\/v2\/(tipos|modalidades|normas|perguntas|tipos\/\d+\/normas)$/;
+
+// Acima disso a conexão é tratada como ausente e vale a cópia guardada
+const TEMPO_LIMITE_MS = 8000;
+
+const caminho = (arquivo) => new URL(arquivo, self.registration.scope).pathname;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_ARQUIVOS)
+      .then((cache) => cache.addAll(ARQUIVOS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Descarta os caches de versões anteriores deste arquivo
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((nomes) =>
+        Promise.all(
+          nomes
+            .filter((nome) => ![CACHE_ARQUIVOS, CACHE_DADOS].includes(nome))
+            .map((nome) => caches.delete(nome))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const comTempoLimite = (promessa) =>
+  new Promise((resolve, reject) => {
+    setTimeout(
+      () => reject(new Error("Tempo limite excedido")),
+      TEMPO_LIMITE_MS
+    );
+    promessa.then(resolve, reject);
+  });
+
+const buscarArquivo = async (event, chave) => {
+  const cache = await caches.open(CACHE_ARQUIVOS);
+  const rede = fetch(event.request).then(async (response) => {
+    if (response.ok) await cache.put(chave, response.clone());
+    return response;
+  });
+  // Mesmo depois do tempo limite, a resposta que chegar atualiza o cache
+  event.waitUntil(rede.catch(() => {}));
+
+  try {
+    return await comTempoLimite(rede);
+  } catch (error) {
+    const guardado = await cache.match(chave);
+    if (guardado) return guardado;
+    throw error;
+  }
+};
+
+// Guarda o corpo com a data em que ele foi confirmado pelo servidor
+const guardarDados = async (cache, request, response) => {
+  const headers = new Headers(response.headers);
+  headers.set("X-Salvo-Em", new Date().toISOString());
+  const corpo = await response.blob();
+  await cache.put(request, new Response(corpo, { status: 200, headers }));
+  return new Response(corpo, { status: 200, headers });
+};
+
+const buscarDados = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(CACHE_DADOS);
+  const guardado = await cache.match(request);
+
+  const headers = new Headers(request.headers);
+  if (guardado && guardado.headers.has("ETag"))
+    headers.set("If-None-Match", guardado.headers.get("ETag"));
+  if (guardado && guardado.headers.has("Last-Modified"))
+    headers.set("If-Modified-Since", guardado.headers.get("Last-Modified"));
+
+  const rede = fetch(new Request(request, { headers })).then(
+    async (response) => {
+      if (response.status === 304) {
+        return guardarDados(cache, request, await cache.match(request));
+      }
+      if (response.ok) return guardarDados(cache, request, response);
+      return response;
+    }
+  );
+  event.waitUntil(rede.catch(() => {}));
+
+  try {
+    return await comTempoLimite(rede);
+  } catch (error) {
+    // Sem cópia guardada, a falha chega ao app.js como um erro de rede
+    if (!guardado) throw error;
+    const offline = new Headers(guardado.headers);
+    offline.set("X-Offline", "1");
+    return new Response(guardado.body, { status: 200, headers: offline });
+  }
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (DADOS.test(url.pathname) && !request.headers.has("Authorization")) {
+    event.respondWith(buscarDados(event));
+  } else if (request.mode === "navigate") {
+    // index.html?tipo=...&modalidade=... é sempre o mesmo arquivo
+    if ([caminho("./"), caminho("index.html")].includes(url.pathname))
+      event.respondWith(buscarArquivo(event, caminho("index.html")));
+  } else if (
+    url.origin === self.location.origin &&
+    ARQUIVOS.map(caminho).includes(url.pathname)
+  ) {
+    event.respondWith(buscarArquivo(event, url.pathname));
+  } else if (ORIGENS_EXTERNAS.includes(url.origin)) {
+    event.respondWith(buscarArquivo(event, request));
+  }
+});